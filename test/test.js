@@ -1,6 +1,19 @@
 // @ts-check
 
-const {tSax} = require("../tsax");
+const {
+  tSax,
+  buildTree,
+  compilePath,
+  pathQuery,
+  buildIndex,
+  loadIndex,
+  xmlWriter,
+  xmlPatch,
+  xmlReader,
+  mapElements,
+  saxParser,
+  streamEvents,
+} = require("../tsax");
 const {expect} = require("chai");
 
 /**
@@ -108,6 +121,7 @@ describe("TSax", function() {
       assertNextState("<fooBar>", "startTag", "fooBar", {});
       assertNextState("<bar foo  =  'baz' />", "singleTag", "bar", {foo: "baz"});
       assertNextState("<bar foo\n=\n'baz' />", "singleTag", "bar", {foo: "baz"});
+      assertNextState("<bar foo='>' baz=\"/>\">", "startTag", "bar", {foo: ">", baz: "/>"});
     });
 
     it("resolves entities in attributes", function() {
@@ -160,7 +174,7 @@ describe("TSax", function() {
 
   describe("processing instructions", function() {
     it("parses processing instructions", function() {
-      assertNextState("<?xml version='1.0' encoding='UTF-8'?>", "processingInstruction", "xml", "version='1.0' encoding='UTF-8'");
+      assertNextState("<?xml-stylesheet href='a'?>", "processingInstruction", "xml-stylesheet", "href='a'");
       assertNextState("<?foo?>", "processingInstruction", "foo", "");
       assertNextState("<?foo ?>", "processingInstruction", "foo", "");
       assertNextState("<?foo  a?>", "processingInstruction", "foo", " a");
@@ -190,6 +204,44 @@ describe("TSax", function() {
       assertNextState(`<!DOCTYPE doc${doctype}>`, "doctype", "doc", doctype);
     });
 
+    it("resolves entities declared in the internal subset", function() {
+      const tsax = tSax(`<!DOCTYPE TEI [
+        <!-- <!ENTITY commented "out"> -->
+        <!ENTITY % pe "<!ENTITY fromPe 'declared in %pe'>">
+        %pe;
+        <!ENTITY % name "Mustermann">
+        <!ENTITY person "Max %name;">
+        <!ENTITY greeting 'Hello &person;&#x21;'>
+        <!ENTITY person "ignored">
+        <!ENTITY empty "">
+        <!ENTITY gclef "&#x1D11E;">
+        <!ENTITY external SYSTEM "external.ent">
+      ]><a title="&greeting;">&greeting; &fromPe;&empty;&gclef;</a>`);
+      expect(tsax.next()).to.equal("doctype");
+      assertNextState(tsax, "startTag", "a", {title: "Hello Max Mustermann!"});
+      assertNextState(tsax, "text", "Hello Max Mustermann! declared in %pe\u{1D11E}");
+    });
+
+    it("reports unresolveable and recursive entities", function() {
+      let tsax = tSax(`<!DOCTYPE a [<!ENTITY ext SYSTEM "x.ent">]><a>&ext;</a>`);
+      tsax.next();
+      tsax.next();
+      tsax.next();
+      expect(tsax.text()).to.equal(undefined);
+      expect(tsax.error()).to.match(/^Unresolveable entity "ext"/);
+
+      tsax = tSax(`<!DOCTYPE a [<!ENTITY a "&b;"><!ENTITY b "&a;">]><a>&a;</a>`);
+      tsax.next();
+      tsax.next();
+      tsax.next();
+      expect(tsax.text()).to.equal(undefined);
+      expect(tsax.error()).to.match(/^Recursive reference to entity "a"/);
+
+      assertNextState(`<!DOCTYPE a [<!ENTITY a "%b;">]>`, "error");
+      assertNextState(`<!DOCTYPE a [%b;]>`, "error");
+      assertNextState(`<!DOCTYPE a [<!ENTITY a>]>`, "error");
+    });
+
     it("ignores processing instructions inside doctype", function() {
       const tsax = tSax("<!DOCTYPE foo:bar[<?baz >>><<<<?>]>");
       assertNextState(tsax, "doctype", "foo:bar", "[<?baz >>><<<<?>]");
@@ -254,11 +306,1908 @@ describe("TSax", function() {
 
     it("parses xml declaration and doctype in context", function() {
       const tsax = tSax('<?xml version="1.0"?><!DOCTYPE foo><bar/>');
-      assertNextState(tsax, "processingInstruction", "xml", 'version="1.0"');
+      assertNextState(tsax, "xmlDeclaration", 'version="1.0"');
       assertNextState(tsax, "doctype", "foo", "");
       assertNextState(tsax, "singleTag", "bar", {});
     });
   });
+
+  describe("XML declarations", function() {
+    it("parses XML declarations", function() {
+      const tsax = tSax(`<?xml version="1.0" encoding='UTF-8' standalone="yes" ?><a/>`);
+      assertNextState(tsax, "xmlDeclaration", `version="1.0" encoding='UTF-8' standalone="yes" `);
+      expect(tsax.version()).to.equal("1.0");
+      expect(tsax.encoding()).to.equal("UTF-8");
+      expect(tsax.standalone()).to.be.true;
+      expect(tsax.piTarget()).to.be.undefined;
+      assertNextState(tsax, "singleTag", "a", {});
+      expect(tsax.version()).to.be.undefined;
+
+      const minimal = tSax(`<?xml version='1.1'?>`);
+      assertNextState(minimal, "xmlDeclaration", "version='1.1'");
+      expect(minimal.version()).to.equal("1.1");
+      expect(minimal.encoding()).to.be.undefined;
+      expect(minimal.standalone()).to.be.undefined;
+
+      assertNextState(`\uFEFF<?xml version="1.0" standalone="no"?>`, "xmlDeclaration", `version="1.0" standalone="no"`);
+    });
+
+    it("rejects malformed and misplaced XML declarations", function() {
+      for (const declaration of [
+        `<?xml?>`,
+        `<?xml encoding="UTF-8"?>`,
+        `<?xml version="2.0"?>`,
+        `<?xml version="1.0"encoding="UTF-8"?>`,
+        `<?xml version="1.0" standalone="yes" encoding="UTF-8"?>`,
+        `<?xml version="1.0" standalone="maybe"?>`,
+        `<?xml version="1.0' ?>`,
+      ]) {
+        const tsax = tSax(declaration + "<a/>");
+        assertNextState(tsax, "error");
+        expect(tsax.error()).to.match(/^Malformed XML declaration at 1:1/);
+        assertNextState(tsax, "singleTag", "a", {});
+      }
+
+      const misplaced = tSax(` <?xml version="1.0"?><a/>`);
+      misplaced.next();
+      assertNextState(misplaced, "error");
+      expect(misplaced.error()).to.match(/^XML declaration only allowed at the start of the document/);
+      assertNextState(`<a><?xml version="1.0"?></a>`, "startTag", "a", {});
+    });
+  });
+
+  describe("namespaces", function() {
+    const mei = "http://www.music-encoding.org/ns/mei";
+    const svg = "http://www.w3.org/2000/svg";
+    const xlink = "http://www.w3.org/1999/xlink";
+
+    it("resolves element namespaces in scope", function() {
+      const tsax = tSax(
+        `<mei xmlns="${mei}"><svg:svg xmlns:svg="${svg}"><svg:g/></svg:svg><note/></mei>`,
+        {namespaces: true}
+      );
+      tsax.next();
+      expect(tsax.namespaceURI()).to.equal(mei);
+      tsax.next();
+      expect(tsax.namespaceURI()).to.equal(svg);
+      tsax.next();
+      expect(tsax.namespaceURI()).to.equal(svg);
+      tsax.next();
+      expect(tsax.tagName()).to.equal("svg:svg");
+      expect(tsax.namespaceURI()).to.equal(svg);
+      assertNextState(tsax, "singleTag", "note", {});
+      expect(tsax.namespaceURI()).to.equal(mei);
+      assertNextState(tsax, "endTag", "mei");
+      expect(tsax.namespaceURI()).to.equal(mei);
+      assertNextState(tsax, "eof");
+    });
+
+    it("handles names of Object.prototype properties", function() {
+      const tsax = tSax(`<a constructor="1" xmlns:x="u"><x:b/><__proto__/></a>`, {
+        namespaces: true,
+      });
+      tsax.next();
+      expect(tsax.attributes()).to.deep.equal({constructor: "1", "xmlns:x": "u"});
+      assertNextState(tsax, "singleTag", "x:b", {});
+      expect(tsax.namespaceURI()).to.equal("u");
+      tsax.next();
+      expect(tsax.localName()).to.equal("__proto__");
+      expect(tsax.prefix()).to.equal("");
+      expect(tsax.namespaceURI()).to.equal("");
+      assertNextState(tsax, "endTag", "a");
+      assertNextState(tsax, "eof");
+    });
+
+    it("reports no namespace as empty string", function() {
+      const tsax = tSax(`<a><b xmlns="${mei}"/><c/></a>`, {namespaces: true});
+      tsax.next();
+      expect(tsax.namespaceURI()).to.equal("");
+      tsax.next();
+      expect(tsax.namespaceURI()).to.equal(mei);
+      tsax.next();
+      expect(tsax.namespaceURI()).to.equal("");
+    });
+
+    it("resolves attribute namespaces", function() {
+      const tsax = tSax(
+        `<a xmlns="${mei}" xmlns:xl="${xlink}" xl:href="#x" xml:id="a1" n="1"/>`,
+        {namespaces: true}
+      );
+      tsax.next();
+      expect(tsax.namespacedAttributes()).to.deep.equal({
+        xmlns: {value: mei, prefix: "", localName: "xmlns", namespaceURI: "http://www.w3.org/2000/xmlns/"},
+        "xmlns:xl": {value: xlink, prefix: "xmlns", localName: "xl", namespaceURI: "http://www.w3.org/2000/xmlns/"},
+        "xl:href": {value: "#x", prefix: "xl", localName: "href", namespaceURI: xlink},
+        "xml:id": {value: "a1", prefix: "xml", localName: "id", namespaceURI: "http://www.w3.org/XML/1998/namespace"},
+        n: {value: "1", prefix: "", localName: "n", namespaceURI: ""},
+      });
+    });
+
+    it("reports undeclared prefixes", function() {
+      assertNextState(tSax("<a:b/>", {namespaces: true}), "error");
+      assertNextState(tSax("<b a:c='d'/>", {namespaces: true}), "error");
+      const tsax = tSax("<a xmlns:x='X'><x:b/></a><x:c/>", {namespaces: true});
+      assertNextState(tsax, "startTag", "a", {"xmlns:x": "X"});
+      assertNextState(tsax, "singleTag", "x:b", {});
+      assertNextState(tsax, "endTag", "a");
+      assertNextState(tsax, "error");
+      expect(tsax.error()).to.match(/^Undeclared namespace prefix "x"/);
+    });
+
+    it("does not resolve namespaces unless requested", function() {
+      const tsax = tSax("<a:b/>");
+      assertNextState(tsax, "singleTag", "a:b", {});
+      expect(tsax.namespaceURI()).to.equal(undefined);
+      expect(tsax.namespacedAttributes()).to.equal(undefined);
+    });
+  });
+
+  describe("strict mode", function() {
+    /**
+     * @param {string} xml
+     * @param {RegExp} expectedMessage
+     */
+    function assertError(xml, expectedMessage) {
+      const tsax = tSax(xml, {strict: true});
+      while (true) {
+        const event = tsax.next();
+        if (event === "error") {
+          expect(tsax.error()).to.match(expectedMessage);
+          return;
+        }
+        if (event === "eof") {
+          throw new Error("Expected error: " + expectedMessage);
+        }
+      }
+    }
+
+    /**
+     * @param {string} xml
+     */
+    function assertWellFormed(xml) {
+      const tsax = tSax(xml, {strict: true});
+      while (true) {
+        const event = tsax.next();
+        if (event === "error") {
+          throw new Error(tsax.error());
+        }
+        if (event === "eof") {
+          return;
+        }
+      }
+    }
+
+    it("accepts well-formed documents", function() {
+      assertWellFormed(`<?xml version="1.0"?>
+        <!DOCTYPE a>
+        <!-- comment -->
+        <a x="1" y='>'><b/><c>&lt;text&#x20;<![CDATA[<]]>]]</c></a>
+        <?pi after root?>
+      `);
+      assertWellFormed("<a b = 'c' d\n=\n'e' />");
+    });
+
+    it("checks proper nesting", function() {
+      assertError("<a></b>", /^Expected end tag <\/a>, found <\/b> at/);
+      assertError("<a><b></a>", /^Expected end tag <\/b>, found <\/a>/);
+      assertError("<a>", /^Unexpected end of file, missing end tag <\/a>/);
+      assertError("<a/></a>", /^Unexpected end tag <\/a>/);
+      assertError("<a></a b>", /^Invalid end tag name "a b"/);
+    });
+
+    it("checks the document structure", function() {
+      assertError("<a/><b/>", /^Multiple root elements, found <b>/);
+      assertError("x<a/>", /^Text outside of root element/);
+      assertError("<a/>x", /^Text outside of root element/);
+      assertError("<![CDATA[x]]><a/>", /^CDATA section outside of root element/);
+      assertError("<a/><!DOCTYPE a>", /^Misplaced doctype declaration/);
+      assertError("<!-- -->", /^Missing root element/);
+    });
+
+    it("checks attributes", function() {
+      assertError("<a b='1' b='2'/>", /^Duplicate attribute "b"/);
+      assertError("<a b='1'c='2'/>", /^Missing whitespace before attribute "c"/);
+      assertError("<a b=c'2'/>", /^Unquoted value of attribute "b"/);
+      assertError("<a b='<'/>", /^Unescaped '<' in value of attribute "b"/);
+      assertError("<a b></a>", /^Unexpected "b" in tag/);
+      assertError("<a 1='1'/>", /^Invalid attribute name "1"/);
+      assertError("<a b='&x;'/>", /^Unresolveable entity "x"/);
+    });
+
+    it("checks names, comments and text", function() {
+      assertError("<1a/>", /^Invalid tag name "1a"/);
+      assertError("<a?>", /^Unexpected "\?" in tag/);
+      assertError("<a><!-- a -- b --></a>", /^'--' not allowed in comments/);
+      assertError("<a><!-- a ---></a>", /^'--' not allowed in comments/);
+      assertError("<a>]]></a>", /^Unexpected ']]>' in text/);
+      assertError("<a>&foo;</a>", /^Unresolveable entity "foo"/);
+      assertError("<a>\u0001</a>", /^Invalid character in text/);
+      assertError("<a>&#0;</a>", /^Reference to invalid character "&#0;"/);
+      assertError("<a b='&#xD800;'/>", /^Reference to invalid character "&#xD800;"/);
+      assertError("<a>&#xFFFE;</a>", /^Reference to invalid character/);
+      assertError("<a>&#65abc;</a>", /^Invalid character reference "&#65abc;"/);
+      assertError("<a b='&#x41g;'/>", /^Invalid character reference "&#x41g;"/);
+      assertError("<a>&#X41;</a>", /^Invalid character reference "&#X41;"/);
+      const tsax = tSax("<a>&#9;&#x10FFFF;&#xE000;</a>", {strict: true});
+      tsax.next();
+      assertNextState(tsax, "text", "\t\uDBFF\uDFFF\uE000");
+      assertError("<?1 ?><a/>", /^Invalid processing instruction target "1"/);
+    });
+  });
+
+  describe("positions", function() {
+    it("reports start and end of events", function() {
+      const tsax = tSax("<a>\n  <b x='1'/>\n</a>");
+      tsax.next();
+      expect(tsax.position()).to.deep.equal({
+        start: {offset: 0, line: 1, column: 1},
+        end: {offset: 3, line: 1, column: 4},
+      });
+      tsax.next();
+      expect(tsax.position()).to.deep.equal({
+        start: {offset: 3, line: 1, column: 4},
+        end: {offset: 6, line: 2, column: 3},
+      });
+      tsax.next();
+      expect(tsax.position()).to.deep.equal({
+        start: {offset: 6, line: 2, column: 3},
+        end: {offset: 16, line: 2, column: 13},
+      });
+      tsax.next();
+      tsax.next();
+      expect(tsax.position()).to.deep.equal({
+        start: {offset: 17, line: 3, column: 1},
+        end: {offset: 21, line: 3, column: 5},
+      });
+    });
+
+    it("reports error positions", function() {
+      const tsax = tSax("<a>\n\n  <b></c>", {strict: true});
+      tsax.next();
+      tsax.next();
+      tsax.next();
+      expect(tsax.next()).to.equal("error");
+      expect(tsax.error()).to.equal("Expected end tag </b>, found </c> at 3:6");
+    });
+
+    it("keeps counting when parsing incrementally", function() {
+      const tsax = tSax();
+      tsax.write("<a>\n");
+      tsax.next();
+      expect(tsax.next()).to.equal("needMoreInput");
+      tsax.write("</a>");
+      expect(tsax.next()).to.equal("text");
+      expect(tsax.next()).to.equal("endTag");
+      tsax.write("\n\n<b/>");
+      tsax.next();
+      expect(tsax.position()).to.deep.equal({
+        start: {offset: 8, line: 2, column: 5},
+        end: {offset: 10, line: 4, column: 1},
+      });
+      tsax.next();
+      expect(tsax.position().start).to.deep.equal({offset: 10, line: 4, column: 1});
+    });
+  });
+
+  describe("depth and path", function() {
+    it("tracks the open elements", function() {
+      const tsax = tSax("<a><b><c/>text</b></a>");
+      expect(tsax.depth()).to.equal(0);
+      /** @type {[string, number, string[]][]} */
+      const expected = [
+        ["startTag", 1, ["a"]],
+        ["startTag", 2, ["a", "b"]],
+        ["singleTag", 3, ["a", "b", "c"]],
+        ["text", 2, ["a", "b"]],
+        ["endTag", 2, ["a", "b"]],
+        ["endTag", 1, ["a"]],
+        ["eof", 0, []],
+      ];
+      for (const [event, depth, path] of expected) {
+        expect(tsax.next()).to.equal(event);
+        expect(tsax.depth()).to.equal(depth);
+        expect(tsax.path()).to.deep.equal(path);
+      }
+    });
+
+    it("provides attributes of ancestors", function() {
+      const tsax = tSax("<layer n='2'><note pname='c'/></layer>");
+      tsax.next();
+      tsax.next();
+      expect(tsax.path(true)).to.deep.equal([
+        {tagName: "layer", attributes: {n: "2"}},
+        {tagName: "note", attributes: {pname: "c"}},
+      ]);
+    });
+
+    it("keeps attributes of ancestors when parsing incrementally", function() {
+      const tsax = tSax();
+      tsax.write("<layer n='2'>");
+      tsax.next();
+      tsax.write("<note pname='c'/>");
+      tsax.next();
+      expect(tsax.path(true)).to.deep.equal([
+        {tagName: "layer", attributes: {n: "2"}},
+        {tagName: "note", attributes: {pname: "c"}},
+      ]);
+    });
+  });
+
+  describe("skipElement()", function() {
+    it("skips to the matching end tag", function() {
+      const tsax = tSax(`<a><b x=">"><b/><!--</b>--><c><![CDATA[</b>]]><?pi </b>?>text</c></b><d/></a>`);
+      assertNextState(tsax, "startTag", "a", {});
+      assertNextState(tsax, "startTag", "b", {x: ">"});
+      expect(tsax.skipElement()).to.equal("endTag");
+      expect(tsax.tagName()).to.equal("b");
+      assertNextState(tsax, "singleTag", "d", {});
+      assertNextState(tsax, "endTag", "a");
+    });
+
+    it("reports unbalanced subtrees", function() {
+      let tsax = tSax("<a><b></a>");
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("error");
+      expect(tsax.error()).to.match(/^Unexpected end of file while scanning for end tag <\/a>/);
+
+      tsax = tSax("<a><b></c></a>");
+      tsax.next();
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("error");
+      expect(tsax.error()).to.match(/^Expected end tag <\/b>, found <\/c>/);
+
+      tsax = tSax("<a/>");
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("error");
+    });
+
+    it("keeps track of the element stack in strict mode", function() {
+      const tsax = tSax("<a><b><c/></b></a>", {strict: true, namespaces: true});
+      tsax.next();
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("endTag");
+      assertNextState(tsax, "endTag", "a");
+      assertNextState(tsax, "eof");
+    });
+
+    it("resumes skipping when parsing incrementally", function() {
+      const tsax = tSax();
+      tsax.write("<a><b><c>te");
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("needMoreInput");
+      tsax.write("xt</c></b");
+      expect(tsax.next()).to.equal("needMoreInput");
+      tsax.write("></a><d/>");
+      assertNextState(tsax, "endTag", "a");
+      assertNextState(tsax, "singleTag", "d", {});
+    });
+  });
+
+  describe("buildTree()", function() {
+    const xml = `<?xml version="1.0"?>
+<!DOCTYPE mei>
+<mei>
+  <staffDef n="1"><label>Violin <![CDATA[I]]></label></staffDef>
+  <!-- second staff -->
+  <staffDef n="2"><label>Viola</label><?pi data?></staffDef>
+</mei>`;
+
+    it("builds a tree", function() {
+      const document = buildTree(xml);
+      expect(document.doctype).to.equal("mei");
+      expect(document.childNodes.map((node) => node.type)).to.deep.equal(["element"]);
+      const mei = document.children()[0];
+      expect(mei.tagName).to.equal("mei");
+      expect(mei.parent).to.equal(document);
+      expect(mei.childNodes.map((node) => node.type)).to.deep.equal([
+        "text", "element", "text", "comment", "text", "element", "text",
+      ]);
+      const staffDefs = mei.children("staffDef");
+      expect(staffDefs.map((staffDef) => staffDef.attributes)).to.deep.equal([{n: "1"}, {n: "2"}]);
+      expect(staffDefs[1].childNodes[1]).to.include({type: "processingInstruction", target: "pi", text: "data"});
+      expect(xml.substring(staffDefs[0].start, staffDefs[0].end)).to.equal(
+        `<staffDef n="1"><label>Violin <![CDATA[I]]></label></staffDef>`
+      );
+    });
+
+    it("strips whitespace", function() {
+      const mei = buildTree(xml, {stripWhitespace: true}).children()[0];
+      expect(mei.childNodes.map((node) => node.type)).to.deep.equal(["element", "comment", "element"]);
+    });
+
+    it("finds elements and text", function() {
+      const document = buildTree(xml);
+      expect(document.textContent()).to.match(/^\s+Violin I\s+Viola\s+$/);
+      expect(document.find("label")?.textContent()).to.equal("Violin I");
+      expect(document.find((element) => element.attributes.n === "2")?.tagName).to.equal("staffDef");
+      expect(document.findAll("label").map((label) => label.textContent())).to.deep.equal(["Violin I", "Viola"]);
+      expect(document.find("foo")).to.equal(undefined);
+    });
+
+    it("throws on malformed documents", function() {
+      expect(() => buildTree("<a><b></a>", {strict: true})).to.throw(/^Expected end tag <\/b>/);
+      expect(() => buildTree("<a>")).to.throw(/missing end tag <\/a>/);
+      expect(() => buildTree("<a>\n  <b></a>")).to.throw("Expected </b>, found </a> at 2:6");
+      expect(() => buildTree("<a/></a>")).to.throw(/^Unexpected end tag <\/a>/);
+    });
+  });
+
+  describe("path queries", function() {
+    const xml = `<mei>
+      <music>
+        <layer n="1"><note xml:id="n1" pname="c"/><note xml:id="n2" pname="d"/></layer>
+        <layer n="2"><note xml:id="n3" pname="c"/><beam><note xml:id="n4" pname="c"/></beam></layer>
+      </music>
+      <note xml:id="n5" pname="c"/>
+    </mei>`;
+
+    /**
+     * @param {string} path
+     * @param {string} [document]
+     * @returns {string[]} The xml:ids of the matches
+     */
+    function matchIds(path, document = xml) {
+      const tsax = tSax(document);
+      const query = pathQuery(tsax, path);
+      const ids = [];
+      while (query.next() === "match") {
+        const attributes = tsax.attributes();
+        ids.push(attributes && attributes !== "error" ? attributes["xml:id"] : undefined);
+      }
+      return ids;
+    }
+
+    it("matches child and descendant steps", function() {
+      expect(matchIds("/mei/note")).to.deep.equal(["n5"]);
+      expect(matchIds("/mei/music//note")).to.deep.equal(["n1", "n2", "n3", "n4"]);
+      expect(matchIds("//note")).to.deep.equal(["n1", "n2", "n3", "n4", "n5"]);
+      expect(matchIds("/mei/*/layer/note")).to.deep.equal(["n1", "n2", "n3"]);
+      expect(matchIds("//beam//note")).to.deep.equal(["n4"]);
+      expect(matchIds("/note")).to.deep.equal([]);
+    });
+
+    it("evaluates predicates", function() {
+      expect(matchIds('/mei/music//note[@pname="c"]')).to.deep.equal(["n1", "n3", "n4"]);
+      expect(matchIds("//layer[@n=2]//note[@pname!='c']")).to.deep.equal([]);
+      expect(matchIds("//layer[@n='1']/note[@pname!='c']")).to.deep.equal(["n2"]);
+      expect(matchIds("//note[@xml:id]")).to.have.length(5);
+      expect(matchIds("//layer/note[2]")).to.deep.equal(["n2"]);
+      expect(matchIds("//layer[2]/*[1]")).to.deep.equal(["n3"]);
+      expect(matchIds("//note[@pname='c'][2]")).to.deep.equal([]);
+      expect(matchIds("//layer/note[@pname='c'][1]")).to.deep.equal(["n1", "n3"]);
+    });
+
+    it("matches prefixes", function() {
+      const document = `<m:a xmlns:m="M" xmlns:x="X"><m:b xml:id="1"/><x:b xml:id="2"/><b xml:id="3"/></m:a>`;
+      expect(matchIds("/m:a/m:b", document)).to.deep.equal(["1"]);
+      expect(matchIds("/m:a/b", document)).to.deep.equal(["3"]);
+      expect(matchIds("/m:a/x:*", document)).to.deep.equal(["2"]);
+
+      const tsax = tSax(`<a xmlns="M"><b/><y:b xmlns:y="M"/><b xmlns=""/></a>`, {namespaces: true});
+      const query = pathQuery(tsax, "/mei:a/mei:b", {namespaces: {mei: "M"}});
+      expect(query.next()).to.equal("match");
+      expect(tsax.tagName()).to.equal("b");
+      expect(query.next()).to.equal("match");
+      expect(tsax.tagName()).to.equal("y:b");
+      expect(query.next()).to.equal("eof");
+    });
+
+    it("builds trees of matches", function() {
+      const tsax = tSax(xml);
+      const query = pathQuery(tsax, compilePath("//layer"), {tree: {stripWhitespace: true}});
+      expect(query.next()).to.equal("match");
+      const layer = query.tree();
+      expect(layer.children().map((note) => note.attributes["xml:id"])).to.deep.equal(["n1", "n2"]);
+      expect(tsax.tagName()).to.equal("layer");
+      expect(query.next()).to.equal("match");
+      expect(query.tree().find("beam")?.children("note")).to.have.length(1);
+      expect(query.next()).to.equal("eof");
+      expect(() => query.tree()).to.throw();
+    });
+
+    it("rejects unsupported paths", function() {
+      expect(() => compilePath("note")).to.throw(/^Unsupported path syntax/);
+      expect(() => compilePath("/note[last()]")).to.throw(/^Unsupported predicate/);
+      expect(() => compilePath("/a|/b")).to.throw('Unsupported name test "a|" in step 1: /a|/b');
+      expect(() => compilePath("/a/text()")).to.throw(
+        /^Unsupported name test "text\(\)" in step 2/
+      );
+      expect(() => compilePath("//@x")).to.throw(/^Unsupported name test "@x"/);
+      expect(() => compilePath("/1:a")).to.throw(/^Unsupported name test "1:a"/);
+      expect(() => compilePath("/a[@b()]")).to.throw(/^Unsupported attribute name "b\(\)"/);
+      expect(compilePath("/m:*//a.b-c")).to.have.length(2);
+      expect(() => pathQuery(tSax(""), "/m:a", {namespaces: {}})).to.throw(/prefix "m"/);
+    });
+  });
+
+  describe("xmlWriter()", function() {
+    it("writes and escapes XML", function() {
+      const writer = xmlWriter()
+        .pi("xml", 'version="1.0"')
+        .doctype("a", {publicId: "-//A//EN", systemId: "a.dtd"})
+        .startElement("a")
+        .attribute("b", `<&>"'\t\n`)
+        .text("<&>]]>\r")
+        .cdata("]]>")
+        .comment(" c ")
+        .pi("target", "data")
+        .startElement("d")
+        .endElement()
+        .endElement("a");
+      expect(writer.toString()).to.equal(
+        `<?xml version="1.0"?><!DOCTYPE a PUBLIC "-//A//EN" "a.dtd">` +
+          `<a b="&lt;&amp;>&quot;'&#9;&#10;">&lt;&amp;&gt;]]&gt;&#13;<![CDATA[]]]]><![CDATA[>]]>` +
+          `<!-- c --><?target data?><d/></a>`
+      );
+    });
+
+    it("pretty-prints", function() {
+      /** @type {string[]} */
+      const chunks = [];
+      const writer = xmlWriter({indent: "  ", output: (chunk) => chunks.push(chunk)});
+      writer.pi("xml", 'version="1.0"').startElement("a").startElement("b").attribute("n", "1");
+      writer.startElement("c").endElement().text("text").startElement("d").endElement();
+      writer.endElement().comment("e").startElement("f").endElement().endElement();
+      expect(writer.toString()).to.equal("");
+      expect(chunks.join("")).to.equal(
+        `<?xml version="1.0"?>\n<a>\n  <b n="1">\n    <c/>text<d/></b>\n  <!--e-->\n  <f/>\n</a>`
+      );
+    });
+
+    it("rejects malformed output", function() {
+      expect(() => xmlWriter().startElement("1")).to.throw(/^Invalid tag name/);
+      expect(() => xmlWriter().startElement("a").attribute("b", "").attribute("b", "")).to.throw(/^Duplicate/);
+      expect(() => xmlWriter().startElement("a").text("").attribute("b", "")).to.throw(/must directly follow/);
+      expect(() => xmlWriter().startElement("a").endElement("b")).to.throw(/^Expected end tag <\/a>/);
+      expect(() => xmlWriter().endElement()).to.throw(/^Unexpected end tag/);
+      expect(() => xmlWriter().startElement("a").endElement().startElement("b")).to.throw(/^Multiple root/);
+      expect(() => xmlWriter().startElement("a").comment("--")).to.throw(/not allowed in comments/);
+      expect(() => xmlWriter().startElement("a").pi("a", "?>")).to.throw(/not allowed/);
+      expect(() => xmlWriter().text("x")).to.throw(/outside of root/);
+      expect(() => xmlWriter().doctype("a", {systemId: `a"b'c`})).to.throw(/^Can not quote ID/);
+      expect(xmlWriter().doctype("a", {systemId: `a"b`}).toString()).to.equal(
+        `<!DOCTYPE a SYSTEM 'a"b'>`
+      );
+      const writer = xmlWriter().startElement("a");
+      expect(() => writer.text("\uD834")).to.throw(/^Invalid character in text/);
+      expect(() => writer.attribute("b", "\uDD1Ex")).to.throw(/^Invalid character/);
+      expect(writer.text("\uD834\uDD1E").toString()).to.equal("<a>\uD834\uDD1E");
+    });
+
+    it("copies parser events", function() {
+      const xml =
+        `<?xml version='1.0'  standalone='no'?><!DOCTYPE a SYSTEM "a.dtd" [<!ENTITY e "E">]>` +
+        `<a b="&lt;&e;"><!--c--><?d e?><f/><![CDATA[<>]]>&e;\n</a>`;
+      const tsax = tSax(xml);
+      const writer = xmlWriter();
+      for (let event = tsax.next(); event !== "eof"; event = tsax.next()) {
+        writer.copyEvent(tsax);
+      }
+      expect(writer.toString()).to.equal(
+        `<?xml version="1.0" standalone="no"?><!DOCTYPE a SYSTEM "a.dtd" [<!ENTITY e "E">]>` +
+          `<a b="&lt;E"><!--c--><?d e?><f/><![CDATA[<>]]>E\n</a>`
+      );
+    });
+  });
+
+  describe("incremental input", function() {
+    it("resumes events that are cut off at chunk boundaries", function() {
+      const tsax = tSax();
+      tsax.write("<a x='1");
+      assertNextState(tsax, "needMoreInput");
+      tsax.write("'>te");
+      assertNextState(tsax, "startTag", "a", {x: "1"});
+      assertNextState(tsax, "needMoreInput");
+      tsax.write("xt<!-- c -");
+      assertNextState(tsax, "text", "text");
+      assertNextState(tsax, "needMoreInput");
+      tsax.write("-><");
+      assertNextState(tsax, "comment", " c ");
+      assertNextState(tsax, "needMoreInput");
+      tsax.write("/a>");
+      assertNextState(tsax, "endTag", "a");
+      assertNextState(tsax, "needMoreInput");
+      tsax.end();
+      assertNextState(tsax, "eof");
+    });
+
+    it("parses a document written character by character", function() {
+      const xml = `<?xml version="1.0"?><!DOCTYPE a [<!ENTITY x "y">]><a><![CDATA[<>]]><b c="d"/></a>`;
+      const tsax = tSax();
+      /** @type {string[]} */
+      const events = [];
+      let i = 0;
+      while (true) {
+        const event = tsax.next();
+        if (event === "needMoreInput") {
+          if (i < xml.length) {
+            tsax.write(xml[i++]);
+          } else {
+            tsax.end();
+          }
+          continue;
+        }
+        events.push(event);
+        if (event === "eof" || event === "error") {
+          break;
+        }
+      }
+      expect(events).to.deep.equal([
+        "xmlDeclaration", "doctype", "startTag", "cdata", "singleTag", "endTag", "eof",
+      ]);
+    });
+
+    it("reports events cut off by the end of input as errors", function() {
+      const tsax = tSax();
+      tsax.write("<a");
+      assertNextState(tsax, "needMoreInput");
+      tsax.end();
+      assertNextState(tsax, "error");
+      expect(() => tsax.write("/>")).to.throw();
+    });
+  });
+
+  describe("saxParser()", function() {
+    /**
+     * Records all callbacks as `[name, payload]` pairs
+     * @param {import("../tsax").SaxParser} parser
+     */
+    function record(parser) {
+      /** @type {any[]} */
+      const calls = [];
+      for (const name of [
+        "onopentagstart", "onattribute", "onopentag", "onclosetag", "ontext", "oncomment",
+        "onopencdata", "oncdata", "onclosecdata", "onprocessinginstruction", "ondoctype",
+        "onopennamespace", "onclosenamespace", "onend", "onready",
+      ]) {
+        /** @type {any} */ (parser)[name] = (/** @type {any} */ payload) => calls.push(
+          payload === undefined ? [name] : [name, payload]
+        );
+      }
+      return calls;
+    }
+
+    it("dispatches sax-js callbacks", function() {
+      const parser = saxParser(true);
+      const calls = record(parser);
+      parser.write(`<!DOCTYPE a><?pi  data?><a x="1&amp;">t&lt;<b/><!--c-->`);
+      parser.write(`<![CDATA[d]]></a>`).close();
+      expect(calls).to.deep.equal([
+        ["ondoctype", " a"],
+        ["onprocessinginstruction", {name: "pi", body: "data"}],
+        ["onopentagstart", {name: "a", attributes: {x: "1&"}, isSelfClosing: false}],
+        ["onattribute", {name: "x", value: "1&"}],
+        ["onopentag", {name: "a", attributes: {x: "1&"}, isSelfClosing: false}],
+        ["ontext", "t<"],
+        ["onopentagstart", {name: "b", attributes: {}, isSelfClosing: true}],
+        ["onopentag", {name: "b", attributes: {}, isSelfClosing: true}],
+        ["onclosetag", "b"],
+        ["oncomment", "c"],
+        ["onopencdata"],
+        ["oncdata", "d"],
+        ["onclosecdata"],
+        ["onclosetag", "a"],
+        ["onend"],
+        ["onready"],
+      ]);
+    });
+
+    it("applies the trim, normalize and lowercase options", function() {
+      const upper = saxParser(false, {trim: true, normalize: true});
+      const calls = record(upper);
+      upper.write("<Foo Bar='1'>  a \n b  </Foo>").close();
+      expect(calls[2]).to.deep.equal(["onopentag", {name: "FOO", attributes: {BAR: "1"}, isSelfClosing: false}]);
+      expect(calls[3]).to.deep.equal(["ontext", "a b"]);
+      expect(calls[4]).to.deep.equal(["onclosetag", "FOO"]);
+
+      const lower = saxParser(false, {lowercase: true});
+      const lowerCalls = record(lower);
+      lower.write("<Foo/>").close();
+      expect(lowerCalls[1]).to.deep.equal(["onopentag", {name: "foo", attributes: {}, isSelfClosing: true}]);
+    });
+
+    it("resolves namespaces with the xmlns option", function() {
+      const parser = saxParser(true, {xmlns: true});
+      const calls = record(parser);
+      parser.write(`<p:a xmlns:p="urn:p" p:x="1"><b/></p:a>`).close();
+      const tag = calls[4][1];
+      expect(calls[1]).to.deep.equal(["onopennamespace", {prefix: "p", uri: "urn:p"}]);
+      expect(tag).to.include({name: "p:a", prefix: "p", local: "a", uri: "urn:p"});
+      expect(tag.attributes["p:x"]).to.deep.equal({
+        name: "p:x", value: "1", prefix: "p", local: "x", uri: "urn:p",
+      });
+      expect(tag.attributes["xmlns:p"]).to.include({prefix: "xmlns", local: "p"});
+      expect(tag.ns.p).to.equal("urn:p");
+      expect(tag.ns.xml).to.equal("http://www.w3.org/XML/1998/namespace");
+      expect(calls.slice(-5)).to.deep.equal([
+        ["onclosetag", "b"],
+        ["onclosetag", "p:a"],
+        ["onclosenamespace", {prefix: "p", uri: "urn:p"}],
+        ["onend"],
+        ["onready"],
+      ]);
+    });
+
+    it("closes elements still open at the end tag of an ancestor", function() {
+      const parser = saxParser(false, {xmlns: true});
+      const calls = record(parser);
+      parser.write(`<a><b xmlns:x="urn:x"><c></A></b><d/>`).close();
+      const tags = calls
+        .filter((call) => /tag$|namespace$/.test(call[0]))
+        .map((call) => `${call[0]} ${call[1].name || call[1].prefix || call[1]}`);
+      expect(tags).to.deep.equal([
+        "onopentag A",
+        "onopennamespace x",
+        "onopentag B",
+        "onopentag C",
+        "onclosetag C",
+        "onclosetag B",
+        "onclosenamespace x",
+        "onclosetag A",
+        "onopentag D",
+        "onclosetag D",
+      ]);
+    });
+
+    it("reports errors and throws them unless resumed", function() {
+      const parser = saxParser(true);
+      /** @type {string[]} */
+      const errors = [];
+      parser.onerror = (error) => errors.push(error.message);
+      parser.write("<a>\n<b></a>");
+      expect(errors).to.have.length(1);
+      expect(errors[0]).to.match(/^Expected end tag <\/b>/);
+      expect(parser.line).to.equal(1);
+      expect(() => parser.write("")).to.throw(/Expected end tag/);
+
+      const resuming = saxParser(true);
+      let ended = false;
+      resuming.onerror = () => resuming.resume();
+      resuming.onend = () => (ended = true);
+      resuming.write("<a><b></a>").close();
+      expect(ended).to.be.true;
+    });
+  });
+
+  describe("iteration", function() {
+    it("iterates over event snapshots", function() {
+      const events = [...tSax(`<a x="&lt;">b&amp;<c/></a>`)];
+      expect(events.map((event) => event.type)).to.deep.equal([
+        "startTag", "text", "singleTag", "endTag",
+      ]);
+      expect(events[0].tagName).to.equal("a");
+      expect(events[0].attributes()).to.deep.equal({x: "<"});
+      expect(events[1].text()).to.equal("b&");
+      expect(events[2].attributes()).to.deep.equal({});
+      expect(events[3].attributes()).to.be.undefined;
+    });
+
+    it("resolves attributes and text on first access", function() {
+      const tsax = tSax(`<a>\n <b x="&u;">&u;</b><b y="&lt;"/>&amp;</a>`);
+      /** @type {import("../tsax").EventSnapshot[]} */
+      const events = [];
+      for (const event of tsax) {
+        events.push(event);
+        // Nothing was unescaped, so nothing failed
+        expect(tsax.error()).to.equal(undefined);
+      }
+      expect(events[2].attributes()).to.equal("error");
+      expect(events[2].error).to.equal('Unresolveable entity "u" at 2:8');
+      expect(events[3].error).to.equal('Unresolveable entity "u" at 2:15');
+      expect(events[3].text()).to.equal(undefined);
+      expect(events[5].attributes()).to.deep.equal({y: "<"});
+      expect(events[6].text()).to.equal("&");
+      expect(events[7].text()).to.equal(undefined);
+      expect(tsax.error()).to.equal(undefined);
+
+      const html = [...tSax(`<script x=1>a("</p>")</script>`, {html: true})];
+      expect(html[0].attributes()).to.deep.equal({x: "1"});
+      expect(html[1].text()).to.equal(`a("</p>")`);
+    });
+
+    it("stops after errors and when more input is needed", function() {
+      const errors = [...tSax("<a></b><c/>", {strict: true})];
+      expect(errors.map((event) => event.type)).to.deep.equal(["startTag", "error"]);
+      expect(errors[1].error).to.match(/^Expected end tag <\/a>/);
+
+      const tsax = tSax();
+      tsax.write("<a>te");
+      expect([...tsax].map((event) => event.type)).to.deep.equal(["startTag"]);
+      tsax.write("xt</a>");
+      tsax.end();
+      expect([...tsax].map((event) => event.text())).to.deep.equal(["text", undefined]);
+    });
+
+    it("iterates over streams", async function() {
+      async function* chunks() {
+        const bytes = new TextEncoder().encode("<a>xää</a>");
+        yield bytes.subarray(0, 7);
+        yield bytes.subarray(7);
+      }
+      const events = [];
+      for await (const event of streamEvents(chunks())) {
+        events.push([event.type, event.text()]);
+      }
+      expect(events).to.deep.equal([
+        ["startTag", undefined], ["text", "xää"], ["endTag", undefined],
+      ]);
+
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue("<a/>");
+          controller.close();
+        },
+      });
+      const streamed = [];
+      for await (const event of streamEvents(stream)) {
+        streamed.push(event.type);
+      }
+      expect(streamed).to.deep.equal(["singleTag"]);
+    });
+  });
+
+  describe("single attributes", function() {
+    it("looks up single attributes", function() {
+      const tsax = tSax(`<a x="1" xml:id = 'a&amp;b' y="2"/><b/></a>`);
+      tsax.next();
+      expect(tsax.attribute("xml:id")).to.equal("a&b");
+      expect(tsax.attribute("xml:id", true)).to.equal("a&amp;b");
+      expect(tsax.attribute("y")).to.equal("2");
+      expect(tsax.attribute("z")).to.be.undefined;
+      expect(tsax.attribute("xml")).to.be.undefined;
+      tsax.next();
+      expect(tsax.attribute("x")).to.be.undefined;
+      tsax.next();
+      expect(tsax.attribute("x")).to.be.undefined;
+    });
+
+    it("iterates over attributes with a cursor", function() {
+      const tsax = tSax(`<a x="1&lt;" y='2'>`);
+      tsax.next();
+      expect(tsax.attributeName()).to.be.undefined;
+      expect(tsax.nextAttribute()).to.be.true;
+      expect(tsax.attributeName()).to.equal("x");
+      expect(tsax.attributes()).to.deep.equal({x: "1<", y: "2"});
+      expect(tsax.attributeValue()).to.equal("1<");
+      expect(tsax.attributeValue(true)).to.equal("1&lt;");
+      expect(tsax.nextAttribute()).to.be.true;
+      expect(tsax.attributeName()).to.equal("y");
+      expect(tsax.nextAttribute()).to.be.false;
+      expect(tsax.attributeName()).to.be.undefined;
+      expect(tsax.nextAttribute()).to.be.false;
+      assertNextState(tsax, "eof");
+      expect(tsax.nextAttribute()).to.be.false;
+    });
+
+    it("reports malformed attributes", function() {
+      const tsax = tSax(`<a x="&foo;" y=1>`);
+      tsax.next();
+      expect(tsax.attribute("x")).to.equal("error");
+      expect(tsax.error()).to.match(/^Unresolveable entity "foo"/);
+      expect(tsax.attribute("x", true)).to.equal("&foo;");
+      expect(tsax.attribute("y")).to.equal("error");
+      expect(tsax.nextAttribute()).to.be.true;
+      expect(tsax.attributeValue()).to.be.undefined;
+      expect(tsax.nextAttribute()).to.equal("error");
+      expect(tsax.nextAttribute()).to.be.false;
+    });
+  });
+
+  describe("binary input", function() {
+    /**
+     * @param {string} string
+     * @param {"latin1" | "utf16le"} encoding
+     */
+    function encode(string, encoding) {
+      return Buffer.from(string, encoding);
+    }
+
+    it("decodes UTF-8 by default", function() {
+      assertNextState(tSax(Buffer.from("<a>ä</a>")), "startTag", "a", {});
+      const tsax = tSax(Buffer.from("\uFEFF<a>ä</a>"));
+      assertNextState(tsax, "startTag", "a", {});
+      expect(tsax.position().start.offset).to.equal(0);
+      assertNextState(tsax, "text", "ä");
+    });
+
+    it("detects UTF-16 with and without byte order mark", function() {
+      const le = tSax(encode("\uFEFF<a>ä</a>", "utf16le"));
+      assertNextState(le, "startTag", "a", {});
+      assertNextState(le, "text", "ä");
+
+      const be = tSax(encode("\uFEFF<a>ä</a>", "utf16le").swap16());
+      assertNextState(be, "startTag", "a", {});
+      assertNextState(be, "text", "ä");
+
+      const noBOM = tSax(encode(`<?xml version="1.0" encoding="UTF-16"?><a>ä</a>`, "utf16le"));
+      expect(noBOM.next()).to.equal("xmlDeclaration");
+      assertNextState(noBOM, "startTag", "a", {});
+      assertNextState(noBOM, "text", "ä");
+    });
+
+    it("uses the declared encoding", function() {
+      const latin1 = tSax(encode(`<?xml version="1.0" encoding='ISO-8859-1'?><a>é</a>`, "latin1"));
+      expect(latin1.next()).to.equal("xmlDeclaration");
+      assertNextState(latin1, "startTag", "a", {});
+      assertNextState(latin1, "text", "é");
+
+      const windows1252 = tSax(
+        new Uint8Array([...Buffer.from(`<?xml version="1.0" encoding="windows-1252"?><a>`), 0x80, 0x3c])
+      );
+      windows1252.next();
+      windows1252.next();
+      assertNextState(windows1252, "text", "€");
+    });
+
+    it("reports inconsistent and unsupported encodings", function() {
+      const utf8 = Buffer.from(`\uFEFF<?xml version="1.0" encoding="ISO-8859-1"?><a/>`);
+      const inconsistent = tSax(utf8);
+      assertNextState(inconsistent, "error");
+      expect(inconsistent.error()).to.match(
+        /^Declared encoding "ISO-8859-1" contradicts detected encoding UTF-8/
+      );
+      expect(inconsistent.next()).to.equal("xmlDeclaration");
+      assertNextState(inconsistent, "singleTag", "a", {});
+
+      const unsupported = tSax(Buffer.from(`<?xml version="1.0" encoding="foo"?><a/>`));
+      assertNextState(unsupported, "error");
+      expect(unsupported.error()).to.match(/^Unsupported encoding "foo"/);
+      assertNextState(unsupported, "error");
+
+      const invalid = tSax(new Uint8Array([0x3c, 0x61, 0x3e, 0xff, 0x3c]));
+      assertNextState(invalid, "error");
+      expect(invalid.error()).to.match(/^Invalid byte sequence for encoding utf-8/);
+    });
+
+    it("decodes incrementally written bytes", function() {
+      const bytes = encode(`<?xml version="1.0" encoding="UTF-16"?><a>ä</a>`, "utf16le");
+      const tsax = tSax();
+      /** @type {string[]} */
+      const events = [];
+      for (let i = 0; i <= bytes.length; i++) {
+        if (i < bytes.length) {
+          tsax.write(bytes.subarray(i, i + 1));
+        } else {
+          tsax.end();
+        }
+        for (let event = tsax.next(); event !== "needMoreInput"; event = tsax.next()) {
+          events.push(event === "text" ? `text ${tsax.text()}` : event);
+          if (event === "eof") {
+            break;
+          }
+        }
+      }
+      expect(events).to.deep.equal([
+        "xmlDeclaration", "startTag", "text ä", "endTag", "eof",
+      ]);
+      expect(() => tSax(Buffer.from("<a>")).write("</a>")).to.throw();
+      const mixed = tSax();
+      mixed.write("<a>");
+      expect(() => mixed.write(Buffer.from("</a>"))).to.throw(/mix/);
+    });
+  });
+
+  describe("whitespace option", function() {
+    const xml =
+      `<?xml version="1.0"?>\n<a>\n  <b>  x \n y  </b>\n  ` +
+      `<c xml:space="preserve">  <d> z </d><e xml:space="default"> w <f/></e></c>\n</a>\n`;
+
+    /**
+     * @param {import("../tsax").Options["whitespace"]} whitespace
+     */
+    function texts(whitespace) {
+      /** @type {string[]} */
+      const texts = [];
+      for (const event of tSax(xml, {whitespace: whitespace})) {
+        if (event.type === "text") {
+          texts.push(/** @type {string} */ (event.text()));
+        }
+      }
+      return texts;
+    }
+
+    it("keeps whitespace by default", function() {
+      expect(texts(undefined)).to.deep.equal(texts("keep"));
+      expect(texts("keep")).to.deep.equal([
+        "\n", "\n  ", "  x \n y  ", "\n  ", "  ", " z ", " w ", "\n",
+      ]);
+    });
+
+    it("drops whitespace-only text", function() {
+      expect(texts("drop")).to.deep.equal(["  x \n y  ", "  ", " z ", " w "]);
+    });
+
+    it("trims and collapses text", function() {
+      expect(texts("trim")).to.deep.equal(["x \n y", "  ", " z ", "w"]);
+      expect(texts("collapse")).to.deep.equal(["x y", "  ", " z ", "w"]);
+    });
+
+    it("keeps raw text and CDATA", function() {
+      // No-break spaces are not XML whitespace
+      const tsax = tSax("<a> a\u00A0 <![CDATA[ ]]></a>", {whitespace: "collapse"});
+      tsax.next();
+      assertNextState(tsax, "text", "a\u00A0").rawText(" a\u00A0 ");
+      assertNextState(tsax, "cdata", " ");
+    });
+  });
+
+  describe("normalization", function() {
+    it("normalizes line ends", function() {
+      const tsax = tSax("<a>1\r\n2\r3&#13;\n</a><!--\r\n--><?pi \r?><![CDATA[\r]]>");
+      tsax.next();
+      assertNextState(tsax, "text", "1\n2\n3\r\n").rawText("1\r\n2\r3&#13;\n");
+      tsax.next();
+      assertNextState(tsax, "comment", "\n");
+      assertNextState(tsax, "processingInstruction", "pi", "\n");
+      assertNextState(tsax, "cdata", "\n");
+    });
+
+    it("normalizes attribute values", function() {
+      const tsax = tSax(
+        `<!DOCTYPE a [<!ENTITY e "x\ty">]>` +
+          `<a b="1\r\n2\t3\n4\r5" c=" &#9;&#10;&#13;&#32; " d="&e;"/>`
+      );
+      tsax.next();
+      assertNextState(tsax, "singleTag", "a", {b: "1 2 3 4 5", c: " \t\n\r  ", d: "x y"});
+      expect(tsax.attributes(true)).to.deep.equal({
+        b: "1\r\n2\t3\n4\r5", c: " &#9;&#10;&#13;&#32; ", d: "&e;",
+      });
+      expect(tsax.attribute("b")).to.equal("1 2 3 4 5");
+      tsax.nextAttribute();
+      expect(tsax.attributeValue()).to.equal("1 2 3 4 5");
+    });
+
+    it("keeps characters referenced in entity values", function() {
+      const tsax = tSax(
+        `<!DOCTYPE a [<!ENTITY d "&#13;&#10;"><!ENTITY e "1\r\n2">]><a b="&d;&e;">&d;&e;</a>`
+      );
+      tsax.next();
+      assertNextState(tsax, "startTag", "a", {b: "  1 2"});
+      assertNextState(tsax, "text", "\r\n1\n2");
+    });
+  });
+  describe("html mode", function() {
+    /**
+     * @param {string} html
+     * @returns {string[]}  The events, with tag names and text
+     */
+    function events(html) {
+      /** @type {string[]} */
+      const events = [];
+      for (const event of tSax(html, {html: true})) {
+        events.push(
+          event.type === "text" ? `text ${event.text()}` : `${event.type} ${event.tagName || ""}`
+        );
+      }
+      return events;
+    }
+
+    it("reads unquoted and valueless attributes", function() {
+      const tsax = tSax(`<INPUT Type=checkbox checked value = 'a b' data-x=1/2 type="radio">`, {
+        html: true,
+      });
+      expect(tsax.next()).to.equal("singleTag");
+      expect(tsax.tagName()).to.equal("input");
+      expect(tsax.attributes()).to.deep.equal({
+        type: "checkbox",
+        checked: "",
+        value: "a b",
+        "data-x": "1/2",
+      });
+      expect(tsax.attribute("TYPE")).to.equal("checkbox");
+      expect(tsax.attribute("checked")).to.equal("");
+      expect(tsax.nextAttribute()).to.equal(true);
+      expect(tsax.attributeName()).to.equal("type");
+    });
+
+    it("knows void elements and implied end tags", function() {
+      expect(events("<ul><li>a<br>b<li><p>c<hr></ul>")).to.deep.equal([
+        "startTag ul",
+        "startTag li",
+        "text a",
+        "singleTag br",
+        "text b",
+        "endTag li",
+        "startTag li",
+        "startTag p",
+        "text c",
+        "endTag p",
+        "singleTag hr",
+        "endTag li",
+        "endTag ul",
+      ]);
+      expect(events("<table><tr><td>1<td>2<tr><th>3</table>")).to.deep.equal([
+        "startTag table",
+        "startTag tr",
+        "startTag td",
+        "text 1",
+        "endTag td",
+        "startTag td",
+        "text 2",
+        "endTag td",
+        "endTag tr",
+        "startTag tr",
+        "startTag th",
+        "text 3",
+        "endTag th",
+        "endTag tr",
+        "endTag table",
+      ]);
+    });
+
+    it("reports implied end tags with zero length", function() {
+      const tsax = tSax("<p>a<div>b", {html: true});
+      tsax.next();
+      tsax.next();
+      expect(tsax.next()).to.equal("endTag");
+      expect(tsax.tagName()).to.equal("p");
+      expect(tsax.position().start.offset).to.equal(4);
+      expect(tsax.position().end.offset).to.equal(4);
+      assertNextState(tsax, "startTag", "div", {});
+    });
+
+    it("ignores stray end tags and closes elements at the end", function() {
+      expect(events("</b>a<I>b</span>c")).to.deep.equal([
+        "text a",
+        "startTag i",
+        "text b",
+        "text c",
+        "endTag i",
+      ]);
+    });
+
+    it("reads script and style content as raw text", function() {
+      expect(
+        events(`<script>if (a < b && c) "</scripts>";</SCRIPT ><style></style>`)
+      ).to.deep.equal([
+        "startTag script",
+        `text if (a < b && c) "</scripts>";`,
+        "endTag script",
+        "startTag style",
+        "endTag style",
+      ]);
+    });
+
+    it("resolves HTML entities and keeps unknown references", function() {
+      expect(
+        events("<p title='&quot;&copy;&nbsp'>&eacute;&#x2014;&#150;&#0; &foo; a & b < 3 &lt")
+      ).to.deep.equal(["startTag p", "text \u00E9\u2014\u2013\uFFFD &foo; a & b < 3 &lt", "endTag p"]);
+      const tsax = tSax("<a href='?a=1&lang=en&amp;b=&copy;'>", {html: true});
+      tsax.next();
+      expect(tsax.attribute("href")).to.equal("?a=1&lang=en&b=\u00A9");
+    });
+
+    it("skips elements with implied end tags", function() {
+      const tsax = tSax("<p>a<br><div>b</div>", {html: true});
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("endTag");
+      expect(tsax.tagName()).to.equal("p");
+      assertNextState(tsax, "startTag", "div", {});
+    });
+
+    it("accepts a lower case doctype", function() {
+      expect(events("<!doctype html><html>")).to.deep.equal([
+        "doctype html",
+        "startTag html",
+        "endTag html",
+      ]);
+    });
+
+    it("can not be combined with strict mode", function() {
+      expect(() => tSax("", {html: true, strict: true})).to.throw();
+    });
+  });
+
+  describe("recover mode", function() {
+    /**
+     * @param {ReturnType<typeof tSax>} tsax
+     * @returns {string[]}  The events, with tag names
+     */
+    function events(tsax) {
+      /** @type {string[]} */
+      const events = [];
+      for (const event of tsax) {
+        events.push(`${event.type} ${event.tagName || ""}`.trim());
+      }
+      return events;
+    }
+
+    it("collects errors and continues at the next '<'", function() {
+      const tsax = tSax(`<a>\n<!x>skipped<b/>\n<c d="1" d="2"/></e></a>`, {
+        strict: true,
+        recover: true,
+      });
+      expect(events(tsax)).to.deep.equal(["startTag a", "text", "singleTag b", "text", "endTag a"]);
+      expect(tsax.diagnostics()).to.deep.equal([
+        {message: "Unexpected character sequence <!x", position: {offset: 4, line: 2, column: 1}},
+        {message: 'Duplicate attribute "d"', position: {offset: 29, line: 3, column: 10}},
+        {message: "Expected end tag </a>, found </e>", position: {offset: 36, line: 3, column: 17}},
+      ]);
+    });
+
+    it("drops the end tags of dropped start tags", function() {
+      /**
+       * @param {string} xml
+       * @param {import("../tsax").Options} options
+       * @returns {string[]}  The events, followed by the diagnostics
+       */
+      function recover(xml, options) {
+        const tsax = tSax(xml, Object.assign({recover: true}, options));
+        return events(tsax).concat(
+          tsax.diagnostics().map((diagnostic) => {
+            return `${diagnostic.message} at ${diagnostic.position.offset}`;
+          })
+        );
+      }
+      expect(recover(`<r><a x="1" x="2"><b/></a></r>`, {strict: true})).to.deep.equal([
+        "startTag r",
+        "singleTag b",
+        "endTag r",
+        'Duplicate attribute "x" at 12',
+      ]);
+      expect(recover(`<a x="1" x="2"><b/></a>`, {strict: true})).to.deep.equal([
+        "singleTag b",
+        'Duplicate attribute "x" at 9',
+      ]);
+      expect(recover("<r><1a></1a></r>", {strict: true})).to.deep.equal([
+        "startTag r",
+        "endTag r",
+        'Invalid tag name "1a" at 4',
+      ]);
+      for (const strict of [false, true]) {
+        expect(recover("<r><m:a><b/></m:a></r>", {namespaces: true, strict})).to.deep.equal([
+          "startTag r",
+          "singleTag b",
+          "endTag r",
+          'Undeclared namespace prefix "m" at 4',
+        ]);
+      }
+      expect(recover("<r><m:a><b></m:a></r>", {namespaces: true})).to.deep.equal([
+        "startTag r",
+        "startTag b",
+        "endTag b",
+        "endTag r",
+        'Undeclared namespace prefix "m" at 4',
+      ]);
+    });
+
+    it("closes elements up to the one matching an end tag", function() {
+      const tsax = tSax("<r><a><b><c></a></r>", {strict: true, recover: true});
+      expect(events(tsax)).to.deep.equal([
+        "startTag r",
+        "startTag a",
+        "startTag b",
+        "startTag c",
+        "endTag c",
+        "endTag b",
+        "endTag a",
+        "endTag r",
+      ]);
+      expect(tsax.diagnostics()).to.deep.equal([
+        {message: "Expected end tag </c>, found </a>", position: {offset: 12, line: 1, column: 13}},
+        {message: "Expected end tag </b>, found </a>", position: {offset: 12, line: 1, column: 13}},
+      ]);
+    });
+
+    it("reports unclosed elements at the end", function() {
+      const tsax = tSax("<a><b", {strict: true, recover: true});
+      expect(events(tsax)).to.deep.equal(["startTag a"]);
+      expect(tsax.next()).to.equal("eof");
+      expect(tsax.diagnostics().map((diagnostic) => diagnostic.message)).to.deep.equal([
+        "Unexpected end of file while scanning for '>'",
+        "Unexpected end of file, missing end tag </a>",
+      ]);
+    });
+
+    it("records errors found on request once", function() {
+      const tsax = tSax(`<a x="&foo;"/>`, {recover: true});
+      tsax.next();
+      expect(tsax.attributes()).to.equal("error");
+      expect(tsax.attributes()).to.equal("error");
+      expect(tsax.diagnostics()).to.have.length(1);
+      expect(tsax.next()).to.equal("eof");
+    });
+
+    it("drops tags with undeclared prefixes", function() {
+      const tsax = tSax(`<a><x:b/><c/></a>`, {namespaces: true, recover: true});
+      expect(events(tsax)).to.deep.equal(["startTag a", "singleTag c", "endTag a"]);
+      expect(tsax.diagnostics()[0].message).to.equal('Undeclared namespace prefix "x"');
+    });
+
+    it("resynchronizes across chunks", function() {
+      const tsax = tSax(undefined, {recover: true});
+      tsax.write("<a><!x> ");
+      assertNextState(tsax, "startTag", "a", {});
+      expect(tsax.next()).to.equal("needMoreInput");
+      tsax.write("skipped <b/></a>");
+      tsax.end();
+      assertNextState(tsax, "singleTag", "b", {});
+      assertNextState(tsax, "endTag", "a");
+      expect(tsax.diagnostics()).to.have.length(1);
+    });
+
+    it("still reports undecodable input", function() {
+      const tsax = tSax(new Uint8Array([0x3c, 0x61, 0x3e, 0xff, 0x3c]), {recover: true});
+      expect(tsax.next()).to.equal("error");
+      expect(tsax.next()).to.equal("error");
+    });
+  });
+
+  describe("limits", function() {
+    /**
+     * @param {string} xml
+     * @param {import("../tsax").Limits} limits
+     * @returns {string|undefined}  The first error message
+     */
+    function firstError(xml, limits) {
+      const tsax = tSax(xml, {limits: limits});
+      while (true) {
+        switch (tsax.next()) {
+          case "error":
+            return tsax.error();
+          case "eof":
+            return undefined;
+          case "text":
+            if (tsax.text() === undefined) {
+              return tsax.error();
+            }
+        }
+      }
+    }
+
+    it("limits the nesting depth", function() {
+      expect(firstError("<a><b><c/></b></a>", {maxDepth: 3})).to.equal(undefined);
+      expect(firstError("<a><b><c/></b></a>", {maxDepth: 2})).to.equal(
+        "Nesting depth exceeds the maximum of 2 at 1:7"
+      );
+    });
+
+    it("limits the length of names", function() {
+      expect(firstError(`<abc def="1"><?pi?></abc>`, {maxNameLength: 3})).to.equal(undefined);
+      expect(firstError("<abcd/>", {maxNameLength: 3})).to.equal(
+        "Name exceeds the maximum length of 3 at 1:2"
+      );
+      expect(firstError(`<a defg="1"/>`, {maxNameLength: 3})).to.match(/^Name exceeds .* 1:4$/);
+      expect(firstError("<a><?pipe?></a>", {maxNameLength: 3})).to.match(/^Name .* 1:6$/);
+    });
+
+    it("limits the number of attributes and their length", function() {
+      const xml = `<a b="1" c="23" d="4"/>`;
+      expect(firstError(xml, {maxAttributes: 3, maxAttributeLength: 2})).to.equal(undefined);
+      expect(firstError(xml, {maxAttributes: 2})).to.equal(
+        "Number of attributes exceeds the maximum of 2 at 1:17"
+      );
+      expect(firstError(xml, {maxAttributeLength: 1})).to.equal(
+        "Attribute value exceeds the maximum length of 1 at 1:13"
+      );
+    });
+
+    it("limits the length of text", function() {
+      expect(firstError("<a>01234<![CDATA[56789]]></a>", {maxTextLength: 5})).to.equal(undefined);
+      expect(firstError("<a>012345</a>", {maxTextLength: 5})).to.equal(
+        "Text exceeds the maximum length of 5 at 1:4"
+      );
+      const tsax = tSax(undefined, {limits: {maxTextLength: 5}});
+      tsax.write("<a>0123");
+      tsax.next();
+      expect(tsax.next()).to.equal("needMoreInput");
+      tsax.write("45");
+      expect(tsax.next()).to.equal("error");
+      expect(firstError("<a><!--012345--></a>", {maxTextLength: 5})).to.equal(
+        "Text exceeds the maximum length of 5 at 1:8"
+      );
+      expect(firstError("<a><?pi 012345?></a>", {maxTextLength: 5})).to.match(/at 1:9$/);
+    });
+
+    it("limits incomplete events when parsing incrementally", function() {
+      /**
+       * @param {string} xml
+       * @param {import("../tsax").Limits} limits
+       * @returns {string|undefined}  The error after writing `xml` in chunks
+       */
+      function pendingError(xml, limits) {
+        const tsax = tSax(undefined, {limits: limits});
+        for (let i = 0; i < xml.length; i += 4) {
+          tsax.write(xml.substring(i, i + 4));
+          let event = tsax.next();
+          while (event !== "needMoreInput") {
+            if (event === "error") {
+              return tsax.error();
+            }
+            event = tsax.next();
+          }
+        }
+        return undefined;
+      }
+
+      const x = "x".repeat(100);
+      const limits = {maxTextLength: 10, maxNameLength: 10, maxAttributeLength: 10};
+      expect(pendingError(`<a><![CDATA[0123456789]]`, limits)).to.equal(undefined);
+      expect(pendingError(`<a><![CDATA[${x}`, limits)).to.equal(
+        "Text exceeds the maximum length of 10 at 1:13"
+      );
+      expect(pendingError(`<a><!--0123456789--`, limits)).to.equal(undefined);
+      expect(pendingError(`<a><!--${x}`, limits)).to.match(/^Text .* at 1:8$/);
+      expect(pendingError(`<a><?pi 0123456789?`, limits)).to.equal(undefined);
+      expect(pendingError(`<a><?pi ${x}`, limits)).to.match(/^Text .* at 1:9$/);
+      expect(pendingError(`<a><?${x}`, limits)).to.match(/^Name .* at 1:6$/);
+      expect(pendingError(`<a><${x}`, limits)).to.match(/^Name .* at 1:5$/);
+      expect(pendingError(`<a></${x}`, limits)).to.match(/^Name .* at 1:6$/);
+      expect(pendingError(`<a><b c="0123456789" d='`, limits)).to.equal(undefined);
+      expect(pendingError(`<a><b c="1" ${x}`, limits)).to.match(/^Name .* at 1:13$/);
+      expect(pendingError(`<a><b c="1" d='${x}`, limits)).to.equal(
+        "Attribute value exceeds the maximum length of 10 at 1:16"
+      );
+      expect(pendingError(`<a><b${" c='1'".repeat(10)}`, {maxAttributes: 3})).to.equal(
+        "Number of attributes exceeds the maximum of 3 at 1:25"
+      );
+    });
+
+    it("keeps reporting a limit exceeded by an incomplete event", function() {
+      const tsax = tSax(undefined, {limits: {maxTextLength: 10}});
+      tsax.write("<a>0123456789");
+      assertNextState(tsax, "startTag", "a", {});
+      expect(tsax.next()).to.equal("needMoreInput");
+      tsax.write("0");
+      expect(tsax.next()).to.equal("error");
+      expect(tsax.error()).to.equal("Text exceeds the maximum length of 10 at 1:4");
+      tsax.write("<b/></a>");
+      tsax.end();
+      expect(tsax.next()).to.equal("error");
+      expect(tsax.error()).to.equal("Text exceeds the maximum length of 10 at 1:4");
+      expect(tsax.next()).to.equal("error");
+    });
+
+    it("limits entity expansion", function() {
+      let xml = `<!DOCTYPE r [<!ENTITY l0 "lol">`;
+      for (let i = 1; i < 10; i++) {
+        xml += `<!ENTITY l${i} "${`&l${i - 1};`.repeat(10)}">`;
+      }
+      expect(firstError(xml + "]><r>&l1;</r>", {maxEntityExpansion: 100})).to.equal(undefined);
+      expect(firstError(xml + "]><r>&l9;</r>", {maxEntityExpansion: 1000})).to.match(
+        /^Entity expansion exceeds the maximum of 1000 characters/
+      );
+    });
+
+    it("counts each entity reference once", function() {
+      const xml = `<!DOCTYPE r [<!ENTITY e "12345">]><r a="&e;">&e;</r>`;
+      const tsax = tSax(xml, {strict: true, limits: {maxEntityExpansion: 10}});
+      tsax.next();
+      expect(tsax.next()).to.equal("startTag");
+      expect(tsax.attribute("a")).to.equal("12345");
+      expect(tsax.attribute("a")).to.equal("12345");
+      expect(tsax.next()).to.equal("text");
+      expect(tsax.text()).to.equal("12345");
+      expect(tsax.text()).to.equal("12345");
+      const limited = tSax(xml, {strict: true, limits: {maxEntityExpansion: 9}});
+      limited.next();
+      limited.next();
+      // Strict mode checks the references when reading the event
+      expect(limited.next()).to.equal("error");
+      expect(limited.error()).to.match(/^Entity expansion exceeds the maximum of 9 characters/);
+    });
+  });
+
+  describe("raw ranges and patches", function() {
+    const xml = `<a>\n  <b n="1" id='x'>text</b>\n</a>`;
+
+    it("reports the raw ranges of events and attribute values", function() {
+      const tsax = tSax(xml);
+      expect(tsax.next()).to.equal("startTag");
+      expect(tsax.rawRange()).to.deep.equal({start: 0, end: 3});
+      tsax.next();
+      expect(tsax.next()).to.equal("startTag");
+      expect(tsax.rawRange()).to.deep.equal({start: 6, end: 22});
+      expect(tsax.rawRange("n")).to.deep.equal({start: 12, end: 13});
+      expect(tsax.rawRange("id")).to.deep.equal({start: 19, end: 20});
+      expect(tsax.rawRange("missing")).to.equal(undefined);
+      expect(tsax.next()).to.equal("text");
+      expect(tsax.rawRange()).to.deep.equal({start: 22, end: 26});
+    });
+
+    it("reports offsets in the complete input when parsing incrementally", function() {
+      const tsax = tSax();
+      tsax.write("<a>");
+      tsax.next();
+      tsax.write(`<b n="1"/>`);
+      expect(tsax.next()).to.equal("singleTag");
+      expect(tsax.rawRange()).to.deep.equal({start: 3, end: 13});
+      expect(tsax.rawRange("n")).to.deep.equal({start: 9, end: 10});
+    });
+
+    it("patches the source, leaving everything else untouched", function() {
+      const tsax = tSax(xml);
+      const patch = xmlPatch(xml);
+      tsax.next();
+      tsax.next();
+      tsax.next();
+      patch.replaceText(tsax.rawRange("id"), `'y"`);
+      patch.insert(22, "new ");
+      patch.insert(22, "<c/>");
+      patch.replace(tsax.rawRange("n"), "2");
+      tsax.next();
+      patch.remove(tsax.rawRange());
+      expect(patch.toString()).to.equal(
+        `<a>\n  <b n="2" id='&apos;y&quot;'>new <c/></b>\n</a>`
+      );
+    });
+
+    it("rejects overlapping and invalid ranges", function() {
+      const patch = xmlPatch(xml);
+      patch.replace({start: 3, end: 6}, "");
+      expect(() => patch.replace({start: 5, end: 8}, "")).to.throw(/overlaps/);
+      expect(() => patch.insert(4, "")).to.throw(/overlaps/);
+      expect(() => patch.insert(100, "")).to.throw(/Invalid range/);
+      expect(() => patch.replace(undefined, "")).to.throw();
+      patch.insert(6, "!");
+      expect(patch.toString()).to.equal(`<a>!<b n="1" id='x'>text</b>\n</a>`);
+    });
+  });
+
+  describe("checkpoints", function() {
+    const xml =
+      `<!DOCTYPE score [<!ENTITY c "clef">]>\n<score xmlns="urn:s" xmlns:x="urn:x">\n` +
+      `  <measure n="1" xml:space="preserve"><note x:id="a">&c;</note></measure>\n` +
+      `  <measure n="2"><note/></measure>\n</score>`;
+    const options = {namespaces: true, strict: true, whitespace: /** @type {"drop"} */ ("drop")};
+
+    /**
+     * @param {import("../tsax").TSax} tsax
+     * @returns {string[]}  The remaining events with their details
+     */
+    function rest(tsax) {
+      /** @type {string[]} */
+      const events = [];
+      for (const event of tsax) {
+        const line = tsax.position().start.line;
+        const path = tsax.path().join("/");
+        events.push([event.type, tsax.namespaceURI(), event.text(), path, line].join());
+      }
+      return events;
+    }
+
+    it("resumes parsing from a checkpoint", function() {
+      const tsax = tSax(xml, options);
+      while (tsax.next() !== "startTag" || tsax.tagName() !== "note") {
+        // Find the first note
+      }
+      const checkpoint = JSON.parse(JSON.stringify(tsax.checkpoint()));
+      expect(checkpoint.offset).to.equal(tsax.rawRange().end);
+      expect(checkpoint.elements.map((element) => element.tagName)).to.deep.equal([
+        "score",
+        "measure",
+        "note",
+      ]);
+      const resumed = tSax(xml, Object.assign({checkpoint: checkpoint}, options));
+      expect(resumed.path(true)[1].attributes).to.deep.equal({n: "1", "xml:space": "preserve"});
+      expect(rest(resumed)).to.deep.equal(rest(tsax));
+    });
+
+    it("resumes parsing incrementally written input", function() {
+      const tsax = tSax(xml, options);
+      while (tsax.next() !== "endTag" || tsax.tagName() !== "measure") {
+        // Find the end of the first measure
+      }
+      const checkpoint = tsax.checkpoint();
+      const resumed = tSax(undefined, Object.assign({checkpoint: checkpoint}, options));
+      resumed.write(xml.substring(checkpoint.offset));
+      resumed.end();
+      expect(rest(resumed)).to.deep.equal(rest(tsax));
+    });
+
+    it("resumes from checkpoints of binary input", function() {
+      const xml = "<r>\u00E9\u20AC\uD834\uDD1E<m/>\u00E9</r>";
+      for (const encoding of ["utf-8", "utf-16be"]) {
+        /** @param {string} string */
+        const encode = (string) =>
+          encoding === "utf-8" ? Buffer.from(string) : Buffer.from(string, "utf16le").swap16();
+        const byteOrderMark = Buffer.from(encoding === "utf-8" ? [] : [0xfe, 0xff]);
+        const bytes = Buffer.concat([byteOrderMark, encode(xml)]);
+        // Split the input inside the "<m/>" tag so that the input before it
+        // is discarded when writing the rest
+        const split = bytes.indexOf(encode("<m")) + encode("<").length;
+        const tsax = tSax();
+        tsax.write(bytes.subarray(0, split));
+        assertNextState(tsax, "startTag", "r", {});
+        assertNextState(tsax, "text", "\u00E9\u20AC\uD834\uDD1E");
+        expect(tsax.next()).to.equal("needMoreInput");
+        tsax.write(bytes.subarray(split));
+        tsax.end();
+        assertNextState(tsax, "singleTag", "m", {});
+        const checkpoint = tsax.checkpoint();
+        expect(checkpoint.encoding).to.equal(encoding);
+        expect(checkpoint.offset).to.equal(xml.indexOf("/>") + 2);
+        const resumed = tSax(undefined, {checkpoint: checkpoint});
+        resumed.write(bytes.subarray(/** @type {number} */ (checkpoint.byteOffset)));
+        resumed.end();
+        assertNextState(resumed, "text", "\u00E9");
+        assertNextState(resumed, "endTag", "r");
+      }
+    });
+
+    it("can not be created while skipping", function() {
+      const tsax = tSax();
+      tsax.write("<a><b>");
+      tsax.next();
+      expect(tsax.skipElement()).to.equal("needMoreInput");
+      expect(() => tsax.checkpoint()).to.throw();
+    });
+  });
+
+  describe("element index", function() {
+    const xml =
+      `<!DOCTYPE mei [<!ENTITY n "note">]>\n<mei>\n  <measure xml:id="m1">\n` +
+      `    <note xml:id="n1">&n;</note><rest/>\n  </measure>\n  <measure xml:id="m2"/>\n</mei>`;
+
+    it("indexes elements by name and xml:id", function() {
+      const index = buildIndex(xml, {tagNames: ["rest"]});
+      expect(index.length).to.equal(4);
+      expect(Array.from(index.starts)).to.deep.equal([44, 70, 98, 121]);
+      expect(Array.from(index.ends)).to.deep.equal([118, 98, 105, 143]);
+      expect(Array.from(index.depths)).to.deep.equal([2, 3, 3, 2]);
+      expect(Array.from(index.lines)).to.deep.equal([3, 4, 4, 6]);
+      expect(Array.from(index.columns)).to.deep.equal([3, 5, 33, 3]);
+      expect(Array.from(index.nameIds, (id) => index.names[id])).to.deep.equal([
+        "measure",
+        "note",
+        "rest",
+        "measure",
+      ]);
+      expect(index.ids).to.deep.equal(["m1", "n1", "", "m2"]);
+      const note = xml.substring(index.starts[1], index.ends[1]);
+      expect(note).to.equal(`<note xml:id="n1">&n;</note>`);
+      expect(buildIndex(xml, {ids: false, tagNames: ["rest"]}).length).to.equal(1);
+    });
+
+    it("starts parsers at indexed elements", function() {
+      const index = buildIndex(xml);
+      expect(index.find("m3")).to.equal(-1);
+      const tsax = tSax(xml, {checkpoint: index.checkpoint(index.find("n1"))});
+      assertNextState(tsax, "startTag", "note", {"xml:id": "n1"});
+      assertNextState(tsax, "text", "note");
+      expect(tsax.position().start).to.deep.equal({offset: 88, line: 4, column: 23});
+      expect(() => index.checkpoint(-1)).to.throw();
+    });
+
+    it("restores the ancestors of indexed elements", function() {
+      const xml =
+        `<mei xmlns="urn:mei" xmlns:x="urn:x">\n  <section xml:space="preserve">` +
+        `<measure x:id="m1"> <note/> </measure></section>\n</mei>`;
+      const options = {strict: true, namespaces: true, whitespace: /** @type {"drop"} */ ("drop")};
+      const index = buildIndex(xml, {tagNames: ["mei", "measure"], parser: options});
+      for (let entry = 0; entry < index.length; entry++) {
+        const tsax = tSax(xml, Object.assign({checkpoint: index.checkpoint(entry)}, options));
+        expect(tsax.next()).to.equal("startTag");
+        expect(tsax.depth()).to.equal(index.depths[entry]);
+        /** @type {string[]} */
+        const events = [];
+        for (const event of tsax) {
+          events.push(`${event.type}:${tsax.namespaceURI() || event.text()}:${tsax.depth()}`);
+        }
+        expect(events.slice(-3)).to.deep.equal([
+          "endTag:urn:mei:3",
+          "endTag:urn:mei:2",
+          "endTag:urn:mei:1",
+        ]);
+        if (entry > 0) {
+          expect(events.slice(0, 3)).to.deep.equal([
+            "text: :3",
+            "singleTag:urn:mei:4",
+            "text: :3",
+          ]);
+        }
+      }
+    });
+
+    it("persists indexes as bytes", function() {
+      const index = buildIndex(xml);
+      const loaded = loadIndex(index.toBytes());
+      for (const key of ["starts", "ends", "depths", "lines", "columns", "nameIds", "parents"]) {
+        expect(loaded[key]).to.deep.equal(index[key]);
+      }
+      expect(loaded.names).to.deep.equal(index.names);
+      expect(loaded.ids).to.deep.equal(index.ids);
+      expect(loaded.ancestors).to.deep.equal(JSON.parse(JSON.stringify(index.ancestors)));
+      expect(loaded.checkpoint(loaded.find("m2"))).to.deep.equal(index.checkpoint(2));
+    });
+
+    it("throws on malformed input", function() {
+      expect(() => buildIndex("<a><b></a>", {parser: {strict: true}})).to.throw(/Expected end tag/);
+    });
+  });
+
+  describe("xmlReader()", function() {
+    const xml =
+      `<?xml version="1.0"?>\n<!-- staves -->\n<staffGrp>\n` +
+      `  <staffDef n="1"><label>Vio<!-- -->lin <![CDATA[I]]><num>!</num></label></staffDef>\n` +
+      `  <staffDef n="2"><clef/><label>Viola</label></staffDef>\n` +
+      `  text <staffDef n="3"/>\n</staffGrp>`;
+
+    it("expects start tags", function() {
+      const tsax = tSax(xml);
+      const reader = xmlReader(tsax);
+      reader.expectStart("staffGrp");
+      reader.expectStart();
+      expect(tsax.attribute("n")).to.equal("1");
+      expect(() => reader.expectStart("staffDef")).to.throw(
+        "Expected <staffDef>, found <label> at 4:19"
+      );
+      // Skip the text and the comment
+      tsax.next();
+      tsax.next();
+      expect(() => reader.expectStart()).to.throw("Expected <any element>, found text at 4:37");
+    });
+
+    it("reads element text", function() {
+      const tsax = tSax(xml);
+      const reader = xmlReader(tsax);
+      expect(reader.readToDescendant("label")).to.equal(true);
+      expect(reader.readElementText()).to.equal("Violin I!");
+      expect(tsax.eventType()).to.equal("endTag");
+      expect(tsax.tagName()).to.equal("label");
+      expect(() => reader.readElementText()).to.throw(
+        "readElementText() expects a start tag, found </label> at 4:66"
+      );
+    });
+
+    it("iterates over children, skipping what was not read", function() {
+      const tsax = tSax(xml);
+      const reader = xmlReader(tsax);
+      reader.expectStart("staffGrp");
+      /** @type {string[]} */
+      const labels = [];
+      reader.forEachChild(function(tagName) {
+        expect(tagName).to.equal("staffDef");
+        const n = tsax.attribute("n");
+        if (n === "1") {
+          // Read only part of the element
+          tsax.next();
+        } else if (reader.readToDescendant("label")) {
+          labels.push(reader.readElementText());
+        }
+        labels.push(`n=${n}`);
+      });
+      expect(labels).to.deep.equal(["n=1", "Viola", "n=2", "n=3"]);
+      expect(tsax.eventType()).to.equal("endTag");
+      expect(tsax.tagName()).to.equal("staffGrp");
+    });
+
+    it("reports descendants that are not found", function() {
+      const tsax = tSax(xml);
+      const reader = xmlReader(tsax);
+      reader.expectStart("staffGrp");
+      reader.expectStart("staffDef");
+      expect(reader.readToDescendant("clef")).to.equal(false);
+      expect(tsax.tagName()).to.equal("staffDef");
+      expect(() => reader.readToDescendant("clef")).to.throw(/expects a start tag/);
+      expect(xmlReader(tSax("<a/>")).readToDescendant("b")).to.equal(false);
+    });
+
+    it("reports parser errors and incomplete input", function() {
+      const reader = xmlReader(tSax("<a><b></a>", {strict: true}));
+      reader.expectStart("a");
+      expect(() => reader.forEachChild(() => {})).to.throw(
+        "Expected end tag </b>, found </a> at 1:7"
+      );
+      const incomplete = xmlReader(tSax("<a>text"));
+      incomplete.expectStart("a");
+      expect(() => incomplete.readToDescendant("b")).to.throw("Unexpected end of file at 1:4");
+    });
+  });
+  describe("mapElements()", function() {
+    const xml =
+      `<score>\n` +
+      `  <measure n="1" right="dbl" metcon="true">\n` +
+      `    <staff n="1"><layer>notes</layer></staff>\n` +
+      `    <staff n="2"/>\n` +
+      `    <tempo>Alle<rend>gro</rend> <![CDATA[&]]> vivace</tempo>\n` +
+      `  </measure>\n` +
+      `  <measure n="2" metcon="0"/>\n` +
+      `</score>`;
+    const schema = {
+      attributes: {n: "number", right: "dbl|end|single", metcon: "boolean"},
+      children: {staff: [{attributes: {n: "number"}}], tempo: {text: "string"}},
+    };
+
+    it("maps elements as declared by the schema", function() {
+      const measures = [...mapElements(tSax(xml), "measure", schema)];
+      expect(measures).to.deep.equal([
+        {
+          n: 1,
+          right: "dbl",
+          metcon: true,
+          staff: [{n: 1}, {n: 2}],
+          tempo: {text: "Allegro & vivace"},
+        },
+        {n: 2, metcon: false, staff: [], tempo: undefined},
+      ]);
+      // The types are inferred from the schema
+      /** @type {number | undefined} */
+      const n = measures[0].n;
+      /** @type {"dbl" | "end" | "single" | undefined} */
+      const right = measures[0].right;
+      /** @type {string | undefined} */
+      const tempo = measures[0].tempo && measures[0].tempo.text;
+      expect([n, right, tempo]).to.deep.equal([1, "dbl", "Allegro & vivace"]);
+    });
+
+    it("excludes the text of mapped children", function() {
+      const mapped = [
+        ...mapElements(tSax("<p>A <b>bold</b> <i>move</i></p>"), "p", {
+          children: {b: {}},
+          text: "string",
+        }),
+      ];
+      expect(mapped).to.deep.equal([{b: {}, text: "A  move"}]);
+    });
+
+    it("converts text", function() {
+      const tsax = tSax("<list><n> 1.5 </n><n>-.5</n><n>2e3</n></list>");
+      const numbers = mapElements(tsax, "n", {text: "number"});
+      expect(numbers.next().value).to.deep.equal({text: 1.5});
+      expect(numbers.next().value).to.deep.equal({text: -0.5});
+      expect(() => numbers.next()).to.throw('Invalid text "2e3", expected number in <n> at 1:29');
+      for (const numeral of ["0x10", "Infinity", "1_000", ""]) {
+        const mapped = mapElements(tSax(`<n>${numeral}</n>`), "n", {text: "number"});
+        expect(() => mapped.next()).to.throw(/^Invalid text/);
+      }
+    });
+
+    it("maps properties with any name", function() {
+      /** @type {import("../tsax").ElementSchema} */
+      const schema = {attributes: {constructor: "string"}, children: {["__proto__"]: {}}};
+      const [mapped] = mapElements(tSax(`<a constructor="c"><__proto__/></a>`), "a", schema);
+      expect(Object.getPrototypeOf(mapped)).to.equal(Object.prototype);
+      expect(Object.keys(mapped)).to.deep.equal(["constructor", "__proto__"]);
+      expect(mapped.constructor).to.equal("c");
+      const [unmapped] = mapElements(tSax("<a><toString/></a>"), "a", {});
+      expect(unmapped).to.deep.equal({});
+    });
+
+    it("rejects schemas with colliding properties", function() {
+      /** @type {import("../tsax").ElementSchema} */
+      const section = {attributes: {n: "number"}};
+      section.children = {section: [section], n: {}};
+      expect(() => mapElements(tSax("<a/>"), "section", section).next()).to.throw(
+        'Property "n" of <section> is both an attribute and a child'
+      );
+      const text = {attributes: {text: "string"}, text: /** @type {"string"} */ ("string")};
+      expect(() => mapElements(tSax("<a/>"), "a", {children: {b: text}}).next()).to.throw(
+        'Property "text" of <b> is both the text and an attribute or child'
+      );
+    });
+
+    it("reports invalid attribute values", function() {
+      const tsax = tSax(`<measure n="1" right="double"/>`);
+      expect(() => [...mapElements(tsax, "measure", schema)]).to.throw(
+        'Invalid value of attribute "right" "double", expected dbl|end|single in <measure> at 1:1'
+      );
+      expect(() => [...mapElements(tSax(`<measure metcon="yes"/>`), "measure", schema)]).to.throw(
+        'Invalid value of attribute "metcon" "yes", expected boolean'
+      );
+    });
+
+    it("reports repeated single children", function() {
+      const tsax = tSax("<measure>\n  <tempo/><tempo/>\n</measure>");
+      expect(() => [...mapElements(tsax, "measure", schema)]).to.throw(
+        "Unexpected second <tempo> in <measure> at 1:1"
+      );
+    });
+
+    it("reports parse errors", function() {
+      const strict = tSax(`<measure n="1"><staff></measure>`, {strict: true});
+      expect(() => [...mapElements(strict, "measure", schema)]).to.throw(
+        "Expected end tag </staff>, found </measure> at 1:23"
+      );
+      const lenient = tSax(`<measure n="1"><staff></staff>`);
+      expect(() => [...mapElements(lenient, "measure", schema)]).to.throw(
+        "Unexpected end of file in <measure> at 1:1"
+      );
+      const tsax = tSax();
+      tsax.write("<measure><staff>");
+      expect(() => [...mapElements(tsax, "measure", schema)]).to.throw("Unexpected end of input");
+    });
+  });
 });
 
 // describe("example", function() {
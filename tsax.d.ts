@@ -1,45 +1,917 @@
-export type EventType = "cdata" | "comment" | "doctype" | "endTag" | "eof" | "error" | "processingInstruction" | "singleTag" | "startTag" | "text";
+export type EventType = "cdata" | "comment" | "doctype" | "endTag" | "eof" | "error" | "needMoreInput" | "processingInstruction" | "singleTag" | "startTag" | "text" | "xmlDeclaration";
 export type Attributes = {
     [attributeName: string]: string;
 };
+export type NamespacedAttribute = {
+    value: string;
+    prefix: string;
+    localName: string;
+    namespaceURI: string;
+};
+export type NamespacedAttributes = {
+    [attributeName: string]: NamespacedAttribute;
+};
+/**
+ * `offset` counts UTF-16 code units from the start of the input and
+ * is 0-based. For binary input, it refers to the decoded input, not counting
+ * a byte order mark. `line` and `column` are 1-based.
+ */
+export type Position = {
+    offset: number;
+    line: number;
+    column: number;
+};
+export type PositionRange = {
+    start: Position;
+    end: Position;
+};
+/**
+ * A span of the input, given
+ * by offsets like those of `Position`. `end` is exclusive.
+ */
+export type Range = {
+    start: number;
+    end: number;
+};
+/**
+ * An error found
+ * in recover mode
+ */
+export type Diagnostic = {
+    message: string;
+    position: Position;
+};
+/**
+ * The subset of the `TextDecoder` interface we use
+ */
+export type Decoder = {
+    encoding: string;
+    decode: (bytes: Uint8Array, options?: {
+        stream?: boolean;
+    }) => string;
+};
+/**
+ * The data of an event that stays valid after the parser
+ * advanced. The values are the same as returned by the parser's methods of
+ * the same names while the event was current. `error` is also set if
+ * resolving entities failed. Attributes and text are only resolved when
+ * first requested, which also applies to `error` then.
+ */
+export type EventSnapshot = {
+    type: Exclude<EventType, "eof" | "needMoreInput">;
+    tagName: string | undefined;
+    piTarget: string | undefined;
+    error: string | undefined;
+    attributes: () => Attributes | undefined | "error";
+    text: () => string | undefined;
+};
+export type PathElement = {
+    tagName: string;
+    attributes: Attributes | "error";
+};
+/**
+ * Positions are offsets in the complete input. `attributes` is
+ * only set once requested. `preserveSpace` is only maintained if the
+ * `whitespace` option is used.
+ */
+export type OpenElement = {
+    tagName: string;
+    tagNameEnd: number;
+    tagEnd: number;
+    attributes: Attributes | "error" | undefined;
+    preserveSpace: boolean;
+};
+/**
+ * An open element of a checkpoint. `namespaces` holds the
+ * namespace declarations of the element, if any.
+ */
+export type CheckpointElement = {
+    tagName: string;
+    attributes: Attributes;
+    preserveSpace: boolean;
+    namespaces?: {
+        [prefix: string]: string;
+    } | undefined;
+};
+/**
+ * The state of a parser between two events, as returned by
+ * `checkpoint()`. It only consists of plain data, so it can be serialized as
+ * JSON. `offset`, `line` and `column` give the position where parsing
+ * resumes, `offset` counting characters (UTF-16 code units). `encoding` and
+ * `byteOffset` are only set for binary input, `byteOffset` being the offset
+ * in bytes where parsing resumes.
+ */
+export type Checkpoint = {
+    offset: number;
+    line: number;
+    column: number;
+    elements: CheckpointElement[];
+    generalEntities: {
+        [entity: string]: string | null;
+    };
+    parameterEntities: {
+        [entity: string]: string | null;
+    };
+    rootElementSeen: boolean;
+    doctypeSeen: boolean;
+    rawTextElement?: string | undefined;
+    encoding?: string | undefined;
+    byteOffset?: number | undefined;
+};
+export type TreeParentMethods = {
+    children: (tagName?: string) => TreeElement[];
+    textContent: () => string;
+    find: (match: string | ((element: TreeElement) => boolean)) => TreeElement | undefined;
+    findAll: (match: string | ((element: TreeElement) => boolean)) => TreeElement[];
+};
+export type TreeDocument = TreeParentMethods & {
+    type: "document";
+    childNodes: TreeNode[];
+    doctype: string | undefined;
+};
+/**
+ * `start` and `end` are the offsets of the start tag's "<" and
+ * right after the end tag's ">".
+ */
+export type TreeElement = TreeParentMethods & {
+    type: "element";
+    tagName: string;
+    attributes: Attributes;
+    childNodes: TreeNode[];
+    parent: TreeParent;
+    start: number;
+    end: number;
+};
+export type TreeText = {
+    type: "text";
+    text: string;
+    cdata: boolean;
+    parent: TreeParent;
+    start: number;
+    end: number;
+};
+export type TreeComment = {
+    type: "comment";
+    text: string;
+    parent: TreeParent;
+    start: number;
+    end: number;
+};
+export type TreeProcessingInstruction = {
+    type: "processingInstruction";
+    target: string;
+    text: string;
+    parent: TreeParent;
+    start: number;
+    end: number;
+};
+export type TreeNode = TreeElement | TreeText | TreeComment | TreeProcessingInstruction;
+export type TreeParent = TreeDocument | TreeElement;
+/**
+ * If `indent` is set, output is pretty-printed, indenting each
+ * level with the given string. To not alter text content, no more indentation
+ * is added inside an element once text was written to it. If `output` is set,
+ * all output is passed to this function instead of being buffered.
+ */
+export type WriterOptions = {
+    indent?: string | undefined;
+    output?: ((chunk: string) => void) | undefined;
+};
+export type DoctypeOptions = {
+    publicId?: string;
+    systemId?: string;
+    internalSubset?: string;
+};
+export type XmlWriter = {
+    startElement: (tagName: string) => XmlWriter;
+    attribute: (name: string, value: string) => XmlWriter;
+    text: (text: string) => XmlWriter;
+    cdata: (text: string) => XmlWriter;
+    comment: (text: string) => XmlWriter;
+    pi: (target: string, data?: string) => XmlWriter;
+    endElement: (tagName?: string) => XmlWriter;
+    doctype: (name: string, options?: DoctypeOptions) => XmlWriter;
+    copyEvent: (tsax: TSax) => XmlWriter;
+    toString: () => string;
+};
+export type Options = {
+    /**
+     * If `true`, namespace declarations are
+     * tracked so that `namespaceURI()` and `namespacedAttributes()` become
+     * available. Use of undeclared prefixes is reported as an error.
+     */
+    namespaces?: boolean | undefined;
+    /**
+     * If `true`, the well-formedness constraints of
+     * XML 1.0 are enforced, like proper nesting of elements, unique attribute
+     * names, valid names and a single root element. Violations are reported as
+     * `"error"` events.
+     */
+    strict?: boolean | undefined;
+    /**
+     * How
+     * whitespace in text is handled. With `"keep"`, the default, text is reported
+     * as is. With `"drop"`, `"text"` events only consisting of whitespace are
+     * skipped. `"trim"` additionally removes leading and trailing whitespace from
+     * `text()`, and `"collapse"` also replaces each sequence of whitespace inside
+     * the text by a single space. Inside elements with `xml:space="preserve"`,
+     * whitespace is always kept, until an element resets it with
+     * `xml:space="default"`. Text is considered whitespace only if its source
+     * does, i.e. character references like `&#32;` are content. CDATA sections
+     * are never altered.
+     */
+    whitespace?: "keep" | "drop" | "trim" | "collapse" | undefined;
+    /**
+     * If `true`, input is parsed leniently as HTML
+     * tag soup: Attribute values may be unquoted or missing (the value then is
+     * the empty string), and `"&"` or `"<"` that don't start a reference or tag
+     * are text. Tag and attribute names are reported in lower case. HTML void
+     * elements like `<br>` are reported as `"singleTag"`, as are self closing
+     * tags like `<span/>`, unlike in HTML. End tags that HTML
+     * lets authors omit, like those of `<p>` or `<li>`, are reported as
+     * `"endTag"` events of zero length, as are the end tags of elements that are
+     * still open at an end tag of an ancestor or at the end of the input. Stray
+     * end tags are ignored. The content of `<script>` and `<style>` is reported
+     * as text, without resolving references. HTML 4 entities are resolved, and
+     * text at the end of the input is reported. Can not be combined with
+     * `strict`.
+     */
+    html?: boolean | undefined;
+    /**
+     * If `true`, errors are not reported as
+     * `"error"` events. Instead, they are collected in `diagnostics()`, and
+     * parsing continues at the next `"<"` after the error. Events that violate
+     * the constraints of strict mode or of namespaces are dropped, as are the end
+     * tags of dropped start tags. In strict mode, an end tag that doesn't match
+     * the innermost open element closes the elements inside the matching one by
+     * `"endTag"` events of zero length, each reported as an error. Errors that
+     * make the input unreadable, like undecodable bytes, are still reported as
+     * `"error"` events.
+     */
+    recover?: boolean | undefined;
+    /**
+     * Limits that protect against hostile input
+     */
+    limits?: Limits | undefined;
+    /**
+     * If set, parsing resumes where the
+     * checkpoint was created. The input passed to `tSax()` must be the complete
+     * input as when the checkpoint was created. When parsing incrementally,
+     * the written input must instead start at the checkpoint's `offset`, or for
+     * binary input at its `byteOffset`. The options should be the same as when
+     * the checkpoint was created.
+     */
+    checkpoint?: Checkpoint | undefined;
+};
+/**
+ * Each limit that is exceeded is reported as an
+ * `"error"` event with a distinct message. Limits that are not set are not
+ * enforced.
+ */
+export type Limits = {
+    /**
+     * Maximum nesting depth of elements, where the
+     * root element has depth 1
+     */
+    maxDepth?: number | undefined;
+    /**
+     * Maximum length of tag, attribute and
+     * processing instruction target names
+     */
+    maxNameLength?: number | undefined;
+    /**
+     * Maximum number of attributes per element
+     */
+    maxAttributes?: number | undefined;
+    /**
+     * Maximum length of text, CDATA
+     * sections, comments and processing instruction data, as found in the
+     * source.
+     */
+    maxTextLength?: number | undefined;
+    /**
+     * Maximum length of attribute
+     * values, as found in the source
+     */
+    maxAttributeLength?: number | undefined;
+    /**
+     * Maximum number of characters
+     * inserted by references to entities declared in the doctype, in total.
+     * As references are resolved on request, e.g. by `text()`, only references
+     * in text that is unescaped count. Each reference counts once, however
+     * often its text is unescaped. Errors are reported like other errors of
+     * unescaping.
+     *
+     * When parsing incrementally, limits are also enforced on incomplete events
+     * at the end of the input, so that overly long input is reported before
+     * it's complete. Unless in recover mode, such an error is permanent: every
+     * further call of `next()` reports it again, and further input is ignored.
+     */
+    maxEntityExpansion?: number | undefined;
+};
+/**
+ * If
+ * `stripWhitespace` is `true`, text nodes only consisting of whitespace are
+ * dropped.
+ */
+export type TreeOptions = Options & {
+    stripWhitespace?: boolean;
+};
 export type TSax = {
     next: () => EventType;
+    eventType: () => EventType | undefined;
     tagName: () => string | undefined;
     localName: () => string | undefined;
     prefix: () => string | undefined;
+    namespaceURI: () => string | undefined;
     piTarget: () => string | undefined;
+    version: () => string | undefined;
+    encoding: () => string | undefined;
+    standalone: () => boolean | undefined;
     text: (raw?: boolean) => string | undefined;
     attributes: (raw?: boolean) => Attributes | undefined | "error";
+    namespacedAttributes: (raw?: boolean) => NamespacedAttributes | undefined | "error";
+    attribute: (name: string, raw?: boolean) => string | undefined | "error";
+    nextAttribute: () => boolean | "error";
+    attributeName: () => string | undefined;
+    attributeValue: (raw?: boolean) => string | undefined;
     error: () => string | undefined;
+    diagnostics: () => Diagnostic[];
+    position: () => PositionRange;
+    rawRange: (attributeName?: string) => Range | undefined;
+    checkpoint: () => Checkpoint;
+    skipElement: () => EventType;
+    depth: () => number;
+    path: <T extends boolean = false>(withAttributes?: T | undefined) => T extends true ? PathElement[] : string[];
+    write: (chunk: string | Uint8Array) => void;
+    end: () => void;
+    [Symbol.iterator]: () => IterableIterator<EventSnapshot>;
+};
+export type XmlReader = {
+    expectStart: (tagName?: string) => void;
+    readElementText: () => string;
+    forEachChild: (callback: (tagName: string) => void) => void;
+    readToDescendant: (tagName: string) => boolean;
+};
+/**
+ * How a string from the XML is converted: `"string"` keeps it as is,
+ * `"number"` accepts decimal numerals like "-1.5" and `"boolean"` accepts
+ * "true", "false", "1" and "0", each with optional surrounding whitespace.
+ * Any other string lists the allowed values of an enumeration, separated by
+ * "|", like `"left|right|center"`.
+ */
+export type ValueSchema = "string" | "number" | "boolean" | `${string}|${string}`;
+/**
+ * Declares how an element is mapped to an object. Each
+ * attribute listed in `attributes` becomes a property of the same name,
+ * which is missing if the attribute is. Each child element listed in
+ * `children` becomes a property named after its tag name. If its schema is
+ * wrapped in an array, all such children are collected in an array,
+ * otherwise there may only be one. If `text` is set, the text content of
+ * the element, excluding that of mapped children, becomes property `text`.
+ */
+export type ElementSchema = {
+    attributes?: {
+        [attributeName: string]: ValueSchema;
+    } | undefined;
+    children?: {
+        [tagName: string]: ElementSchema | [ElementSchema];
+    } | undefined;
+    text?: ValueSchema | undefined;
+};
+export type EnumValue<V> = V extends `${infer Value}|${infer Rest}` ? Value | EnumValue<Rest> : V;
+export type MappedValue<V extends ValueSchema> = V extends "string" ? string : V extends "number" ? number : V extends "boolean" ? boolean : EnumValue<V>;
+/**
+ * The type of the objects that `mapElements()` produces for schema `S`
+ */
+export type Mapped<S extends ElementSchema> = (S extends {
+    attributes: infer A;
+} ? { [Name in keyof A]?: (A[Name] extends ValueSchema ? MappedValue<A[Name]> : never) | undefined; } : {}) & (S extends {
+    children: infer C;
+} ? { [Name_1 in keyof C]: C[Name_1] extends [infer E] ? E extends ElementSchema ? Mapped<E>[] : never : C[Name_1] extends ElementSchema ? Mapped<C[Name_1]> | undefined : never; } : {}) & (S extends {
+    text: infer T;
+} ? {
+    text: T extends ValueSchema ? MappedValue<T> : never;
+} : {});
+export type XmlPatch = {
+    replace: (range: Range | undefined, markup: string) => XmlPatch;
+    replaceText: (range: Range | undefined, text: string) => XmlPatch;
+    insert: (offset: number, markup: string) => XmlPatch;
+    remove: (range: Range | undefined) => XmlPatch;
+    toString: () => string;
+};
+/**
+ * The subset of sax-js options that is
+ * supported.
+ */
+export type SaxOptions = {
+    /**
+     * If `true`, whitespace is trimmed from text.
+     */
+    trim?: boolean | undefined;
+    /**
+     * If `true`, whitespace in text is collapsed
+     * to single spaces.
+     */
+    normalize?: boolean | undefined;
+    /**
+     * If `true`, tag and attribute names are
+     * lower cased instead of upper cased in non-strict mode.
+     */
+    lowercase?: boolean | undefined;
+    /**
+     * If `true`, namespaces are resolved and tags and
+     * attributes are reported with their prefix, local name and namespace URI.
+     */
+    xmlns?: boolean | undefined;
+};
+export type SaxAttribute = {
+    name: string;
+    value: string;
+};
+export type SaxQualifiedAttribute = {
+    name: string;
+    value: string;
+    prefix: string;
+    local: string;
+    uri: string;
+};
+export type SaxTag = {
+    name: string;
+    attributes: {
+        [name: string]: string;
+    };
+    isSelfClosing: boolean;
+};
+/**
+ * `ns` maps prefixes to namespace URIs. Only the namespaces
+ * declared on this tag are own properties, the inherited ones are found on
+ * the prototype chain.
+ */
+export type SaxQualifiedTag = {
+    name: string;
+    prefix: string;
+    local: string;
+    uri: string;
+    ns: {
+        [prefix: string]: string;
+    };
+    attributes: {
+        [name: string]: SaxQualifiedAttribute;
+    };
+    isSelfClosing: boolean;
+};
+export type SaxNamespace = {
+    prefix: string;
+    uri: string;
+};
+export type SaxHandlers = {
+    onready?: (() => void) | undefined;
+    onend?: (() => void) | undefined;
+    onerror?: ((error: Error) => void) | undefined;
+    ontext?: ((text: string) => void) | undefined;
+    ondoctype?: ((doctype: string) => void) | undefined;
+    onprocessinginstruction?: ((pi: {
+        name: string;
+        body: string;
+    }) => void) | undefined;
+    oncomment?: ((comment: string) => void) | undefined;
+    onopencdata?: (() => void) | undefined;
+    oncdata?: ((cdata: string) => void) | undefined;
+    onclosecdata?: (() => void) | undefined;
+    onopentagstart?: ((tag: SaxTag | SaxQualifiedTag) => void) | undefined;
+    onattribute?: ((attribute: SaxAttribute | SaxQualifiedAttribute) => void) | undefined;
+    onopentag?: ((tag: SaxTag | SaxQualifiedTag) => void) | undefined;
+    onclosetag?: ((tagName: string) => void) | undefined;
+    onopennamespace?: ((namespace: SaxNamespace) => void) | undefined;
+    onclosenamespace?: ((namespace: SaxNamespace) => void) | undefined;
+};
+/**
+ * `line` and `column` are 0-based like in sax-js.
+ */
+export type SaxParser = SaxHandlers & {
+    error: Error | null;
+    line: number;
+    column: number;
+    position: number;
+    startTagPosition: number;
+    write: (chunk: string | null) => SaxParser;
+    close: () => SaxParser;
+    resume: () => SaxParser;
+};
+/**
+ * If `descendant` is `true`, the step was preceded by "//". Name
+ * parts are `undefined` for wildcards.
+ */
+export type PathStep = {
+    descendant: boolean;
+    prefix: string | undefined;
+    localName: string | undefined;
+    predicates: PathPredicate[];
+};
+export type PathPredicate = {
+    attribute: string;
+    operator: "exists" | "=" | "!=";
+    value: string;
+} | {
+    position: number;
+};
+export type PathQueryOptions = {
+    namespaces?: {
+        [prefix: string]: string;
+    } | undefined;
+    tree?: TreeOptions | undefined;
+};
+export type PathQuery = {
+    next: () => "eof" | "error" | "match" | "needMoreInput";
+    tree: () => TreeElement;
+};
+/**
+ * Elements are indexed if their tag name is in `tagNames` or,
+ * unless `ids` is `false`, if they have an `xml:id` attribute. `parser` holds
+ * the options for the parser that reads the input.
+ */
+export type IndexOptions = {
+    tagNames?: string[];
+    ids?: boolean;
+    parser?: Options;
+};
+/**
+ * The entries of an index are stored in typed arrays, in document
+ * order. Entry `i` is an element that starts at offset `starts[i]` and ends
+ * at `ends[i]` (exclusive), at depth `depths[i]`, with its start tag at line
+ * `lines[i]` and column `columns[i]`. Its tag name is `names[nameIds[i]]`
+ * and its `xml:id` is `ids[i]`, or the empty string if it has none. Its
+ * parent element is `ancestors[parents[i] - 1]`, unless `parents[i]` is 0
+ * for the root element.
+ */
+export type IndexData = {
+    length: number;
+    starts: Uint32Array;
+    ends: Uint32Array;
+    depths: Uint32Array;
+    lines: Uint32Array;
+    columns: Uint32Array;
+    nameIds: Uint32Array;
+    parents: Uint32Array;
+    names: string[];
+    ids: string[];
+    ancestors: IndexAncestor[];
+    generalEntities: {
+        [entity: string]: string | null;
+    };
+};
+/**
+ * An element
+ * that contains indexed elements. Its own parent is `parent`, an index in
+ * `ancestors`, or -1 for the root element.
+ */
+export type IndexAncestor = CheckpointElement & {
+    parent: number;
+};
+export type ElementIndex = IndexData & {
+    find: (id: string) => number;
+    checkpoint: (entry: number) => Checkpoint;
+    toBytes: () => Uint8Array;
 };
 /**
  * @typedef
- * {"cdata"|"comment"|"doctype"|"endTag"|"eof"|"error"|"processingInstruction"|"singleTag"|"startTag"|"text"}
+ * {"cdata"|"comment"|"doctype"|"endTag"|"eof"|"error"|"needMoreInput"|"processingInstruction"|"singleTag"|"startTag"|"text"|"xmlDeclaration"}
  * EventType
  */
 /** @typedef {{[attributeName: string]: string}} Attributes */
+/**
+ * @typedef {{
+ *  value: string;
+ *  prefix: string;
+ *  localName: string;
+ *  namespaceURI: string;
+ *}}
+ * NamespacedAttribute
+ */
+/** @typedef {{[attributeName: string]: NamespacedAttribute}} NamespacedAttributes */
+/**
+ * @typedef {{
+ *  offset: number;
+ *  line: number;
+ *  column: number;
+ *}}
+ * Position  `offset` counts UTF-16 code units from the start of the input and
+ * is 0-based. For binary input, it refers to the decoded input, not counting
+ * a byte order mark. `line` and `column` are 1-based.
+ */
+/** @typedef {{start: Position; end: Position}} PositionRange */
+/**
+ * @typedef {{start: number; end: number}} Range  A span of the input, given
+ * by offsets like those of `Position`. `end` is exclusive.
+ */
+/**
+ * @typedef {{message: string; position: Position}} Diagnostic  An error found
+ * in recover mode
+ */
+/**
+ * @typedef {{
+ *  encoding: string;
+ *  decode: (bytes: Uint8Array, options?: {stream?: boolean}) => string;
+ *}}
+ * Decoder  The subset of the `TextDecoder` interface we use
+ */
+/**
+ * @typedef {{
+ *  type: Exclude<EventType, "eof" | "needMoreInput">;
+ *  tagName: string | undefined;
+ *  piTarget: string | undefined;
+ *  error: string | undefined;
+ *  attributes: () => Attributes | undefined | "error";
+ *  text: () => string | undefined;
+ *}}
+ * EventSnapshot  The data of an event that stays valid after the parser
+ * advanced. The values are the same as returned by the parser's methods of
+ * the same names while the event was current. `error` is also set if
+ * resolving entities failed. Attributes and text are only resolved when
+ * first requested, which also applies to `error` then.
+ */
+/**
+ * @typedef {{
+ *  tagName: string;
+ *  attributes: Attributes | "error";
+ *}}
+ * PathElement
+ */
+/**
+ * @typedef {{
+ *  tagName: string;
+ *  tagNameEnd: number;
+ *  tagEnd: number;
+ *  attributes: Attributes | "error" | undefined;
+ *  preserveSpace: boolean;
+ *}}
+ * OpenElement  Positions are offsets in the complete input. `attributes` is
+ * only set once requested. `preserveSpace` is only maintained if the
+ * `whitespace` option is used.
+ */
+/**
+ * @typedef {{
+ *  tagName: string;
+ *  attributes: Attributes;
+ *  preserveSpace: boolean;
+ *  namespaces?: {[prefix: string]: string};
+ *}}
+ * CheckpointElement  An open element of a checkpoint. `namespaces` holds the
+ * namespace declarations of the element, if any.
+ */
+/**
+ * @typedef {{
+ *  offset: number;
+ *  line: number;
+ *  column: number;
+ *  elements: CheckpointElement[];
+ *  generalEntities: {[entity: string]: string|null};
+ *  parameterEntities: {[entity: string]: string|null};
+ *  rootElementSeen: boolean;
+ *  doctypeSeen: boolean;
+ *  rawTextElement?: string;
+ *  encoding?: string;
+ *  byteOffset?: number;
+ *}}
+ * Checkpoint  The state of a parser between two events, as returned by
+ * `checkpoint()`. It only consists of plain data, so it can be serialized as
+ * JSON. `offset`, `line` and `column` give the position where parsing
+ * resumes, `offset` counting characters (UTF-16 code units). `encoding` and
+ * `byteOffset` are only set for binary input, `byteOffset` being the offset
+ * in bytes where parsing resumes.
+ */
+/**
+ * @typedef {{
+ *  children: (tagName?: string) => TreeElement[];
+ *  textContent: () => string;
+ *  find: (match: string | ((element: TreeElement) => boolean)) => TreeElement | undefined;
+ *  findAll: (match: string | ((element: TreeElement) => boolean)) => TreeElement[];
+ *}}
+ * TreeParentMethods
+ */
+/**
+ * @typedef {TreeParentMethods & {
+ *  type: "document";
+ *  childNodes: TreeNode[];
+ *  doctype: string | undefined;
+ *}}
+ * TreeDocument
+ */
+/**
+ * @typedef {TreeParentMethods & {
+ *  type: "element";
+ *  tagName: string;
+ *  attributes: Attributes;
+ *  childNodes: TreeNode[];
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeElement  `start` and `end` are the offsets of the start tag's "<" and
+ * right after the end tag's ">".
+ */
+/**
+ * @typedef {{
+ *  type: "text";
+ *  text: string;
+ *  cdata: boolean;
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeText
+ */
+/**
+ * @typedef {{
+ *  type: "comment";
+ *  text: string;
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeComment
+ */
+/**
+ * @typedef {{
+ *  type: "processingInstruction";
+ *  target: string;
+ *  text: string;
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeProcessingInstruction
+ */
+/** @typedef {TreeElement | TreeText | TreeComment | TreeProcessingInstruction} TreeNode */
+/** @typedef {TreeDocument | TreeElement} TreeParent */
+/**
+ * @typedef {{
+ *  indent?: string;
+ *  output?: (chunk: string) => void;
+ *}}
+ * WriterOptions  If `indent` is set, output is pretty-printed, indenting each
+ * level with the given string. To not alter text content, no more indentation
+ * is added inside an element once text was written to it. If `output` is set,
+ * all output is passed to this function instead of being buffered.
+ */
+/**
+ * @typedef {{
+ *  publicId?: string;
+ *  systemId?: string;
+ *  internalSubset?: string;
+ *}}
+ * DoctypeOptions
+ */
+/**
+ * @typedef {{
+ *  startElement: (tagName: string) => XmlWriter;
+ *  attribute: (name: string, value: string) => XmlWriter;
+ *  text: (text: string) => XmlWriter;
+ *  cdata: (text: string) => XmlWriter;
+ *  comment: (text: string) => XmlWriter;
+ *  pi: (target: string, data?: string) => XmlWriter;
+ *  endElement: (tagName?: string) => XmlWriter;
+ *  doctype: (name: string, options?: DoctypeOptions) => XmlWriter;
+ *  copyEvent: (tsax: TSax) => XmlWriter;
+ *  toString: () => string;
+ *}}
+ * XmlWriter
+ */
+/**
+ * @typedef {object} Options
+ * @property {boolean} [namespaces]  If `true`, namespace declarations are
+ * tracked so that `namespaceURI()` and `namespacedAttributes()` become
+ * available. Use of undeclared prefixes is reported as an error.
+ * @property {boolean} [strict]  If `true`, the well-formedness constraints of
+ * XML 1.0 are enforced, like proper nesting of elements, unique attribute
+ * names, valid names and a single root element. Violations are reported as
+ * `"error"` events.
+ * @property {"keep" | "drop" | "trim" | "collapse"} [whitespace]  How
+ * whitespace in text is handled. With `"keep"`, the default, text is reported
+ * as is. With `"drop"`, `"text"` events only consisting of whitespace are
+ * skipped. `"trim"` additionally removes leading and trailing whitespace from
+ * `text()`, and `"collapse"` also replaces each sequence of whitespace inside
+ * the text by a single space. Inside elements with `xml:space="preserve"`,
+ * whitespace is always kept, until an element resets it with
+ * `xml:space="default"`. Text is considered whitespace only if its source
+ * does, i.e. character references like `&#32;` are content. CDATA sections
+ * are never altered.
+ * @property {boolean} [html]  If `true`, input is parsed leniently as HTML
+ * tag soup: Attribute values may be unquoted or missing (the value then is
+ * the empty string), and `"&"` or `"<"` that don't start a reference or tag
+ * are text. Tag and attribute names are reported in lower case. HTML void
+ * elements like `<br>` are reported as `"singleTag"`, as are self closing
+ * tags like `<span/>`, unlike in HTML. End tags that HTML
+ * lets authors omit, like those of `<p>` or `<li>`, are reported as
+ * `"endTag"` events of zero length, as are the end tags of elements that are
+ * still open at an end tag of an ancestor or at the end of the input. Stray
+ * end tags are ignored. The content of `<script>` and `<style>` is reported
+ * as text, without resolving references. HTML 4 entities are resolved, and
+ * text at the end of the input is reported. Can not be combined with
+ * `strict`.
+ * @property {boolean} [recover]  If `true`, errors are not reported as
+ * `"error"` events. Instead, they are collected in `diagnostics()`, and
+ * parsing continues at the next `"<"` after the error. Events that violate
+ * the constraints of strict mode or of namespaces are dropped, as are the end
+ * tags of dropped start tags. In strict mode, an end tag that doesn't match
+ * the innermost open element closes the elements inside the matching one by
+ * `"endTag"` events of zero length, each reported as an error. Errors that
+ * make the input unreadable, like undecodable bytes, are still reported as
+ * `"error"` events.
+ * @property {Limits} [limits]  Limits that protect against hostile input
+ * @property {Checkpoint} [checkpoint]  If set, parsing resumes where the
+ * checkpoint was created. The input passed to `tSax()` must be the complete
+ * input as when the checkpoint was created. When parsing incrementally,
+ * the written input must instead start at the checkpoint's `offset`, or for
+ * binary input at its `byteOffset`. The options should be the same as when
+ * the checkpoint was created.
+ */
+/**
+ * @typedef {object} Limits  Each limit that is exceeded is reported as an
+ * `"error"` event with a distinct message. Limits that are not set are not
+ * enforced.
+ * @property {number} [maxDepth]  Maximum nesting depth of elements, where the
+ * root element has depth 1
+ * @property {number} [maxNameLength]  Maximum length of tag, attribute and
+ * processing instruction target names
+ * @property {number} [maxAttributes]  Maximum number of attributes per element
+ * @property {number} [maxTextLength]  Maximum length of text, CDATA
+ * sections, comments and processing instruction data, as found in the
+ * source.
+ * @property {number} [maxAttributeLength]  Maximum length of attribute
+ * values, as found in the source
+ * @property {number} [maxEntityExpansion]  Maximum number of characters
+ * inserted by references to entities declared in the doctype, in total.
+ * As references are resolved on request, e.g. by `text()`, only references
+ * in text that is unescaped count. Each reference counts once, however
+ * often its text is unescaped. Errors are reported like other errors of
+ * unescaping.
+ *
+ * When parsing incrementally, limits are also enforced on incomplete events
+ * at the end of the input, so that overly long input is reported before
+ * it's complete. Unless in recover mode, such an error is permanent: every
+ * further call of `next()` reports it again, and further input is ignored.
+ */
+/**
+ * @typedef {Options & {stripWhitespace?: boolean}} TreeOptions  If
+ * `stripWhitespace` is `true`, text nodes only consisting of whitespace are
+ * dropped.
+ */
 /**
  * @typedef {{
  *  next: () => EventType;
+ *  eventType: () => EventType | undefined;
  *  tagName: () => string | undefined;
  *  localName: () => string | undefined;
  *  prefix: () => string | undefined;
+ *  namespaceURI: () => string | undefined;
  *  piTarget: () => string | undefined;
+ *  version: () => string | undefined;
+ *  encoding: () => string | undefined;
+ *  standalone: () => boolean | undefined;
  *  text: (raw?: boolean) => string | undefined;
  *  attributes: (raw?: boolean) => Attributes | undefined | "error";
+ *  namespacedAttributes: (raw?: boolean) => NamespacedAttributes | undefined | "error";
+ *  attribute: (name: string, raw?: boolean) => string | undefined | "error";
+ *  nextAttribute: () => boolean | "error";
+ *  attributeName: () => string | undefined;
+ *  attributeValue: (raw?: boolean) => string | undefined;
  *  error: () => string | undefined;
+ *  diagnostics: () => Diagnostic[];
+ *  position: () => PositionRange;
+ *  rawRange: (attributeName?: string) => Range | undefined;
+ *  checkpoint: () => Checkpoint;
+ *  skipElement: () => EventType;
+ *  depth: () => number;
+ *  path: <T extends boolean = false>(withAttributes?: T) => T extends true ? PathElement[] : string[];
+ *  write: (chunk: string | Uint8Array) => void;
+ *  end: () => void;
+ *  [Symbol.iterator]: () => IterableIterator<EventSnapshot>;
  *}}
  * TSax
  */
 /**
-* @param {string} S
-*/
-export function tSax(S: string): {
+ * @param {string | Uint8Array} [input]  The complete XML document. If
+ * omitted, the document is expected to be supplied incrementally using
+ * `write()` and `end()`.
+ *
+ * If the document is given as bytes, e.g. as a Node.js `Buffer`, its encoding
+ * is detected from the byte order mark or the XML declaration, defaulting to
+ * UTF-8. All encodings supported by `TextDecoder` can be read, like UTF-16
+ * or Windows-1252. Note that, like in browsers, ISO-8859-1 is decoded as
+ * Windows-1252. A declared encoding that contradicts the byte order mark is
+ * reported as an `"error"` event before the first regular event. Unsupported
+ * encodings and byte sequences that are invalid for the encoding are
+ * reported as `"error"` events that end parsing.
+ * @param {Options} [options]
+ */
+export function tSax(input?: string | Uint8Array | undefined, options?: Options | undefined): {
     /**
      * This is the main method for interacting with tSax. It consumes the next
      * event from the XML string and returns the event type it found. Further
      * parsing of data belonging to this event is only done on request, using
-     * methods `tagName()`, `attributes()`, `rawText()` and so on. This makes
+     * methods `tagName()`, `attributes()`, `text()` and so on. This makes
      * processing very fast when one is only interested in accessing data of
      * some very specific events.
      *
@@ -48,7 +920,8 @@ export function tSax(S: string): {
      * const tsax = tSax(xmlString);
      * while (true) {
      *   switch (tsax.next()) {
-     *     case "element":
+     *     case "singleTag":
+     *     case "startTag":
      *       break;
      *     case "eof":
      *     case "error":
@@ -63,55 +936,18 @@ export function tSax(S: string): {
      * console.log(tsax.attributes());
      *
      *
-     * @example <caption>Building a DOM tree</caption>
-     * // Intialize with the root node
-     * let currentElement = {children: []};
-     * const elementStack = [];
-     *
-     * while (true) {
-     *   switch (tsax.next()) {
-     *     case "startTag":
-     *       const element = {
-     *         tagName: tsax.tagName(),
-     *         attributes: tsax.attributes(),
-     *         children: [],
-     *       };
-     *       currentElement.children.push(element);
-     *       currentElement = element;
-     *       elementStack.push(element);
-     *       break;
-     *     case "endTag":
-     *       currentElement = elementStack.pop();
-     *       if (!currentElement) {
-     *         throw new Error("Too many closing tags");
-     *       }
-     *       break;
-     *     case "text":
-     *     case "cdata":
-     *       currentElement.children.push(tsax.rawText());
-     *       break;
-     *     case "error":
-     *       throw new Error(tsax.error());
-     *     case "eof":
-     *       if (elementStack.length !== 1) {
-     *         throw new Error("Missing closing tags");
-     *       }
-     *       // The root node only has one child, the root element.
-     *       return currentElement.children[0];
-     *     }
-     *   }
-     * }
+     * To build a tree of the whole document, use `buildTree()`.
      *
      * @returns {EventType}  One of the following event types.  Depending on the
      * current event, specific methods of the TSax object are avilable to get
      * more information about the event.
      *
      * * `"cdata"`: A CDATA node. Available methods:
-     *   * `rawText()`
+     *   * `text()`
      * * `"comment"`: A comment node. Available methods:
-     *   * `rawText()`
+     *   * `text()`
      * * `"doctype"`: A doctype declaration. Available methods:
-     *   * `rawText()`
+     *   * `text()`
      * * `"endTag"`: An closing tag. Available methods:
      *   * `localName()`
      *   * `prefix()`
@@ -119,39 +955,80 @@ export function tSax(S: string): {
      * * `"eof"`: The end of the file was reached. No methods available.
      * * `"error"`: An error occurred during parsing. Available methods:
      *   * `error()`
+     * * `"needMoreInput"`: Only when parsing incrementally. The input ended in
+     *   the middle of an event. After more input was supplied using `write()`
+     *   (or `end()` was called), `next()` can be called again to resume. No
+     *   methods available.
      * * `"processingInstruction"`: A processing instruction. Available methods:
-     *   * `rawText()`
+     *   * `piTarget()`
+     *   * `text()`
      * * `"singleTag"`: A self closing tag. Available methods:
+     *   * `attribute()`
      *   * `attributes()`
+     *   * `nextAttribute()`, `attributeName()`, `attributeValue()`
      *   * `localName()`
      *   * `prefix()`
      *   * `tagName()`
      * * `"startTag"`: A start tag. The same methods as for `"singleTag"` are
      *   available.
      * * `"text"`:  A text node. Available methods:
-     *   * `rawText()`
+     *   * `text()`
+     * * `"xmlDeclaration"`: The XML declaration, which is only allowed at the
+     *   start of the document. Available methods:
+     *   * `encoding()`
+     *   * `standalone()`
+     *   * `text()`
+     *   * `version()`
      */
     next: () => EventType;
     /**
      * @returns {string|undefined}  Tag name of the current event, preserving
-     * original upper/lower case, including prefix. `undefined` if the current
-     * event is not a start or end tag.
+     * original upper/lower case, including prefix. In html mode, it is in
+     * lower case. `undefined` if the current event is not a start or end tag.
      */
     tagName: () => string | undefined;
     localName: () => string | undefined;
     prefix: () => string | undefined;
+    /**
+     * Only available if the `namespaces` option is set.
+     * @returns {string|undefined}  The namespace URI of the current start, end
+     * or self closing tag. The empty string if the element is in no namespace.
+     * `undefined` for all other events, or if the tag's prefix is not
+     * declared.
+     */
+    namespaceURI: () => string | undefined;
     /**
      * @returns {string|undefined} The processing instruction target, i.e. the
      * "tag name" of a processing instruction. `undefined` if the current event
      * is not a processing instruction.
      */
     piTarget: () => string | undefined;
+    /**
+     * @returns {string|undefined}  The version given by the XML declaration,
+     * e.g. `"1.0"`. Only available if the current event is
+     * `"xmlDeclaration"`.
+     */
+    version: () => string | undefined;
+    /**
+     * @returns {string|undefined}  The encoding given by the XML declaration,
+     * as written in the document. Only available if the current event is
+     * `"xmlDeclaration"` and the declaration has an encoding.
+     */
+    encoding: () => string | undefined;
+    /**
+     * @returns {boolean|undefined}  The standalone document declaration of
+     * the XML declaration. Only available if the current event is
+     * `"xmlDeclaration"` and the declaration has a standalone document
+     * declaration.
+     */
+    standalone: () => boolean | undefined;
     /***
      * Only available if the current event is `"cdata"`, `"comment"`,
-     * `"doctype"`, `"processingInstruction"`, or `"text"`. Otherwise,
-     * `undefined` is returned.
+     * `"doctype"`, `"processingInstruction"`, `"text"`, or
+     * `"xmlDeclaration"`. Otherwise, `undefined` is returned.
      * @param {boolean} [raw]  If `true`, will return XML text verbatim. If
-     * falsy, entities will be resolved.
+     * falsy, entities will be resolved and line breaks normalized to "\n" as
+     * required by the XML specification.
      * @returns {string|undefined}  If there was a problem resolving entities,
      * `undefined` is returned and an error message can be retrieved with
      * `error()`.
@@ -159,7 +1036,9 @@ export function tSax(S: string): {
     text: (raw?: boolean | undefined) => string | undefined;
     /**
      * @param {boolean} [raw]  If `true`, will return attribute values varbatim.
-     * If falsy, entities will be resolved.
+     * If falsy, entities will be resolved and values normalized as required by
+     * the XML specification for attributes without declaration, i.e. tabs and
+     * line breaks become spaces, unless given by character references.
      * @returns {Attributes | undefined | "error"} An object mapping attribute
      * names to attribute values.  Attribute names include prefixes.  Namespace
      * declarations are treated like regular attributes.
@@ -171,9 +1050,546 @@ export function tSax(S: string): {
      * the error message, use the `error()` method.
      */
     attributes: (raw?: boolean | undefined) => Attributes | undefined | "error";
+    /**
+     * Like `attributes()`, but in addition to its value, the prefix, local name
+     * and namespace URI is reported for each attribute. Only available if the
+     * `namespaces` option is set, otherwise `undefined` is returned.
+     *
+     * As per the Namespaces in XML specification, unprefixed attributes are in
+     * no namespace, which is represented by the empty string. Namespace
+     * declarations are in the namespace `http://www.w3.org/2000/xmlns/`.
+     * @param {boolean} [raw]  If `true`, will return attribute values verbatim.
+     * @returns {NamespacedAttributes | undefined | "error"}
+     */
+    namespacedAttributes: (raw?: boolean | undefined) => NamespacedAttributes | undefined | "error";
+    /**
+     * Looks up a single attribute of the current start or self closing tag.
+     * Other than `attributes()`, this only scans the tag up to the requested
+     * attribute and only unescapes its value.
+     * @param {string} name  The attribute name, including prefix
+     * @param {boolean} [raw]  If `true`, will return the value verbatim.
+     * @returns {string | undefined | "error"}  `undefined` if the tag has no
+     * such attribute or if the current event is not a start or self closing
+     * tag. `"error"` if the attributes are malformed or if there was a
+     * problem resolving entities. To get the error message, use the `error()`
+     * method.
+     */
+    attribute: (name: string, raw?: boolean | undefined) => string | undefined | "error";
+    /**
+     * Moves the attribute cursor to the next attribute of the current start or
+     * self closing tag, beginning with the first one. The attribute at the
+     * cursor is accessed using `attributeName()` and `attributeValue()`. As
+     * no objects are created, this is the cheapest way of looking at all
+     * attributes.
+     *
+     * @example
+     * let id = undefined;
+     * while (id === undefined && tsax.nextAttribute() === true) {
+     *   if (tsax.attributeName() === "xml:id") {
+     *     id = tsax.attributeValue();
+     *   }
+     * }
+     *
+     * @returns {boolean | "error"}  `false` if there are no more attributes or
+     * if the current event is not a start or self closing tag. `"error"` if
+     * the attributes are malformed. To get the error message, use the
+     * `error()` method.
+     */
+    nextAttribute: () => boolean | "error";
+    /**
+     * @returns {string | undefined}  The name of the attribute at the
+     * attribute cursor, including prefix. `undefined` if `nextAttribute()`
+     * did not move the cursor to an attribute.
+     */
+    attributeName: () => string | undefined;
+    /**
+     * @param {boolean} [raw]  If `true`, will return the value verbatim.
+     * @returns {string | undefined}  The value of the attribute at the
+     * attribute cursor. `undefined` if `nextAttribute()` did not move the
+     * cursor to an attribute, or if there was a problem resolving entities,
+     * in which case an error message can be retrieved with `error()`.
+     */
+    attributeValue: (raw?: boolean | undefined) => string | undefined;
+    /**
+     * @returns {EventType|undefined}  The type of the current event, i.e. what
+     * `next()` returned last. `undefined` before the first call of `next()`.
+     */
+    eventType: () => EventType | undefined;
     /**
      * @returns  Error message. `undefined` unless the current event is an error
      * event.
      */
     error: () => string | undefined;
+    /**
+     * Only populated if the `recover` option is set.
+     * @returns {Diagnostic[]}  All errors found so far, in the order they
+     * were found. This includes errors found by methods like `attributes()`.
+     */
+    diagnostics: () => Diagnostic[];
+    /**
+     * @returns {PositionRange}  Where the current event starts and ends in the
+     * input. The end position is exclusive, i.e. it's the position of the
+     * first character after the event.
+     */
+    position: () => PositionRange;
+    /**
+     * Like `position()`, but only with offsets, which is cheaper as no lines
+     * are counted. Use it with `xmlPatch()` to edit the input.
+     * @param {string} [attributeName]  If given, the range of the raw value
+     * of this attribute of the current tag is returned instead, excluding
+     * the quotes.
+     * @returns {Range | undefined}  The source range of the current event or
+     * attribute value. `undefined` if there's no such attribute.
+     */
+    rawRange: (attributeName?: string | undefined) => Range | undefined;
+    /**
+     * Captures the parser state after the current event, so that another
+     * parser can resume from there by passing the checkpoint as the
+     * `checkpoint` option. Checkpoints are best created after regular
+     * events, not after errors.
+     * @returns {Checkpoint}
+     */
+    checkpoint: () => Checkpoint;
+    /**
+     * @returns {number}  The number of open elements. For start, end and self
+     * closing tags, this includes the current element, i.e. the root element
+     * has depth 1.
+     */
+    depth: () => number;
+    /**
+     * @example <caption>Only looking at notes in layer 2</caption>
+     * if (tsax.localName() === "note") {
+     *   const layer = tsax.path(true).reverse().find((e) => e.tagName === "layer");
+     *   if (layer?.attributes.n === "2") {
+     *     // ...
+     *   }
+     * }
+     *
+     * @template {boolean} [T=false]
+     * @param {T} [withAttributes]  If `true`, the attributes of each element are
+     * included. They are only parsed when requested.
+     * @returns {T extends true ? PathElement[] : string[]}  The open elements,
+     * starting with the root element. For start, end and self closing tags,
+     * this includes the current element. Elements are given by their tag names
+     * or, if `withAttributes` is `true`, as objects with tag name and
+     * attributes.
+     */
+    path: <T extends boolean = false>(withAttributes?: T | undefined) => T extends true ? PathElement[] : string[];
+    /**
+     * Fast-forwards to the end tag of the current element, skipping all of its
+     * content. Only available if the current event is `"startTag"`.
+     *
+     * Only the nesting of the skipped content is tracked. It's not checked
+     * for well-formedness, even in strict mode. In html mode, the content is
+     * parsed like with `next()` to account for implied end tags.
+     *
+     * @returns {EventType}  `"endTag"` with the matching end tag as the current
+     * event. When parsing incrementally, `"needMoreInput"` might be returned,
+     * in which case `next()` continues skipping once more input is available.
+     * `"error"` if the subtree is not properly nested or if this method was
+     * not called on a start tag.
+     */
+    skipElement: () => EventType;
+    /**
+     * Appends a chunk of XML to the input. Only valid if `tSax()` was called
+     * without input, and only until `end()` is called.
+     * @param {string | Uint8Array} chunk  Either all chunks are strings or
+     * all are bytes. For bytes, the encoding is detected like for input
+     * passed to `tSax()`. Chunks may end in the middle of a character.
+     */
+    write: (chunk: string | Uint8Array) => void;
+    /**
+     * Signals that all input was supplied using `write()`.  From now on, an
+     * event that is cut off by the end of the input is an error.
+     */
+    end: () => void;
+    /**
+     * Iterates over the remaining events. Iteration ends at the end of the
+     * file, after an `"error"` event or, when parsing incrementally, when more
+     * input is needed. In the latter case, a new iteration can be started
+     * after more input was written.
+     *
+     * @example
+     * for (const event of tSax(xmlString)) {
+     *   if (event.type === "startTag" && event.tagName === "note") {
+     *     notes.push(event);
+     *   }
+     * }
+     *
+     * @returns {IterableIterator<EventSnapshot>}
+     */
+    [Symbol.iterator]: () => IterableIterator<EventSnapshot>;
 };
+/**
+ * Parses a complete document into a tree. Text and attribute values are
+ * unescaped, CDATA sections become text nodes. Whitespace outside the root
+ * element is dropped.
+ *
+ * @example
+ * const mei = buildTree(xmlString, {stripWhitespace: true});
+ * for (const staffDef of mei.findAll("staffDef")) {
+ *   console.log(staffDef.attributes.n, staffDef.find("label")?.textContent());
+ * }
+ *
+ * @param {string} input
+ * @param {TreeOptions} [options]
+ * @returns {TreeDocument}
+ * @throws {Error} If the document could not be parsed
+ */
+export function buildTree(input: string, options?: TreeOptions | undefined): TreeDocument;
+/**
+ * Compiles a subset of XPath. Supported are absolute paths with child (`/`)
+ * and descendant (`//`) steps, name tests (`note`, `mei:note`, `*`, `mei:*`)
+ * and predicates testing attribute existence (`[@xml:id]`), attribute values
+ * (`[@pname="c"]`, `[@pname!='c']`) or position (`[2]`).
+ * @param {string} path
+ * @returns {PathStep[]}
+ * @throws {Error} If the path is not supported
+ */
+export function compilePath(path: string): PathStep[];
+/**
+ * Streams through a document, stopping at elements matching a path. The path
+ * is compiled once by `compilePath()`, see there for the supported syntax.
+ *
+ * The query has to be created before the parser consumed any events. The
+ * parser must only be advanced through the query's `next()`, `tree()`, or
+ * the parser's `skipElement()`.
+ *
+ * If the `namespaces` option is given, the parser must be created with the
+ * `namespaces` option as well. Prefixes of name tests then refer to the
+ * namespace URIs given in this option and unprefixed name tests only match
+ * elements in no namespace. Otherwise, names are compared verbatim,
+ * including prefixes. Attribute names are always compared verbatim.
+ *
+ * @example
+ * const notes = pathQuery(tSax(xmlString), '/mei/music//note[@pname="c"]');
+ * while (notes.next() === "match") {
+ *   console.log(notes.tree().attributes["xml:id"]);
+ * }
+ *
+ * @param {TSax} tsax
+ * @param {string | PathStep[]} path  A path or the result of `compilePath()`
+ * @param {PathQueryOptions} [options]
+ * @returns {PathQuery}
+ */
+export function pathQuery(tsax: TSax, path: string | PathStep[], options?: PathQueryOptions | undefined): PathQuery;
+/**
+ * Reads the whole input once and records the offsets of the elements
+ * selected by `options`. Together with `checkpoint()`, the index lets
+ * parsers start directly at an element.
+ *
+ * @example <caption>Reading an element referenced by its ID</caption>
+ * const index = buildIndex(xmlString, {tagNames: ["measure"]});
+ * const tsax = tSax(xmlString, {checkpoint: index.checkpoint(index.find("m512"))});
+ * tsax.next();
+ * console.log(tsax.tagName(), tsax.attributes());
+ *
+ * @param {string | Uint8Array} input
+ * @param {IndexOptions} [options]
+ * @returns {ElementIndex}  Throws an `Error` if the input is malformed.
+ */
+export function buildIndex(input: string | Uint8Array, options?: IndexOptions | undefined): ElementIndex;
+/**
+ * Restores an index persisted with `toBytes()`.
+ * @param {Uint8Array} bytes
+ * @returns {ElementIndex}
+ */
+export function loadIndex(bytes: Uint8Array): ElementIndex;
+/**
+ * @typedef {{
+ *  expectStart: (tagName?: string) => void;
+ *  readElementText: () => string;
+ *  forEachChild: (callback: (tagName: string) => void) => void;
+ *  readToDescendant: (tagName: string) => boolean;
+ *}}
+ * XmlReader
+ */
+/**
+ * Creates helpers for pull parsing in the style of StAX or .NET's XmlReader,
+ * which advance `tsax` and check the structure of the input on the way.
+ * Mismatches are thrown as an `Error` with the position of the offending
+ * event, as are errors of the parser. The input must be complete, i.e.
+ * `"needMoreInput"` is an error, too.
+ *
+ * @example <caption>Reading staff definitions</caption>
+ * const tsax = tSax(xmlString);
+ * const reader = xmlReader(tsax);
+ * reader.expectStart("staffGrp");
+ * reader.forEachChild(function (tagName) {
+ *   if (tagName === "staffDef") {
+ *     const n = tsax.attribute("n");
+ *     if (reader.readToDescendant("label")) {
+ *       console.log(n, reader.readElementText());
+ *     }
+ *   }
+ * });
+ *
+ * @param {TSax} tsax
+ * @returns {XmlReader}
+ */
+export function xmlReader(tsax: TSax): XmlReader;
+/**
+ * @typedef {"string" | "number" | "boolean" | `${string}|${string}`} ValueSchema
+ * How a string from the XML is converted: `"string"` keeps it as is,
+ * `"number"` accepts decimal numerals like "-1.5" and `"boolean"` accepts
+ * "true", "false", "1" and "0", each with optional surrounding whitespace.
+ * Any other string lists the allowed values of an enumeration, separated by
+ * "|", like `"left|right|center"`.
+ */
+/**
+ * @typedef {{
+ *  attributes?: {[attributeName: string]: ValueSchema};
+ *  children?: {[tagName: string]: ElementSchema | [ElementSchema]};
+ *  text?: ValueSchema;
+ *}}
+ * ElementSchema  Declares how an element is mapped to an object. Each
+ * attribute listed in `attributes` becomes a property of the same name,
+ * which is missing if the attribute is. Each child element listed in
+ * `children` becomes a property named after its tag name. If its schema is
+ * wrapped in an array, all such children are collected in an array,
+ * otherwise there may only be one. If `text` is set, the text content of
+ * the element, excluding that of mapped children, becomes property `text`.
+ */
+/**
+ * @template V
+ * @typedef {V extends `${infer Value}|${infer Rest}` ? Value | EnumValue<Rest> : V} EnumValue
+ */
+/**
+ * @template {ValueSchema} V
+ * @typedef {V extends "string"
+ *   ? string
+ *   : V extends "number"
+ *   ? number
+ *   : V extends "boolean"
+ *   ? boolean
+ *   : EnumValue<V>} MappedValue
+ */
+/**
+ * @template {ElementSchema} S
+ * @typedef {(S extends {attributes: infer A}
+ *   ? {[Name in keyof A]?: A[Name] extends ValueSchema ? MappedValue<A[Name]> : never}
+ *   : {}) &
+ *   (S extends {children: infer C}
+ *     ? {
+ *         [Name in keyof C]: C[Name] extends [infer E]
+ *           ? E extends ElementSchema ? Mapped<E>[] : never
+ *           : C[Name] extends ElementSchema ? Mapped<C[Name]> | undefined : never;
+ *       }
+ *     : {}) &
+ *   (S extends {text: infer T}
+ *     ? {text: T extends ValueSchema ? MappedValue<T> : never}
+ *     : {})} Mapped
+ * The type of the objects that `mapElements()` produces for schema `S`
+ */
+/**
+ * Maps elements to plain objects as declared by a schema. With a schema
+ * given as literal, the type of the objects is inferred from it.
+ *
+ * @example <caption>Reading measures with their staves</caption>
+ * const measures = mapElements(tSax(xmlString), "measure", {
+ *   attributes: {n: "number", right: "dbl|end|single"},
+ *   children: {staff: [{attributes: {n: "number"}}]},
+ * });
+ * for (const measure of measures) {
+ *   console.log(measure.n, measure.right, measure.staff.length);
+ * }
+ *
+ * @template {ElementSchema} S
+ * @param {TSax} tsax
+ * @param {string} tagName
+ * @param {S} schema
+ * @returns {Generator<Mapped<S>, void, undefined>}  Yields an object for each
+ * element named `tagName`, in document order. Elements nested inside an
+ * element that was matched are not matched themselves. Throws an `Error`
+ * with the element's position if a value can't be converted, if a single
+ * child occurs more than once, or if parsing fails.
+ */
+export function mapElements<S extends ElementSchema>(tsax: TSax, tagName: string, schema: S): Generator<Mapped<S>, void, undefined>;
+/**
+ * Creates a writer that serializes XML, escaping text and attribute values as
+ * needed. All methods throw an `Error` if they would produce XML that is not
+ * well-formed, like invalid names, unbalanced elements, or comments
+ * containing "--".
+ *
+ * @example <caption>Dropping all comments from a document</caption>
+ * const tsax = tSax(xmlString);
+ * const writer = xmlWriter();
+ * for (let event = tsax.next(); event !== "eof"; event = tsax.next()) {
+ *   if (event === "error") {
+ *     throw new Error(tsax.error());
+ *   }
+ *   if (event !== "comment") {
+ *     writer.copyEvent(tsax);
+ *   }
+ * }
+ * console.log(writer.toString());
+ *
+ * @param {WriterOptions} [options]
+ * @returns {XmlWriter}
+ */
+export function xmlWriter(options?: WriterOptions | undefined): XmlWriter;
+/**
+ * @typedef {{
+ *  replace: (range: Range | undefined, markup: string) => XmlPatch;
+ *  replaceText: (range: Range | undefined, text: string) => XmlPatch;
+ *  insert: (offset: number, markup: string) => XmlPatch;
+ *  remove: (range: Range | undefined) => XmlPatch;
+ *  toString: () => string;
+ *}}
+ * XmlPatch
+ */
+/**
+ * Creates a patch for `source` that collects edits at ranges as obtained
+ * from the parser's `rawRange()`. The patched document is only assembled by
+ * `toString()`, leaving everything outside of the edited ranges untouched.
+ * All methods throw an `Error` for ranges that are outside of `source` or
+ * that overlap previously recorded ones. Insertions at the same offset are
+ * applied in the order they were recorded.
+ *
+ * @example <caption>Changing a single attribute value</caption>
+ * const tsax = tSax(xmlString);
+ * const patch = xmlPatch(xmlString);
+ * for (let event = tsax.next(); event !== "eof"; event = tsax.next()) {
+ *   if (event === "error") {
+ *     throw new Error(tsax.error());
+ *   }
+ *   if (event === "startTag" && tsax.attribute("xml:id") === "m512") {
+ *     patch.replaceText(tsax.rawRange("n"), "512a");
+ *     break;
+ *   }
+ * }
+ * console.log(patch.toString());
+ *
+ * @param {string} source  The complete input the ranges refer to. For binary
+ * input, that's the decoded input without byte order mark.
+ * @returns {XmlPatch}
+ */
+export function xmlPatch(source: string): XmlPatch;
+/**
+ * @typedef {object} SaxOptions  The subset of sax-js options that is
+ * supported.
+ * @property {boolean} [trim]  If `true`, whitespace is trimmed from text.
+ * @property {boolean} [normalize]  If `true`, whitespace in text is collapsed
+ * to single spaces.
+ * @property {boolean} [lowercase]  If `true`, tag and attribute names are
+ * lower cased instead of upper cased in non-strict mode.
+ * @property {boolean} [xmlns]  If `true`, namespaces are resolved and tags and
+ * attributes are reported with their prefix, local name and namespace URI.
+ */
+/** @typedef {{name: string; value: string}} SaxAttribute */
+/**
+ * @typedef {{
+ *  name: string;
+ *  value: string;
+ *  prefix: string;
+ *  local: string;
+ *  uri: string;
+ *}}
+ * SaxQualifiedAttribute
+ */
+/**
+ * @typedef {{
+ *  name: string;
+ *  attributes: {[name: string]: string};
+ *  isSelfClosing: boolean;
+ *}}
+ * SaxTag
+ */
+/**
+ * @typedef {{
+ *  name: string;
+ *  prefix: string;
+ *  local: string;
+ *  uri: string;
+ *  ns: {[prefix: string]: string};
+ *  attributes: {[name: string]: SaxQualifiedAttribute};
+ *  isSelfClosing: boolean;
+ *}}
+ * SaxQualifiedTag  `ns` maps prefixes to namespace URIs. Only the namespaces
+ * declared on this tag are own properties, the inherited ones are found on
+ * the prototype chain.
+ */
+/** @typedef {{prefix: string; uri: string}} SaxNamespace */
+/**
+ * @typedef {{
+ *  onready?: () => void;
+ *  onend?: () => void;
+ *  onerror?: (error: Error) => void;
+ *  ontext?: (text: string) => void;
+ *  ondoctype?: (doctype: string) => void;
+ *  onprocessinginstruction?: (pi: {name: string; body: string}) => void;
+ *  oncomment?: (comment: string) => void;
+ *  onopencdata?: () => void;
+ *  oncdata?: (cdata: string) => void;
+ *  onclosecdata?: () => void;
+ *  onopentagstart?: (tag: SaxTag | SaxQualifiedTag) => void;
+ *  onattribute?: (attribute: SaxAttribute | SaxQualifiedAttribute) => void;
+ *  onopentag?: (tag: SaxTag | SaxQualifiedTag) => void;
+ *  onclosetag?: (tagName: string) => void;
+ *  onopennamespace?: (namespace: SaxNamespace) => void;
+ *  onclosenamespace?: (namespace: SaxNamespace) => void;
+ *}}
+ * SaxHandlers
+ */
+/**
+ * @typedef {SaxHandlers & {
+ *  error: Error | null;
+ *  line: number;
+ *  column: number;
+ *  position: number;
+ *  startTagPosition: number;
+ *  write: (chunk: string | null) => SaxParser;
+ *  close: () => SaxParser;
+ *  resume: () => SaxParser;
+ *}}
+ * SaxParser  `line` and `column` are 0-based like in sax-js.
+ */
+/**
+ * Creates a parser with the callback interface of sax-js's `sax.parser()`.
+ * Handlers are assigned as properties of the returned object and receive the
+ * same payloads as with sax-js, so code written for sax-js can switch parsers
+ * by only replacing the constructor call.
+ *
+ * Input is passed to `write()` and the document is finished by `close()`,
+ * after which `onend` and `onready` are called and the parser can be reused
+ * for a new document. If an error occurs, `onerror` is called and `error`
+ * is set. Unless `resume()` is called, the next call of `write()` or
+ * `close()` throws the error.
+ *
+ * In non-strict mode, tag and attribute names are upper cased, unless the
+ * `lowercase` option is set. Like with sax-js, an end tag closes the elements
+ * that are still open inside the element it matches. Unlike sax-js, end tags
+ * that don't match any open element are ignored instead of being reported as
+ * text, and `line`, `column` and `position` refer to the end of the last
+ * reported event.
+ *
+ * @example
+ * const parser = saxParser(true);
+ * parser.onopentag = (tag) => console.log(tag.name, tag.attributes);
+ * parser.ontext = (text) => console.log(text);
+ * parser.write("<mei><music>").write("</music></mei>").close();
+ *
+ * @param {boolean} [strict]  If `true`, the document must be well-formed,
+ * see the `strict` option of `tSax()`.
+ * @param {SaxOptions} [options]
+ * @returns {SaxParser}
+ */
+export function saxParser(strict?: boolean | undefined, options?: SaxOptions | undefined): SaxParser;
+/**
+ * Parses a document from a stream, yielding the events as they become
+ * available. Iteration ends at the end of the document or after an `"error"`
+ * event.
+ *
+ * @example
+ * for await (const event of streamEvents(fs.createReadStream("score.mei"))) {
+ *   // ...
+ * }
+ *
+ * @param {ReadableStream<string | Uint8Array> | AsyncIterable<string | Uint8Array>} stream
+ * A WHATWG `ReadableStream`, a Node.js readable stream or any other async
+ * iterable of chunks. Either all chunks are strings or all are bytes. The
+ * encoding of bytes is detected like for input passed to `tSax()`.
+ * @param {Options} [options]
+ * @returns {AsyncGenerator<EventSnapshot, void, undefined>}
+ */
+export function streamEvents(stream: ReadableStream<string | Uint8Array> | AsyncIterable<string | Uint8Array>, options?: Options | undefined): AsyncGenerator<EventSnapshot, void, undefined>;
@@ -7,12 +7,139 @@ const slashCC = "/".charCodeAt(0);
 const exclamationCC = "!".charCodeAt(0);
 const questionCC = "?".charCodeAt(0);
 const openCornerBracketCC = "[".charCodeAt(0);
+const closeCornerBracketCC = "]".charCodeAt(0);
+const percentCC = "%".charCodeAt(0);
+const hashCC = "#".charCodeAt(0);
+const byteOrderMarkCC = 0xfeff;
 const letterDCC = "D".charCodeAt(0);
 const letterxCC = "x".charCodeAt(0);
 const spaceCC = " ".charCodeAt(0);
+const equalsCC = "=".charCodeAt(0);
 const nameEndChars = charCodeMap(" \t\n\r/>?[");
 const quoteChars = charCodeMap(`"'`);
 const attributeNameEndChars = charCodeMap("=>");
+const htmlAttributeNameEndChars = charCodeMap(" \t\n\f\r/=>");
+const whitespaceRegExp = /^[ \t\r\n]*$/;
+/** Characters that are not allowed anywhere in an XML 1.0 document */
+const invalidCharRegExp = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/;
+/** Surrogates that are not part of a surrogate pair */
+const loneSurrogateRegExp =
+  /[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/;
+/** The `CharRef` production of the XML 1.0 specification, without "&" and ";" */
+const charReferenceRegExp = /^#(?:[0-9]+|x[0-9a-fA-F]+)$/;
+/** The `Name` production of the XML 1.0 specification */
+const nameRegExp =
+  /^[:A-Z_a-z\xC0-\xD6\xD8-\xF6\xF8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}][:A-Z_a-z\xC0-\xD6\xD8-\xF6\xF8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}\-.0-9\xB7\u0300-\u036F\u203F\u2040]*$/u;
+/**
+ * Matches '<!ENTITY>' declarations. Captures whether it's a parameter entity,
+ * the name, the double or single quoted value, or the external ID.
+ */
+const entityDeclarationRegExp =
+  /<!ENTITY[ \t\r\n]+(%[ \t\r\n]+)?([^ \t\r\n]+)[ \t\r\n]+(?:"([^"]*)"|'([^']*)'|((?:SYSTEM|PUBLIC)(?:[^>"']|"[^"]*"|'[^']*')*))[ \t\r\n]*>/y;
+/**
+ * Matches an attribute of a tag that is not complete yet. Captures the name
+ * and the value including its quotes, either of which might be incomplete.
+ */
+const pendingAttributeRegExp =
+  /[ \t\r\n/]*([^ \t\r\n/=>]+)[ \t\r\n]*(?:=[ \t\r\n]*("[^"]*"?|'[^']*'?|[^ \t\r\n>]*))?/y;
+/** Matches any markup declaration, like '<!ELEMENT>' or '<!ATTLIST>' */
+const markupDeclarationRegExp = /<!(?:[^>"']|"[^"]*"|'[^']*')*>/y;
+/**
+ * Matches what follows the target of an XML declaration. Captures the
+ * version, encoding and standalone values, each preceded by its quote.
+ */
+const xmlDeclarationRegExp =
+  /^[ \t\r\n]+version[ \t\r\n]*=[ \t\r\n]*(["'])(1\.[0-9]+)\1(?:[ \t\r\n]+encoding[ \t\r\n]*=[ \t\r\n]*(["'])([A-Za-z][A-Za-z0-9._-]*)\3)?(?:[ \t\r\n]+standalone[ \t\r\n]*=[ \t\r\n]*(["'])(yes|no)\5)?[ \t\r\n]*$/;
+/** Captures the value of the encoding pseudo-attribute of an XML declaration */
+const encodingDeclarationRegExp =
+  /^<\?xml[ \t\r\n](?:[^?]|\?(?!>))*?encoding[ \t\r\n]*=[ \t\r\n]*(?:"([^"]*)"|'([^']*)')/;
+/** Number of bytes we look at when searching the XML declaration */
+const maxDeclarationLength = 512;
+/**
+ * The characters for bytes 0x80 to 0x9F in Windows-1252, where it differs
+ * from ISO-8859-1. Unassigned bytes map to control characters, as in the
+ * WHATWG Encoding Standard.
+ */
+const windows1252Chars =
+  "\u20AC\x81\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\x8D\u017D\x8F" +
+  "\x90\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\x9D\u017E\u0178";
+const xmlNamespace = "http://www.w3.org/XML/1998/namespace";
+const xmlnsNamespace = "http://www.w3.org/2000/xmlns/";
+/** Elements that can't have content in HTML, so they never have an end tag */
+const htmlVoidElements = wordSet(
+  "area base br col embed hr img input link meta param source track wbr"
+);
+/** Elements whose content is not parsed as markup in HTML */
+const htmlRawTextElements = wordSet("script style");
+/**
+ * For HTML elements with an optional end tag, the start tags of the
+ * following elements that imply the end tag, after section 13.1.2.4 of the
+ * HTML standard
+ * @type {{[tagName: string]: {[tagName: string]: true}}}
+ */
+const htmlImpliedEndTags = {
+  p: wordSet(
+    "address article aside blockquote dd details dialog div dl dt fieldset figcaption figure " +
+      "footer form h1 h2 h3 h4 h5 h6 header hgroup hr li main menu nav ol p pre section table ul"
+  ),
+  li: wordSet("li"),
+  dt: wordSet("dt dd"),
+  dd: wordSet("dt dd"),
+  option: wordSet("option optgroup"),
+  optgroup: wordSet("optgroup"),
+  tr: wordSet("tr tbody tfoot"),
+  td: wordSet("td th tr tbody tfoot"),
+  th: wordSet("td th tr tbody tfoot"),
+  thead: wordSet("tbody tfoot"),
+  tbody: wordSet("tbody tfoot"),
+};
+/** Characters that can follow "<" in HTML markup. Otherwise, "<" is text. */
+const htmlMarkupStartRegExp = /[A-Za-z/!?]/;
+/**
+ * Matches HTML character references. Captures the decimal or hexadecimal
+ * code point, or the entity name.
+ */
+const htmlReferenceRegExp = /&(?:#([0-9]+);?|#[xX]([0-9a-fA-F]+);?|([A-Za-z][A-Za-z0-9]*);)/g;
+/**
+ * The named character references of HTML 4, plus `&apos;`, as comma
+ * separated name:code point pairs
+ */
+const htmlEntityList =
+  "AElig:c6,Aacute:c1,Acirc:c2,Agrave:c0,Alpha:391,Aring:c5,Atilde:c3,Auml:c4,Beta:392," +
+  "Ccedil:c7,Chi:3a7,Dagger:2021,Delta:394,ETH:d0,Eacute:c9,Ecirc:ca,Egrave:c8,Epsilon:395," +
+  "Eta:397,Euml:cb,Gamma:393,Iacute:cd,Icirc:ce,Igrave:cc,Iota:399,Iuml:cf,Kappa:39a," +
+  "Lambda:39b,Mu:39c,Ntilde:d1,Nu:39d,OElig:152,Oacute:d3,Ocirc:d4,Ograve:d2,Omega:3a9," +
+  "Omicron:39f,Oslash:d8,Otilde:d5,Ouml:d6,Phi:3a6,Pi:3a0,Prime:2033,Psi:3a8,Rho:3a1," +
+  "Scaron:160,Sigma:3a3,THORN:de,Tau:3a4,Theta:398,Uacute:da,Ucirc:db,Ugrave:d9,Upsilon:3a5," +
+  "Uuml:dc,Xi:39e,Yacute:dd,Yuml:178,Zeta:396,aacute:e1,acirc:e2,acute:b4,aelig:e6,agrave:e0," +
+  "alefsym:2135,alpha:3b1,amp:26,and:2227,ang:2220,aring:e5,asymp:2248,atilde:e3,auml:e4," +
+  "bdquo:201e,beta:3b2,brvbar:a6,bull:2022,cap:2229,ccedil:e7,cedil:b8,cent:a2,chi:3c7," +
+  "circ:2c6,clubs:2663,cong:2245,copy:a9,crarr:21b5,cup:222a,curren:a4,dArr:21d3,dagger:2020," +
+  "darr:2193,deg:b0,delta:3b4,diams:2666,divide:f7,eacute:e9,ecirc:ea,egrave:e8,empty:2205," +
+  "emsp:2003,ensp:2002,epsilon:3b5,equiv:2261,eta:3b7,eth:f0,euml:eb,euro:20ac,exist:2203," +
+  "fnof:192,forall:2200,frac12:bd,frac14:bc,frac34:be,frasl:2044,gamma:3b3,ge:2265,gt:3e," +
+  "hArr:21d4,harr:2194,hearts:2665,hellip:2026,iacute:ed,icirc:ee,iexcl:a1,igrave:ec," +
+  "image:2111,infin:221e,int:222b,iota:3b9,iquest:bf,isin:2208,iuml:ef,kappa:3ba,lArr:21d0," +
+  "lambda:3bb,lang:2329,laquo:ab,larr:2190,lceil:2308,ldquo:201c,le:2264,lfloor:230a," +
+  "lowast:2217,loz:25ca,lrm:200e,lsaquo:2039,lsquo:2018,lt:3c,macr:af,mdash:2014,micro:b5," +
+  "middot:b7,minus:2212,mu:3bc,nabla:2207,nbsp:a0,ndash:2013,ne:2260,ni:220b,not:ac," +
+  "notin:2209,nsub:2284,ntilde:f1,nu:3bd,oacute:f3,ocirc:f4,oelig:153,ograve:f2,oline:203e," +
+  "omega:3c9,omicron:3bf,oplus:2295,or:2228,ordf:aa,ordm:ba,oslash:f8,otilde:f5,otimes:2297," +
+  "ouml:f6,para:b6,part:2202,permil:2030,perp:22a5,phi:3c6,pi:3c0,piv:3d6,plusmn:b1,pound:a3," +
+  "prime:2032,prod:220f,prop:221d,psi:3c8,quot:22,rArr:21d2,radic:221a,rang:232a,raquo:bb," +
+  "rarr:2192,rceil:2309,rdquo:201d,real:211c,reg:ae,rfloor:230b,rho:3c1,rlm:200f,rsaquo:203a," +
+  "rsquo:2019,sbquo:201a,scaron:161,sdot:22c5,sect:a7,shy:ad,sigma:3c3,sigmaf:3c2,sim:223c," +
+  "spades:2660,sub:2282,sube:2286,sum:2211,sup:2283,sup1:b9,sup2:b2,sup3:b3,supe:2287," +
+  "szlig:df,tau:3c4,there4:2234,theta:3b8,thetasym:3d1,thinsp:2009,thorn:fe,tilde:2dc," +
+  "times:d7,trade:2122,uArr:21d1,uacute:fa,uarr:2191,ucirc:fb,ugrave:f9,uml:a8,upsih:3d2," +
+  "upsilon:3c5,uuml:fc,weierp:2118,xi:3be,yacute:fd,yen:a5,yuml:ff,zeta:3b6,zwj:200d," +
+  "zwnj:200c,apos:27";
+/**
+ * Maps entity names to their replacement text, parsed from `htmlEntityList`
+ * on first use
+ * @type {{[name: string]: string} | undefined}
+ */
+let htmlEntities = undefined;
 
 /**
  * @param {string} string  A string of all chars that should be mapped.
@@ -26,33 +153,542 @@ function charCodeMap(string) {
   return charMap;
 }
 
+/**
+ * @param {number} charCode  A Unicode code point
+ * @returns {boolean}  Whether the code point matches the `Char` production of
+ * the XML 1.0 specification
+ */
+function isXmlChar(charCode) {
+  return charCode < 0x20
+    ? charCode === 0x9 || charCode === 0xa || charCode === 0xd
+    : charCode <= 0xd7ff || (charCode >= 0xe000 && charCode <= 0xfffd) || charCode >= 0x10000;
+}
+
+/**
+ * @param {string} string  Space separated words
+ * @returns {{[word: string]: true}}
+ */
+function wordSet(string) {
+  /** @type {{[word: string]: true}} */
+  const set = Object.create(null);
+  for (const word of string.split(" ")) {
+    set[word] = true;
+  }
+  return set;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function identity(text) {
+  return text;
+}
+
+/**
+ * End-of-line handling as of section 2.11 of the XML specification
+ * @param {string} text
+ * @returns {string}  The text with "\r\n" and "\r" replaced by "\n"
+ */
+function normalizeLineEnds(text) {
+  return text.indexOf("\r") < 0 ? text : text.replace(/\r\n?/g, "\n");
+}
+
+/**
+ * Attribute-value normalization for undeclared attributes as of section
+ * 3.3.3 of the XML specification, including end-of-line handling
+ * @param {string} text
+ * @returns {string}  The text with tabs and line breaks replaced by spaces
+ */
+function normalizeAttributeWhitespace(text) {
+  return /[\t\n\r]/.test(text) ? text.replace(/\r\n|[\t\n\r]/g, " ") : text;
+}
+
+/**
+ * Attribute-value normalization of the replacement text of entities, which
+ * does not include end-of-line handling
+ * @param {string} text
+ * @returns {string}  The text with each tab and line break replaced by a space
+ */
+function replaceWhitespace(text) {
+  return /[\t\n\r]/.test(text) ? text.replace(/[\t\n\r]/g, " ") : text;
+}
+
+/**
+ * Resolves character references the way HTML does: Named references must end
+ * with a semicolon, numeric ones may omit it. Unknown entities are left as
+ * they are, invalid code points are replaced by U+FFFD.
+ * @param {string} rawText
+ * @param {(text: string) => string} normalize  Applied to the literal text,
+ * but not to resolved references
+ * @returns {string}
+ */
+function unescapeHtml(rawText, normalize) {
+  if (rawText.indexOf("&") < 0) {
+    return normalize(rawText);
+  }
+  let text = "";
+  let literalStart = 0;
+  htmlReferenceRegExp.lastIndex = 0;
+  for (let match; (match = htmlReferenceRegExp.exec(rawText)); ) {
+    let resolved = undefined;
+    if (match[3]) {
+      resolved = getHtmlEntities()[match[3]];
+      if (resolved === undefined) {
+        continue;
+      }
+    } else {
+      const codePoint = match[1] ? parseInt(match[1], 10) : parseInt(match[2], 16);
+      resolved =
+        codePoint >= 0x80 && codePoint <= 0x9f
+          ? // Like browsers, interpret these C1 controls as Windows-1252
+            windows1252Chars[codePoint - 0x80]
+          : codePoint === 0 || codePoint > 0x10ffff || (codePoint >= 0xd800 && codePoint <= 0xdfff)
+          ? "\uFFFD"
+          : String.fromCodePoint(codePoint);
+    }
+    text += normalize(rawText.substring(literalStart, match.index)) + resolved;
+    literalStart = htmlReferenceRegExp.lastIndex;
+  }
+  return text + normalize(rawText.substring(literalStart));
+}
+
+/**
+ * @returns {{[name: string]: string}}  The HTML entities, by name
+ */
+function getHtmlEntities() {
+  if (!htmlEntities) {
+    /** @type {{[name: string]: string}} */
+    const entities = Object.create(null);
+    for (const entry of htmlEntityList.split(",")) {
+      const [name, codePoint] = entry.split(":");
+      entities[name] = String.fromCodePoint(parseInt(codePoint, 16));
+    }
+    htmlEntities = entities;
+  }
+  return htmlEntities;
+}
+
 /**
  * @typedef
- * {"cdata"|"comment"|"doctype"|"endTag"|"eof"|"error"|"processingInstruction"|"singleTag"|"startTag"|"text"}
+ * {"cdata"|"comment"|"doctype"|"endTag"|"eof"|"error"|"needMoreInput"|"processingInstruction"|"singleTag"|"startTag"|"text"|"xmlDeclaration"}
  * EventType
  */
 
 /** @typedef {{[attributeName: string]: string}} Attributes */
 
+/**
+ * @typedef {{
+ *  value: string;
+ *  prefix: string;
+ *  localName: string;
+ *  namespaceURI: string;
+ *}}
+ * NamespacedAttribute
+ */
+
+/** @typedef {{[attributeName: string]: NamespacedAttribute}} NamespacedAttributes */
+
+/**
+ * @typedef {{
+ *  offset: number;
+ *  line: number;
+ *  column: number;
+ *}}
+ * Position  `offset` counts UTF-16 code units from the start of the input and
+ * is 0-based. For binary input, it refers to the decoded input, not counting
+ * a byte order mark. `line` and `column` are 1-based.
+ */
+
+/** @typedef {{start: Position; end: Position}} PositionRange */
+
+/**
+ * @typedef {{start: number; end: number}} Range  A span of the input, given
+ * by offsets like those of `Position`. `end` is exclusive.
+ */
+
+/**
+ * @typedef {{message: string; position: Position}} Diagnostic  An error found
+ * in recover mode
+ */
+
+/**
+ * @typedef {{
+ *  encoding: string;
+ *  decode: (bytes: Uint8Array, options?: {stream?: boolean}) => string;
+ *}}
+ * Decoder  The subset of the `TextDecoder` interface we use
+ */
+
+/**
+ * @typedef {{
+ *  type: Exclude<EventType, "eof" | "needMoreInput">;
+ *  tagName: string | undefined;
+ *  piTarget: string | undefined;
+ *  error: string | undefined;
+ *  attributes: () => Attributes | undefined | "error";
+ *  text: () => string | undefined;
+ *}}
+ * EventSnapshot  The data of an event that stays valid after the parser
+ * advanced. The values are the same as returned by the parser's methods of
+ * the same names while the event was current. `error` is also set if
+ * resolving entities failed. Attributes and text are only resolved when
+ * first requested, which also applies to `error` then.
+ */
+
+/**
+ * @typedef {{
+ *  tagName: string;
+ *  attributes: Attributes | "error";
+ *}}
+ * PathElement
+ */
+
+/**
+ * @typedef {{
+ *  tagName: string;
+ *  tagNameEnd: number;
+ *  tagEnd: number;
+ *  attributes: Attributes | "error" | undefined;
+ *  preserveSpace: boolean;
+ *}}
+ * OpenElement  Positions are offsets in the complete input. `attributes` is
+ * only set once requested. `preserveSpace` is only maintained if the
+ * `whitespace` option is used.
+ */
+
+/**
+ * @typedef {{
+ *  tagName: string;
+ *  attributes: Attributes;
+ *  preserveSpace: boolean;
+ *  namespaces?: {[prefix: string]: string};
+ *}}
+ * CheckpointElement  An open element of a checkpoint. `namespaces` holds the
+ * namespace declarations of the element, if any.
+ */
+
+/**
+ * @typedef {{
+ *  offset: number;
+ *  line: number;
+ *  column: number;
+ *  elements: CheckpointElement[];
+ *  generalEntities: {[entity: string]: string|null};
+ *  parameterEntities: {[entity: string]: string|null};
+ *  rootElementSeen: boolean;
+ *  doctypeSeen: boolean;
+ *  rawTextElement?: string;
+ *  encoding?: string;
+ *  byteOffset?: number;
+ *}}
+ * Checkpoint  The state of a parser between two events, as returned by
+ * `checkpoint()`. It only consists of plain data, so it can be serialized as
+ * JSON. `offset`, `line` and `column` give the position where parsing
+ * resumes, `offset` counting characters (UTF-16 code units). `encoding` and
+ * `byteOffset` are only set for binary input, `byteOffset` being the offset
+ * in bytes where parsing resumes.
+ */
+
+/**
+ * @typedef {{
+ *  children: (tagName?: string) => TreeElement[];
+ *  textContent: () => string;
+ *  find: (match: string | ((element: TreeElement) => boolean)) => TreeElement | undefined;
+ *  findAll: (match: string | ((element: TreeElement) => boolean)) => TreeElement[];
+ *}}
+ * TreeParentMethods
+ */
+
+/**
+ * @typedef {TreeParentMethods & {
+ *  type: "document";
+ *  childNodes: TreeNode[];
+ *  doctype: string | undefined;
+ *}}
+ * TreeDocument
+ */
+
+/**
+ * @typedef {TreeParentMethods & {
+ *  type: "element";
+ *  tagName: string;
+ *  attributes: Attributes;
+ *  childNodes: TreeNode[];
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeElement  `start` and `end` are the offsets of the start tag's "<" and
+ * right after the end tag's ">".
+ */
+
+/**
+ * @typedef {{
+ *  type: "text";
+ *  text: string;
+ *  cdata: boolean;
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeText
+ */
+
+/**
+ * @typedef {{
+ *  type: "comment";
+ *  text: string;
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeComment
+ */
+
+/**
+ * @typedef {{
+ *  type: "processingInstruction";
+ *  target: string;
+ *  text: string;
+ *  parent: TreeParent;
+ *  start: number;
+ *  end: number;
+ *}}
+ * TreeProcessingInstruction
+ */
+
+/** @typedef {TreeElement | TreeText | TreeComment | TreeProcessingInstruction} TreeNode */
+
+/** @typedef {TreeDocument | TreeElement} TreeParent */
+
+/**
+ * @typedef {{
+ *  indent?: string;
+ *  output?: (chunk: string) => void;
+ *}}
+ * WriterOptions  If `indent` is set, output is pretty-printed, indenting each
+ * level with the given string. To not alter text content, no more indentation
+ * is added inside an element once text was written to it. If `output` is set,
+ * all output is passed to this function instead of being buffered.
+ */
+
+/**
+ * @typedef {{
+ *  publicId?: string;
+ *  systemId?: string;
+ *  internalSubset?: string;
+ *}}
+ * DoctypeOptions
+ */
+
+/**
+ * @typedef {{
+ *  startElement: (tagName: string) => XmlWriter;
+ *  attribute: (name: string, value: string) => XmlWriter;
+ *  text: (text: string) => XmlWriter;
+ *  cdata: (text: string) => XmlWriter;
+ *  comment: (text: string) => XmlWriter;
+ *  pi: (target: string, data?: string) => XmlWriter;
+ *  endElement: (tagName?: string) => XmlWriter;
+ *  doctype: (name: string, options?: DoctypeOptions) => XmlWriter;
+ *  copyEvent: (tsax: TSax) => XmlWriter;
+ *  toString: () => string;
+ *}}
+ * XmlWriter
+ */
+
+/**
+ * @typedef {object} Options
+ * @property {boolean} [namespaces]  If `true`, namespace declarations are
+ * tracked so that `namespaceURI()` and `namespacedAttributes()` become
+ * available. Use of undeclared prefixes is reported as an error.
+ * @property {boolean} [strict]  If `true`, the well-formedness constraints of
+ * XML 1.0 are enforced, like proper nesting of elements, unique attribute
+ * names, valid names and a single root element. Violations are reported as
+ * `"error"` events.
+ * @property {"keep" | "drop" | "trim" | "collapse"} [whitespace]  How
+ * whitespace in text is handled. With `"keep"`, the default, text is reported
+ * as is. With `"drop"`, `"text"` events only consisting of whitespace are
+ * skipped. `"trim"` additionally removes leading and trailing whitespace from
+ * `text()`, and `"collapse"` also replaces each sequence of whitespace inside
+ * the text by a single space. Inside elements with `xml:space="preserve"`,
+ * whitespace is always kept, until an element resets it with
+ * `xml:space="default"`. Text is considered whitespace only if its source
+ * does, i.e. character references like `&#32;` are content. CDATA sections
+ * are never altered.
+ * @property {boolean} [html]  If `true`, input is parsed leniently as HTML
+ * tag soup: Attribute values may be unquoted or missing (the value then is
+ * the empty string), and `"&"` or `"<"` that don't start a reference or tag
+ * are text. Tag and attribute names are reported in lower case. HTML void
+ * elements like `<br>` are reported as `"singleTag"`, as are self closing
+ * tags like `<span/>`, unlike in HTML. End tags that HTML
+ * lets authors omit, like those of `<p>` or `<li>`, are reported as
+ * `"endTag"` events of zero length, as are the end tags of elements that are
+ * still open at an end tag of an ancestor or at the end of the input. Stray
+ * end tags are ignored. The content of `<script>` and `<style>` is reported
+ * as text, without resolving references. HTML 4 entities are resolved, and
+ * text at the end of the input is reported. Can not be combined with
+ * `strict`.
+ * @property {boolean} [recover]  If `true`, errors are not reported as
+ * `"error"` events. Instead, they are collected in `diagnostics()`, and
+ * parsing continues at the next `"<"` after the error. Events that violate
+ * the constraints of strict mode or of namespaces are dropped, as are the end
+ * tags of dropped start tags. In strict mode, an end tag that doesn't match
+ * the innermost open element closes the elements inside the matching one by
+ * `"endTag"` events of zero length, each reported as an error. Errors that
+ * make the input unreadable, like undecodable bytes, are still reported as
+ * `"error"` events.
+ * @property {Limits} [limits]  Limits that protect against hostile input
+ * @property {Checkpoint} [checkpoint]  If set, parsing resumes where the
+ * checkpoint was created. The input passed to `tSax()` must be the complete
+ * input as when the checkpoint was created. When parsing incrementally,
+ * the written input must instead start at the checkpoint's `offset`, or for
+ * binary input at its `byteOffset`. The options should be the same as when
+ * the checkpoint was created.
+ */
+
+/**
+ * @typedef {object} Limits  Each limit that is exceeded is reported as an
+ * `"error"` event with a distinct message. Limits that are not set are not
+ * enforced.
+ * @property {number} [maxDepth]  Maximum nesting depth of elements, where the
+ * root element has depth 1
+ * @property {number} [maxNameLength]  Maximum length of tag, attribute and
+ * processing instruction target names
+ * @property {number} [maxAttributes]  Maximum number of attributes per element
+ * @property {number} [maxTextLength]  Maximum length of text, CDATA
+ * sections, comments and processing instruction data, as found in the
+ * source.
+ * @property {number} [maxAttributeLength]  Maximum length of attribute
+ * values, as found in the source
+ * @property {number} [maxEntityExpansion]  Maximum number of characters
+ * inserted by references to entities declared in the doctype, in total.
+ * As references are resolved on request, e.g. by `text()`, only references
+ * in text that is unescaped count. Each reference counts once, however
+ * often its text is unescaped. Errors are reported like other errors of
+ * unescaping.
+ *
+ * When parsing incrementally, limits are also enforced on incomplete events
+ * at the end of the input, so that overly long input is reported before
+ * it's complete. Unless in recover mode, such an error is permanent: every
+ * further call of `next()` reports it again, and further input is ignored.
+ */
+
+/**
+ * @typedef {Options & {stripWhitespace?: boolean}} TreeOptions  If
+ * `stripWhitespace` is `true`, text nodes only consisting of whitespace are
+ * dropped.
+ */
+
 /**
  * @typedef {{
  *  next: () => EventType;
+ *  eventType: () => EventType | undefined;
  *  tagName: () => string | undefined;
  *  localName: () => string | undefined;
  *  prefix: () => string | undefined;
+ *  namespaceURI: () => string | undefined;
  *  piTarget: () => string | undefined;
+ *  version: () => string | undefined;
+ *  encoding: () => string | undefined;
+ *  standalone: () => boolean | undefined;
  *  text: (raw?: boolean) => string | undefined;
  *  attributes: (raw?: boolean) => Attributes | undefined | "error";
+ *  namespacedAttributes: (raw?: boolean) => NamespacedAttributes | undefined | "error";
+ *  attribute: (name: string, raw?: boolean) => string | undefined | "error";
+ *  nextAttribute: () => boolean | "error";
+ *  attributeName: () => string | undefined;
+ *  attributeValue: (raw?: boolean) => string | undefined;
  *  error: () => string | undefined;
+ *  diagnostics: () => Diagnostic[];
+ *  position: () => PositionRange;
+ *  rawRange: (attributeName?: string) => Range | undefined;
+ *  checkpoint: () => Checkpoint;
+ *  skipElement: () => EventType;
+ *  depth: () => number;
+ *  path: <T extends boolean = false>(withAttributes?: T) => T extends true ? PathElement[] : string[];
+ *  write: (chunk: string | Uint8Array) => void;
+ *  end: () => void;
+ *  [Symbol.iterator]: () => IterableIterator<EventSnapshot>;
  *}}
  * TSax
  */
 
 /**
-* @param {string} S
-*/
-function tSax(S) {
+ * @param {string | Uint8Array} [input]  The complete XML document. If
+ * omitted, the document is expected to be supplied incrementally using
+ * `write()` and `end()`.
+ *
+ * If the document is given as bytes, e.g. as a Node.js `Buffer`, its encoding
+ * is detected from the byte order mark or the XML declaration, defaulting to
+ * UTF-8. All encodings supported by `TextDecoder` can be read, like UTF-16
+ * or Windows-1252. Note that, like in browsers, ISO-8859-1 is decoded as
+ * Windows-1252. A declared encoding that contradicts the byte order mark is
+ * reported as an `"error"` event before the first regular event. Unsupported
+ * encodings and byte sequences that are invalid for the encoding are
+ * reported as `"error"` events that end parsing.
+ * @param {Options} [options]
+ */
+function tSax(input, options = {}) {
+  if (options.html && options.strict) {
+    throw new Error("The html and strict options can not be combined");
+  }
+  /** The input, or when parsing incrementally, the part of it not yet consumed */
+  let S = typeof input === "string" ? input : "";
+  /** `true` once all input is known, i.e. there is no more input to wait for */
+  let ended = input !== undefined;
+  /** @type {"string" | "binary" | undefined} */
+  let inputType = input === undefined ? undefined : typeof input === "string" ? "string" : "binary";
+  /**
+   * Decodes binary input, available once the encoding was determined
+   * @type {Decoder | undefined}
+   */
+  let decoder = undefined;
+  /**
+   * Binary input written before the encoding could be determined
+   * @type {Uint8Array | undefined}
+   */
+  let undecodedBytes = undefined;
+  /**
+   * An encoding related error to be reported by the next call of `next()`
+   * @type {string | undefined}
+   */
+  let encodingError = undefined;
+  /** If `true`, the input can't be decoded and `encodingError` is permanent */
+  let decodingFailed = false;
+  /**
+   * The error of an incomplete event that exceeded a limit. Such an event
+   * can't be skipped until it's complete, and waiting for that would defeat
+   * the limit, so the error is permanent.
+   * @type {string | undefined}
+   */
+  let pendingLimitError = undefined;
+  /** Set to `true` by `write()` so that `next()` knows it can discard the
+   * already consumed part of the input.
+   */
+  let canCompact = false;
   let pos = 0;
+  /** Offset where the document starts, i.e. 1 if it starts with a byte order mark */
+  let documentStart = 0;
+  /** Position where the current event started */
+  let eventStart = 0;
+  /** Position right after the current event */
+  let eventEnd = 0;
+  /** Offset of `S` in the complete input. Only changes when parsing
+   * incrementally, as consumed input is discarded.
+   */
+  let bufferOffset = 0;
+  /** Number of bytes of binary input before `S`. `NaN` if the encoding does
+   * not allow counting them.
+   */
+  let bufferByteOffset = 0;
+  /** Position in `S` up to which we counted lines */
+  let lineCursor = 0;
+  /** Line number at `lineCursor` */
+  let cursorLine = 1;
+  /** Offset in the complete input where the line at `lineCursor` starts */
+  let cursorLineStart = 0;
   let tagNameStart = -1;
   let tagNameEnd = -1;
   let tagEnd = -1;
@@ -60,44 +696,205 @@ function tSax(S) {
   let textEnd = -1;
   let piTargetEnd = -1;
   let mightHaveAttributes = false;
+  // Bounds of the attribute last scanned by `scanAttribute()`
+  let attributeStart = -1;
+  let attributeNameStart = -1;
+  let attributeNameEnd = -1;
+  let valueStart = -1;
+  let valueEnd = -1;
+  /** Where the attribute cursor continues scanning, -1 if it is exhausted */
+  let cursorPos = -1;
+  // Bounds of the attribute at the attribute cursor
+  let cursorNameStart = -1;
+  let cursorNameEnd = -1;
+  let cursorValueStart = -1;
+  let cursorValueEnd = -1;
   /** Set to `true` if we're in text nodes where we need to account for escaped
    * text, or in element tags where attributes might contain entity escapes.
    */
   let textIsEscaped = false;
   /** @type {string|undefined} */
   let error = undefined;
+  // Values of the XML declaration
+  /** @type {string|undefined} */
+  let xmlVersion = undefined;
+  /** @type {string|undefined} */
+  let xmlEncoding = undefined;
+  /** @type {boolean|undefined} */
+  let xmlStandalone = undefined;
+  /** @type {EventType|undefined} */
+  let eventType = undefined;
+  /** Number of events read so far, including dropped ones */
+  let eventCount = 0;
+  /**
+   * The errors collected in recover mode
+   * @type {Diagnostic[]}
+   */
+  const diagnostics = [];
+  /** Offsets and messages of `diagnostics`, to avoid duplicates */
+  const diagnosticKeys = new Set();
+  /** Set to `true` in recover mode when we have to skip to the next "<" */
+  let resyncing = false;
+
+  /** @type {{[prefix: string]: string}} */
+  const rootNamespaceScope = Object.create(null);
+  rootNamespaceScope.xml = xmlNamespace;
+  rootNamespaceScope.xmlns = xmlnsNamespace;
+  // The default namespace is stored under the empty prefix. Initially, it's
+  // "no namespace", represented by the empty string.
+  rootNamespaceScope[""] = "";
+  /**
+   * The namespace scopes of all open elements, mapping prefixes to namespace
+   * URIs. Scopes inherit from their parent scopes through the prototype chain.
+   * Elements that don't declare any namespaces share their parent's scope.
+   */
+  const namespaceScopes = [rootNamespaceScope];
+
+  /** Nesting depth inside the element that is skipped by `skipElement()` */
+  let skipDepth = 0;
+  /** Name of the element that is skipped by `skipElement()` */
+  let skippedTagName = "";
+  /**
+   * In html mode, the number of open elements when the element that is
+   * skipped by `skipElement()` is closed. 0 if not skipping.
+   */
+  let skipToDepth = 0;
+  /**
+   * In html mode, the name of the element closed by the current end tag if
+   * the end tag is implied
+   * @type {string | undefined}
+   */
+  let impliedTagName = undefined;
+  /**
+   * In html mode, the name of the `<script>` or `<style>` element whose
+   * content we're in
+   * @type {string | undefined}
+   */
+  let rawTextElement = undefined;
+  /**
+   * The value of `rawTextElement` before the current event was parsed
+   * @type {string | undefined}
+   */
+  let eventRawTextElement = undefined;
+
+  /**
+   * The open elements. For start, end and self closing tags, this includes the
+   * current element.
+   * @type {OpenElement[]}
+   */
+  const openElements = [];
+  /** Set to `true` when the next event has to remove the current element from
+   * `openElements` (and its namespace scope from `namespaceScopes`), i.e. after
+   * end tags and self closing tags.
+   */
+  let popElement = false;
+  /**
+   * In recover mode, the start tags that were dropped because of an error,
+   * with the number of open elements they were found in. Their end tags are
+   * dropped as well.
+   * @type {{tagName: string; depth: number}[]}
+   */
+  const droppedElements = [];
+  /** The `whitespace` option, unless it's `"keep"` */
+  const whitespaceMode = options.whitespace === "keep" ? undefined : options.whitespace;
+  /** Only maintained in strict mode */
+  let rootElementSeen = false;
+  /** Only maintained in strict mode */
+  let doctypeSeen = false;
 
   /** @type {{[tagName: string]: string}} */
-  const localNameCache = {};
+  const localNameCache = Object.create(null);
   /** @type {{[tagName: string]: string}} */
-  const prefixCache = {};
+  const prefixCache = Object.create(null);
   /** @type {{[entity: string]: string}} */
-  const entityCache = {
-    lt: "<",
-    gt: ">",
-    amp: "&",
-    quot: '"',
-    apos: "'",
-  };
+  const entityCache = Object.create(null);
+  entityCache.lt = "<";
+  entityCache.gt = ">";
+  entityCache.amp = "&";
+  entityCache.quot = '"';
+  entityCache.apos = "'";
+  /**
+   * Replacement texts of general entities declared in the doctype's internal
+   * subset. Once resolved, they are added to `entityCache`. External entities
+   * are `null` as we can't resolve them.
+   * @type {{[entity: string]: string|null}}
+   */
+  const generalEntities = Object.create(null);
+  /** @type {{[entity: string]: string|null}} */
+  const parameterEntities = Object.create(null);
+  /**
+   * Names of the entities that are currently being expanded, to detect
+   * recursion. Parameter entity names are prefixed with "%".
+   * @type {string[]}
+   */
+  const entitiesBeingExpanded = [];
+  /** @type {Limits} */
+  const limits = options.limits || {};
+  /** Number of characters inserted by entity references so far */
+  let entityExpansion = 0;
+  /**
+   * Positions of the entity references of the current event that were
+   * counted towards `entityExpansion`
+   * @type {Set<number>}
+   */
+  const countedReferences = new Set();
 
   /**
-   * Only to be used in the error case as the calculation is pretty expensive
-   * for large files.
-   * @param {number} errorPos
-   * @returns string
+   * Moves the line cursor forward, counting the lines on the way.
+   * @param {number} to
    */
-  function humanReadablePos(errorPos) {
-    let lineNumber = 0;
-    let pos = 0;
-    let lineStartPos = 0;
+  function advanceLineCursor(to) {
+    if (to <= lineCursor) {
+      return;
+    }
+    let newline = S.indexOf("\n", lineCursor);
+    while (newline >= 0 && newline < to) {
+      cursorLine += 1;
+      cursorLineStart = bufferOffset + newline + 1;
+      newline = S.indexOf("\n", newline + 1);
+    }
+    lineCursor = to;
+  }
 
-    while (pos > 0 && pos < errorPos) {
-      lineStartPos = pos;
-      pos = S.indexOf("\n", pos);
-      lineNumber += 1;
+  /**
+   * Lines are counted incrementally, so this is cheap as long as positions are
+   * requested in ascending order.
+   * @param {number} position  A position in `S`
+   * @returns {Position}
+   */
+  function locate(position) {
+    let line = cursorLine;
+    let lineStart = cursorLineStart;
+    if (position >= lineCursor) {
+      let newline = S.indexOf("\n", lineCursor);
+      while (newline >= 0 && newline < position) {
+        line += 1;
+        lineStart = bufferOffset + newline + 1;
+        newline = S.indexOf("\n", newline + 1);
+      }
+    } else {
+      // Only happens for errors that are reported for a position before the
+      // current event
+      let newline = S.lastIndexOf("\n", lineCursor - 1);
+      while (newline >= position) {
+        line -= 1;
+        newline = newline > 0 ? S.lastIndexOf("\n", newline - 1) : -1;
+      }
+      if (line < cursorLine) {
+        lineStart = bufferOffset + newline + 1;
+      }
     }
+    const offset = bufferOffset + position;
+    return {offset: offset, line: line, column: offset - lineStart + 1};
+  }
 
-    return `${lineNumber + 1}:${errorPos - lineStartPos + 1}`;
+  /**
+   * @param {number} errorPos
+   * @returns string
+   */
+  function humanReadablePos(errorPos) {
+    const position = locate(errorPos);
+    return `${position.line}:${position.column}`;
   }
 
   /**
@@ -106,10 +903,86 @@ function tSax(S) {
    * @returns {"error"}
    */
   function err(errorPos, message) {
+    if (errorPos >= eventStart) {
+      // Keeps locating errors cheap when there are many of them
+      advanceLineCursor(eventStart);
+    }
     error = message + ` at ${humanReadablePos(errorPos)}`;
+    if (options.recover) {
+      addDiagnostic(errorPos, message);
+    }
     return "error";
   }
 
+  /**
+   * Collects an error in recover mode.
+   * @param {number} errorPos
+   * @param {string} message
+   */
+  function addDiagnostic(errorPos, message) {
+    const position = locate(errorPos);
+    // Lazily detected errors, like in attributes, might be found repeatedly
+    const key = `${position.offset} ${message}`;
+    if (!diagnosticKeys.has(key)) {
+      diagnosticKeys.add(key);
+      diagnostics.push({message: message, position: position});
+    }
+  }
+
+  /**
+   * Appends binary input to `S`, determining the encoding first if
+   * necessary.
+   * @param {Uint8Array} bytes
+   * @param {boolean} final  `true` if there's no more input
+   */
+  function decodeBytes(bytes, final) {
+    if (decodingFailed) {
+      return;
+    }
+    if (!decoder) {
+      if (undecodedBytes) {
+        const joined = new Uint8Array(undecodedBytes.length + bytes.length);
+        joined.set(undecodedBytes);
+        joined.set(bytes, undecodedBytes.length);
+        bytes = joined;
+      }
+      const detected = detectEncoding(bytes, final);
+      if (!detected) {
+        undecodedBytes = bytes;
+        return;
+      }
+      undecodedBytes = undefined;
+      encodingError = detected.error;
+      if (!detected.encoding) {
+        decodingFailed = true;
+        return;
+      }
+      decoder =
+        detected.encoding === "windows-1252"
+          ? windows1252Decoder
+          : new TextDecoder(detected.encoding, {fatal: true, ignoreBOM: true});
+      bytes = bytes.subarray(detected.byteOrderMarkLength);
+      bufferByteOffset = detected.byteOrderMarkLength;
+    }
+    try {
+      S += decoder.decode(bytes, {stream: !final});
+    } catch (e) {
+      encodingError = `Invalid byte sequence for encoding ${decoder.encoding}`;
+      decodingFailed = true;
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @returns {"error"}
+   */
+  function reportEncodingError(message) {
+    if (!decodingFailed) {
+      encodingError = undefined;
+    }
+    return err(pos, message);
+  }
+
   /**
    * @param {number} errorPos
    * @param {string} scanningFor
@@ -122,43 +995,216 @@ function tSax(S) {
     );
   }
 
+  /**
+   * To be called when the current event is cut off by the end of the input.
+   * If more input is expected, rewinds to the start of the event so scanning
+   * can be resumed once `write()` supplied more data.
+   * @param {number} errorPos
+   * @param {string} scanningFor
+   * @returns {"error"|"needMoreInput"}
+   */
+  function incomplete(errorPos, scanningFor) {
+    if (ended) {
+      return unexpectedEOF(errorPos, scanningFor);
+    }
+    pos = eventStart;
+    return "needMoreInput";
+  }
+
   function parseDoctype() {
     // Skip the 10 characters of '<!DOCTYPE '
     tagNameStart = pos + 10;
     pos += 11;
     tagNameEnd = posOfFirst(nameEndChars);
-    // We have to skip any '<!ELEMENT>', '<!ENTITY>', '<!ATTLIST>' or
-    // '<!NOTATION>' declarations. We do this by counting opening and closing
-    // '<' and '>' brackets. Initially, we have 1 open bracket from
-    // '<!DOCTYPE ':
-    let bracketCount = 1;
-    // TODO: Register any entity declarations for entity resolution.
-
-    do {
-      switch (S[pos]) {
-        case "<":
-          if (S[pos + 1] === "?") {
-            // Parsing a processing instruction inside this will mess with our
-            // positions, so back them up and restore them
-            const positionBackup = [tagNameStart, tagNameEnd];
-            parseProcessingInstruction();
-            [tagNameStart, tagNameEnd] = positionBackup;
-          } else {
-            bracketCount += 1;
-          }
-          break;
-        case ">":
-          bracketCount -= 1;
-          break;
+    let subsetStart = -1;
+    let subsetEnd = -1;
+
+    // Look for the closing '>', skipping quoted system and public IDs as well
+    // as the internal subset, if any.
+    while (S.charCodeAt(pos) !== closeBracketCC) {
+      const charCode = S.charCodeAt(pos);
+      if (quoteChars[charCode]) {
+        pos = S.indexOf(S[pos], pos + 1);
+      } else if (charCode === openCornerBracketCC) {
+        subsetStart = pos + 1;
+        pos = posOfSubsetEnd(subsetStart);
+        subsetEnd = pos;
+      }
+      if (pos < 0 || pos >= S.length) {
+        return incomplete(tagNameEnd, "doctype end");
       }
       pos += 1;
-    } while (bracketCount > 0 && pos < S.length);
+    }
 
     textStart = tagNameEnd;
-    textEnd = pos - 1;
-    return bracketCount === 0
-      ? "doctype"
-      : unexpectedEOF(textStart, "doctype end");
+    textEnd = pos;
+    pos += 1;
+    if (
+      subsetStart >= 0 &&
+      !declareEntities(S.substring(subsetStart, subsetEnd), subsetStart)
+    ) {
+      return "error";
+    }
+    return "doctype";
+  }
+
+  /**
+   * @param {number} from  Position right after the '[' that opens the internal
+   * subset of a doctype declaration
+   * @returns {number}  The position of the ']' closing the internal subset.
+   * -1 if there is none.
+   */
+  function posOfSubsetEnd(from) {
+    for (let i = from; i < S.length; i++) {
+      const charCode = S.charCodeAt(i);
+      if (charCode === closeCornerBracketCC) {
+        return i;
+      }
+      if (quoteChars[charCode]) {
+        i = S.indexOf(S[i], i + 1);
+      } else if (charCode === openBracketCC) {
+        // Comments and processing instructions might contain anything,
+        // including quotes and brackets
+        if (S.substring(i, i + 4) === "<!--") {
+          i = S.indexOf("-->", i + 4);
+        } else if (S.charCodeAt(i + 1) === questionCC) {
+          i = S.indexOf("?>", i + 2);
+        }
+      }
+      if (i < 0) {
+        return -1;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Registers the entity declarations of a doctype's internal subset so they
+   * can be resolved in text and attribute values. All other declarations are
+   * skipped.
+   * @param {string} subset
+   * @param {number} subsetStart  Position of the subset in the input, for
+   * error messages.
+   * @returns {boolean}  `false` if there was an error.
+   */
+  function declareEntities(subset, subsetStart) {
+    let i = 0;
+    while (true) {
+      // All other whitespace character codes are smaller than that of space
+      while (subset.charCodeAt(i) <= spaceCC) {
+        i += 1;
+      }
+      if (i >= subset.length) {
+        return true;
+      }
+
+      let end = -1;
+      if (subset.substring(i, i + 8) === "<!ENTITY") {
+        entityDeclarationRegExp.lastIndex = i;
+        const match = entityDeclarationRegExp.exec(subset);
+        if (!match) {
+          err(subsetStart + i, "Malformed entity declaration");
+          return false;
+        }
+        const [, isParameterEntity, name, doubleQuoted, singleQuoted, isExternal] = match;
+        /** @type {string|null|undefined} */
+        let value = null;
+        if (!isExternal) {
+          value = expandEntityValue(
+            doubleQuoted === undefined ? singleQuoted : doubleQuoted,
+            subsetStart + i
+          );
+          if (value === undefined) {
+            return false;
+          }
+        }
+        const declarations = isParameterEntity ? parameterEntities : generalEntities;
+        // Only the first declaration of an entity is binding
+        if (!(name in declarations) && !(name in entityCache)) {
+          declarations[name] = value;
+        }
+        end = entityDeclarationRegExp.lastIndex;
+      } else if (subset.substring(i, i + 4) === "<!--") {
+        end = subset.indexOf("-->", i + 4) + 3;
+      } else if (subset.substring(i, i + 2) === "<?") {
+        end = subset.indexOf("?>", i + 2) + 2;
+      } else if (subset.substring(i, i + 2) === "<!") {
+        // Skip '<!ELEMENT>', '<!ATTLIST>' and '<!NOTATION>' declarations
+        markupDeclarationRegExp.lastIndex = i;
+        end = markupDeclarationRegExp.test(subset)
+          ? markupDeclarationRegExp.lastIndex
+          : -1;
+      } else if (subset.charCodeAt(i) === percentCC) {
+        const semicolon = subset.indexOf(";", i);
+        const name = subset.substring(i + 1, semicolon);
+        const replacementText = parameterEntities[name];
+        if (semicolon < 0 || replacementText === undefined) {
+          err(subsetStart + i, `Unresolveable parameter entity "${name}"`);
+          return false;
+        }
+        if (replacementText === null) {
+          // We don't read external entities. Declarations after the reference
+          // might depend on it, so we must not process them.
+          return true;
+        }
+        if (entitiesBeingExpanded.indexOf("%" + name) >= 0) {
+          err(subsetStart + i, `Recursive reference to parameter entity "${name}"`);
+          return false;
+        }
+        entitiesBeingExpanded.push("%" + name);
+        const ok = declareEntities(replacementText, subsetStart + i);
+        entitiesBeingExpanded.pop();
+        if (!ok) {
+          return false;
+        }
+        end = semicolon + 1;
+      }
+
+      if (end < i) {
+        err(subsetStart + i, "Malformed doctype internal subset");
+        return false;
+      }
+      i = end;
+    }
+  }
+
+  /**
+   * Performs the replacements on an entity value literal that happen when
+   * the entity is declared, i.e. line ends are normalized and parameter
+   * entity and character references are resolved. General entity references
+   * are left untouched as they are resolved when the entity is used.
+   * @param {string} literal
+   * @param {number} errorPos
+   * @returns {string|undefined}  `undefined` if there was an error.
+   */
+  function expandEntityValue(literal, errorPos) {
+    /** @type {string|undefined} */
+    let unresolveable = undefined;
+    const value = normalizeLineEnds(literal).replace(
+      /%([^;%\s]+);|&(#[^;]+);/g,
+      function (reference, parameterEntity, characterReference) {
+        const replacement = parameterEntity
+          ? parameterEntities[parameterEntity]
+          : cacheEntity(characterReference, errorPos);
+        if (typeof replacement !== "string") {
+          unresolveable = unresolveable || reference;
+          return "";
+        }
+        if (parameterEntity) {
+          entityExpansion += replacement.length;
+        }
+        return replacement;
+      }
+    );
+    if (unresolveable) {
+      err(errorPos, `Unresolveable reference ${unresolveable} in entity value`);
+      return undefined;
+    }
+    if (entityExpansion > (limits.maxEntityExpansion || Infinity)) {
+      entityExpansionError(errorPos);
+      return undefined;
+    }
+    return value;
   }
 
   /**
@@ -168,20 +1214,23 @@ function tSax(S) {
    * e.g. for comment 3 characters (length of '-->'), but 0 for text as the
    * trailing '<' already starts the next event.
    * @param {string} end  String that ends the text, e.g. '-->' for comment
-   * @returns {"cdata"|"comment"|"error"|"processingInstruction"|"text"}
+   * @returns {"cdata"|"comment"|"error"|"needMoreInput"|"text"}
    */
   function parseText(type, skip, skipEnd, end) {
     textStart = pos + skip;
     textEnd = S.indexOf(end, textStart);
+    if (textEnd < 0) {
+      return incomplete(textStart, end);
+    }
     pos = textEnd + skipEnd;
-    return textEnd > 0 ? type : unexpectedEOF(textStart, end);
+    return type;
   }
 
   function parseEndTag() {
     tagNameStart = pos + 2;
     tagNameEnd = S.indexOf(">", pos);
     if (tagNameEnd < 0) {
-      return unexpectedEOF(tagNameStart, "'>'");
+      return incomplete(tagNameStart, "'>'");
     }
     pos = tagNameEnd + 1;
     // All other whitespace character codes are smaller than that of space (" ")
@@ -195,9 +1244,9 @@ function tSax(S) {
     tagNameStart = pos + 1;
     pos += 2;
     tagNameEnd = posOfFirst(nameEndChars);
-    tagEnd = S.indexOf(">", tagNameEnd);
+    tagEnd = posOfTagEnd(tagNameEnd);
     if (tagEnd < 0) {
-      return unexpectedEOF(tagNameStart, "'>'");
+      return incomplete(tagNameStart, "'>'");
     }
     pos = tagEnd + 1;
     mightHaveAttributes = true;
@@ -210,12 +1259,35 @@ function tSax(S) {
     piTargetEnd = posOfFirst(nameEndChars);
     tagEnd = S.indexOf("?>", piTargetEnd);
     if (tagEnd < 0) {
-      return unexpectedEOF(tagNameStart, "'?>'");
+      return incomplete(tagNameStart, "'?>'");
     }
     textStart = piTargetEnd + 1;
     textEnd = tagEnd >= textStart ? tagEnd : textStart;
     pos = tagEnd + 2;
-    return "processingInstruction";
+    return piTargetEnd - tagNameStart === 3 && S.startsWith("xml", tagNameStart)
+      ? parseXmlDeclaration()
+      : "processingInstruction";
+  }
+
+  /**
+   * Checks the placement of an XML declaration and reads its pseudo
+   * attributes. Called by `parseProcessingInstruction()` when it finds the
+   * target "xml".
+   * @returns {"xmlDeclaration"|"error"}
+   */
+  function parseXmlDeclaration() {
+    const match = xmlDeclarationRegExp.exec(S.substring(piTargetEnd, tagEnd));
+    piTargetEnd = -1;
+    if (bufferOffset + eventStart !== documentStart) {
+      return err(eventStart, "XML declaration only allowed at the start of the document");
+    }
+    if (!match) {
+      return err(eventStart, "Malformed XML declaration");
+    }
+    xmlVersion = match[2];
+    xmlEncoding = match[4];
+    xmlStandalone = match[6] === undefined ? undefined : match[6] === "yes";
+    return "xmlDeclaration";
   }
 
   /**
@@ -231,6 +1303,27 @@ function tSax(S) {
     return pos;
   }
 
+  /**
+   * @param {number} from
+   * @returns {number}  The position of the '>' that closes the tag, skipping
+   * any '>' inside quoted attribute values. -1 if there is none.
+   */
+  function posOfTagEnd(from) {
+    for (let i = from; i < S.length; i++) {
+      const charCode = S.charCodeAt(i);
+      if (charCode === closeBracketCC) {
+        return i;
+      }
+      if (quoteChars[charCode]) {
+        i = S.indexOf(S[i], i + 1);
+        if (i < 0) {
+          return -1;
+        }
+      }
+    }
+    return -1;
+  }
+
   /**
    * Caches the local name of `tagName` and returns it
    * @param {string} tagName
@@ -256,319 +1349,4383 @@ function tSax(S) {
   }
 
   /**
-   * @param {string} entity
+   * Resolves an entity that is not yet in the cache, which is either a
+   * character reference or a declared entity, and caches it.
+   * @param {string} entity  The entity name, e.g. "#x20" or "foo"
+   * @param {number} errorPos
    * @returns {string|undefined}  Unescaped entity. `undefined` if the entity
-   * was malformed.
+   * could not be resolved, in which case an error message is set.
    */
-  function cacheEntity(entity) {
-    // We know we have a numeric entity, because the other entities that XML
-    // knows are already in the cache by default.
+  function cacheEntity(entity, errorPos) {
+    if (entity.charCodeAt(0) !== hashCC) {
+      return expandEntity(entity, errorPos);
+    }
+    if (options.strict && !charReferenceRegExp.test(entity)) {
+      err(errorPos, `Invalid character reference "&${entity};"`);
+      return undefined;
+    }
     const isHex = entity.charCodeAt(1) === letterxCC;
     const charCode = isHex
       ? parseInt(entity.substring(2), 16)
       : parseInt(entity.substring(1), 10);
-    if (isNaN(charCode)) {
+    if (isNaN(charCode) || charCode > 0x10ffff) {
+      err(errorPos, `Unresolveable entity "${entity}"`);
+      return undefined;
+    }
+    if (options.strict && !isXmlChar(charCode)) {
+      err(errorPos, `Reference to invalid character "&${entity};"`);
       return undefined;
     }
-    const char = String.fromCharCode(charCode);
+    const char =
+      charCode > 0xffff
+        ? // Encode as surrogate pair
+          String.fromCharCode(
+            0xd800 + ((charCode - 0x10000) >> 10),
+            0xdc00 + ((charCode - 0x10000) & 0x3ff)
+          )
+        : String.fromCharCode(charCode);
     entityCache[entity] = char;
     return char;
   }
 
+  /**
+   * @param {string} entity
+   * @param {number} errorPos
+   * @returns {string|undefined}
+   */
+  function expandEntity(entity, errorPos) {
+    const replacementText = generalEntities[entity];
+    if (typeof replacementText !== "string") {
+      err(errorPos, `Unresolveable entity "${entity}"`);
+      return undefined;
+    }
+    if (entitiesBeingExpanded.indexOf(entity) >= 0) {
+      err(errorPos, `Recursive reference to entity "${entity}"`);
+      return undefined;
+    }
+    entitiesBeingExpanded.push(entity);
+    // The replacement text may itself contain entity references
+    const expanded = unescapeText(replacementText, errorPos);
+    entitiesBeingExpanded.pop();
+    if (expanded !== undefined) {
+      entityCache[entity] = expanded;
+    }
+    return expanded;
+  }
+
+  /**
+   * @param {number} errorPos
+   * @returns {"error"}
+   */
+  function entityExpansionError(errorPos) {
+    const max = limits.maxEntityExpansion;
+    return err(errorPos, `Entity expansion exceeds the maximum of ${max} characters`);
+  }
+
   /**
    * @param {string} rawText
+   * @param {number} [errorPos]  Position to report errors at. If not set,
+   * errors are reported at the position of the offending entity reference,
+   * assuming `rawText` is the text of the current event.
+   * @param {(text: string) => string} [normalize]  Applied to the literal
+   * text, but not to characters given by character references.
+   * @param {(text: string) => string} [normalizeReplacement]  Applied to the
+   * replacement text of entities. Line ends were already normalized when the
+   * entity was declared, while characters that character references put into
+   * the replacement text must be preserved, so this can't be `normalize`.
    * @returns {string|undefined}  `undefined` is returned when there's a
    * problem with unescaping.  In that case, en error message is set.
    */
-  function unescapeText(rawText) {
+  function unescapeText(rawText, errorPos, normalize = identity, normalizeReplacement = identity) {
+    if (options.html) {
+      return unescapeHtml(rawText, normalize);
+    }
     let ampIndex = rawText ? rawText.indexOf("&") : -1;
     if (!rawText || ampIndex < 0) {
-      return rawText;
+      return normalize(rawText);
     }
 
     let semicolonIndex = -1;
     let text = "";
 
     while (ampIndex >= 0) {
-      text += rawText.substring(semicolonIndex + 1, ampIndex);
+      text += normalize(rawText.substring(semicolonIndex + 1, ampIndex));
       semicolonIndex = rawText.indexOf(";", ampIndex + 2);
       if (semicolonIndex < 0) {
-        err(textStart + ampIndex + 2, "Missing semicolon");
+        err(errorPos === undefined ? textStart + ampIndex + 2 : errorPos, "Missing semicolon");
+        return undefined;
       }
       const entity = rawText.substring(ampIndex + 1, semicolonIndex);
-      const resolved = entityCache[entity] || cacheEntity(entity);
-      if (!resolved) {
-        err(textStart + semicolonIndex, `Unresolveable entity "${entity}"`);
+      const resolved =
+        entity in entityCache
+          ? entityCache[entity]
+          : cacheEntity(entity, errorPos === undefined ? textStart + semicolonIndex : errorPos);
+      if (resolved === undefined) {
         return undefined;
       }
-      text += resolved;
+      if (limits.maxEntityExpansion !== undefined && generalEntities[entity]) {
+        // Text might be unescaped repeatedly, but each reference only counts once
+        const referencePos = (errorPos === undefined ? textStart : errorPos) + ampIndex;
+        if (entitiesBeingExpanded.length > 0) {
+          entityExpansion += resolved.length;
+        } else if (!countedReferences.has(referencePos)) {
+          countedReferences.add(referencePos);
+          entityExpansion += resolved.length;
+        }
+        if (entityExpansion > limits.maxEntityExpansion) {
+          entityExpansionError(errorPos === undefined ? textStart + ampIndex : errorPos);
+          return undefined;
+        }
+      }
+      text += entity.charCodeAt(0) === hashCC ? resolved : normalizeReplacement(resolved);
 
       ampIndex = rawText.indexOf("&", semicolonIndex + 1);
     }
 
-    return text + rawText.substring(semicolonIndex + 1);
+    return text + normalize(rawText.substring(semicolonIndex + 1));
   }
 
-  return {
-    /**
-     * This is the main method for interacting with tSax. It consumes the next
-     * event from the XML string and returns the event type it found. Further
-     * parsing of data belonging to this event is only done on request, using
-     * methods `tagName()`, `attributes()`, `rawText()` and so on. This makes
-     * processing very fast when one is only interested in accessing data of
-     * some very specific events.
-     *
-     * @example <caption>Looking for the next occurrence of a `<foo>`
-     * element</caption>
-     * const tsax = tSax(xmlString);
-     * while (true) {
-     *   switch (tsax.next()) {
-     *     case "element":
-     *       break;
-     *     case "eof":
-     *     case "error":
-     *       throw new Error("Did not find expected element <foo>");
-     *     default:
-     *       continue;
-     *   }
-     *   if (tsax.tagName() === "foo") {
-     *     break;
-     *   }
-     * }
-     * console.log(tsax.attributes());
-     *
-     *
-     * @example <caption>Building a DOM tree</caption>
-     * // Intialize with the root node
-     * let currentElement = {children: []};
-     * const elementStack = [];
-     *
-     * while (true) {
-     *   switch (tsax.next()) {
-     *     case "startTag":
-     *       const element = {
-     *         tagName: tsax.tagName(),
-     *         attributes: tsax.attributes(),
-     *         children: [],
-     *       };
-     *       currentElement.children.push(element);
-     *       currentElement = element;
-     *       elementStack.push(element);
-     *       break;
-     *     case "endTag":
-     *       currentElement = elementStack.pop();
-     *       if (!currentElement) {
-     *         throw new Error("Too many closing tags");
-     *       }
-     *       break;
-     *     case "text":
-     *     case "cdata":
-     *       currentElement.children.push(tsax.rawText());
-     *       break;
-     *     case "error":
-     *       throw new Error(tsax.error());
-     *     case "eof":
-     *       if (elementStack.length !== 1) {
-     *         throw new Error("Missing closing tags");
-     *       }
-     *       // The root node only has one child, the root element.
-     *       return currentElement.children[0];
-     *     }
-     *   }
-     * }
-     *
-     * @returns {EventType}  One of the following event types.  Depending on the
-     * current event, specific methods of the TSax object are avilable to get
-     * more information about the event.
-     *
-     * * `"cdata"`: A CDATA node. Available methods:
-     *   * `rawText()`
-     * * `"comment"`: A comment node. Available methods:
-     *   * `rawText()`
-     * * `"doctype"`: A doctype declaration. Available methods:
-     *   * `rawText()`
-     * * `"endTag"`: An closing tag. Available methods:
-     *   * `localName()`
-     *   * `prefix()`
-     *   * `tagName()`
-     * * `"eof"`: The end of the file was reached. No methods available.
-     * * `"error"`: An error occurred during parsing. Available methods:
-     *   * `error()`
-     * * `"processingInstruction"`: A processing instruction. Available methods:
-     *   * `rawText()`
-     * * `"singleTag"`: A self closing tag. Available methods:
-     *   * `attributes()`
-     *   * `localName()`
-     *   * `prefix()`
-     *   * `tagName()`
-     * * `"startTag"`: A start tag. The same methods as for `"singleTag"` are
-     *   available.
-     * * `"text"`:  A text node. Available methods:
-     *   * `rawText()`
-     */
-    next: function next() {
-      tagNameEnd = -1;
-      textEnd = -1;
-      piTargetEnd = -1;
-      mightHaveAttributes = false;
-      textIsEscaped = false;
-
-      if (S.charCodeAt(pos) !== openBracketCC) {
-        // When there is an error scanning for "<" (i.e. no "<" found), this is
-        // not really an error for text nodes. We just reached the end of file.
-        // The final closing tag may be followed by a text node with only
-        // whitespace (which we don't check).
-        textIsEscaped = true;
-        return parseText("text", 0, 0, "<") === "error" ? "eof" : "text";
-      }
-      switch (S.charCodeAt(pos + 1)) {
-        case slashCC:
-          return parseEndTag();
-        case questionCC:
-          return parseProcessingInstruction();
-        case exclamationCC:
-          switch (S.charCodeAt(pos + 2)) {
-            case minusCC:
-              // Skip the 4 characters of '<!--
-              return parseText("comment", 4, 3, "-->");
-            case openCornerBracketCC:
-              // Skip 9 characters of "<![CDATA["
-              return parseText("cdata", 9, 3, "]]>");
-            case letterDCC:
-              return parseDoctype();
-            default:
-              return err(
-                pos,
-                `Unexpected character sequence ${S.substring(pos, pos + 3)}`
-              );
-          }
-      }
-      // Set the escaping flag because attributes are escaped
-      textIsEscaped = true;
-      return parseStartTag();
-    },
-
-    /**
-     * @returns {string|undefined}  Tag name of the current event, preserving
-     * original upper/lower case, including prefix. `undefined` if the current
-     * event is not a start or end tag.
-     */
-    tagName: function () {
-      return tagNameEnd > 0 ? S.substring(tagNameStart, tagNameEnd) : undefined;
-    },
-
-    localName: function () {
-      const tagName = this.tagName();
-      return tagName && (localNameCache[tagName] || cacheLocalName(tagName));
-    },
-
-    prefix: function () {
-      const tagName = this.tagName();
-      return tagName && (prefixCache[tagName] || cachePrefix(tagName));
-    },
-
-    /**
-     * @returns {string|undefined} The processing instruction target, i.e. the
-     * "tag name" of a processing instruction. `undefined` if the current event
-     * is not a processing instruction.
-     */
-    piTarget: function () {
-      return piTargetEnd > 0
-        ? S.substring(tagNameStart, piTargetEnd)
-        : undefined;
-    },
+  /**
+   * Scans the attribute following position `from` in the current tag and
+   * sets `attributeStart`, `attributeNameStart`, `attributeNameEnd`,
+   * `valueStart` and `valueEnd` accordingly. In strict mode, the attribute is
+   * checked for well-formedness, except for uniqueness. Leaves the cursor
+   * after the tag.
+   * @param {number} from  The end of the tag name or of the previous
+   * attribute's value
+   * @returns {boolean | "error"}  `false` if there are no more attributes
+   */
+  function scanAttribute(from) {
+    if (options.html) {
+      return scanHtmlAttribute(from);
+    }
+    if (from === tagNameEnd && tagEnd - tagNameEnd < 5 && !options.strict) {
+      // There's no space for any attributes, so return early. The shortest
+      // XML attribute needs 5 characters, including leading space: ` x=""`
+      return false;
+    }
 
-    /***
-     * Only available if the current event is `"cdata"`, `"comment"`,
-     * `"doctype"`, `"processingInstruction"`, or `"text"`. Otherwise,
-     * `undefined` is returned.
-     * @param {boolean} [raw]  If `true`, will return XML text verbatim. If
-     * falsy, entities will be resolved.
-     * @returns {string|undefined}  If there was a problem resolving entities,
-     * `undefined` is returned and an error message can be retrieved with
-     * `error()`.
-     */
-    text: function (raw) {
-      if (textEnd < 0) {
-        return undefined;
+    pos = from;
+    attributeStart = from + 1;
+    if (S.charCodeAt(posOfFirst(attributeNameEndChars)) === closeBracketCC) {
+      if (options.strict && !/^[ \t\r\n]*\/?$/.test(S.substring(from, pos))) {
+        const unexpected = S.substring(from, pos).trim();
+        return attributeError(from, `Unexpected "${unexpected}" in tag`);
       }
-      const rawText = S.substring(textStart, textEnd);
-      return raw || !textIsEscaped ? rawText : unescapeText(rawText);
-    },
+      pos = tagEnd + 1;
+      return false;
+    }
 
-    /**
-     * @param {boolean} [raw]  If `true`, will return attribute values varbatim.
-     * If falsy, entities will be resolved.
-     * @returns {Attributes | undefined | "error"} An object mapping attribute
-     * names to attribute values.  Attribute names include prefixes.  Namespace
-     * declarations are treated like regular attributes.
-     *
-     * Only available if the current event is `"singleTag"` or `"startTag"`,
-     * otherwise returns `undefined`.
-     *
-     * If an error occurs during attribute parsing, returns `"error"`. To get
-     * the error message, use the `error()` method.
-     */
-    attributes: function (raw) {
-      if (!mightHaveAttributes) {
-        return undefined;
+    // Found "=" at pos
+    const equalsPos = pos;
+    attributeNameStart = attributeStart;
+    attributeNameEnd = equalsPos;
+    // All other whitespace character codes are smaller than that of space (" ")
+    while (S.charCodeAt(attributeNameStart) <= spaceCC && attributeNameStart < attributeNameEnd) {
+      attributeNameStart += 1;
+    }
+    while (S.charCodeAt(attributeNameEnd - 1) <= spaceCC && attributeNameEnd > attributeNameStart) {
+      attributeNameEnd -= 1;
+    }
+    valueStart = posOfFirst(quoteChars) + 1;
+    valueEnd = S.indexOf(S[valueStart - 1], valueStart);
+    if (pos >= S.length) {
+      return attributeError(
+        attributeStart,
+        "Unexpected end of file while scanning for attribute delimiters"
+      );
+    }
+    if (options.strict) {
+      const attributeName = S.substring(attributeNameStart, attributeNameEnd);
+      const rawValue = S.substring(valueStart, valueEnd);
+      let message = undefined;
+      if (S.charCodeAt(from) > spaceCC) {
+        const name = S.substring(from, equalsPos).trim();
+        message = `Missing whitespace before attribute "${name}"`;
+      } else if (!nameRegExp.test(attributeName)) {
+        message = `Invalid attribute name "${attributeName}"`;
+      } else if (!whitespaceRegExp.test(S.substring(equalsPos + 1, valueStart - 1))) {
+        message = `Unquoted value of attribute "${attributeName}"`;
+      } else if (rawValue.indexOf("<") >= 0) {
+        message = `Unescaped '<' in value of attribute "${attributeName}"`;
+      } else if (invalidCharRegExp.test(rawValue)) {
+        message = `Invalid character in value of attribute "${attributeName}"`;
       }
+      if (message) {
+        return attributeError(attributeStart, message);
+      }
+    }
+    pos = tagEnd + 1;
+    return true;
+  }
 
-      /** @type {Attributes} */
-      const attributes = {};
-
-      if (tagEnd - tagNameEnd < 5) {
-        // There's no space for any attributes, so return early. The shortest
-        // XML attribute needs 5 characters, including leading space: ` x=""`
-        return attributes;
+  /**
+   * `scanAttribute()` for html mode, allowing unquoted and missing values.
+   * For a missing value, `valueStart` and `valueEnd` are set to the end of
+   * the name.
+   * @param {number} from
+   * @returns {boolean}
+   */
+  function scanHtmlAttribute(from) {
+    pos = from;
+    // Skip whitespace and stray slashes
+    while (pos < tagEnd && (S.charCodeAt(pos) <= spaceCC || S.charCodeAt(pos) === slashCC)) {
+      pos += 1;
+    }
+    if (pos >= tagEnd) {
+      pos = tagEnd + 1;
+      return false;
+    }
+    attributeStart = attributeNameStart = pos;
+    // A leading "=" is part of the name, as in HTML
+    pos += 1;
+    while (pos < tagEnd && !htmlAttributeNameEndChars[S.charCodeAt(pos)]) {
+      pos += 1;
+    }
+    attributeNameEnd = valueStart = valueEnd = pos;
+    while (pos < tagEnd && S.charCodeAt(pos) <= spaceCC) {
+      pos += 1;
+    }
+    if (S.charCodeAt(pos) === equalsCC) {
+      pos += 1;
+      while (pos < tagEnd && S.charCodeAt(pos) <= spaceCC) {
+        pos += 1;
       }
+      if (quoteChars[S.charCodeAt(pos)]) {
+        valueStart = pos + 1;
+        valueEnd = S.indexOf(S[pos], valueStart);
+        if (valueEnd < 0 || valueEnd > tagEnd) {
+          valueEnd = tagEnd;
+        }
+      } else {
+        valueStart = pos;
+        while (pos < tagEnd && S.charCodeAt(pos) > spaceCC) {
+          pos += 1;
+        }
+        valueEnd = pos;
+      }
+    }
+    pos = tagEnd + 1;
+    return true;
+  }
 
-      // Rewind the cursor
-      pos = tagNameEnd;
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @param {boolean} [raw]
+   * @returns {string | undefined}  The attribute value between `start` and
+   * `end`. `undefined` if unescaping failed.
+   */
+  function getAttributeValue(start, end, raw) {
+    const rawValue = S.substring(start, end);
+    // HTML does not normalize whitespace in attribute values
+    const normalize = options.html ? normalizeLineEnds : normalizeAttributeWhitespace;
+    return raw ? rawValue : unescapeText(rawValue, start, normalize, replaceWhitespace);
+  }
 
-      while (true) {
-        const attributeStart = pos + 1;
+  /**
+   * @param {boolean} [raw]
+   * @returns {Attributes | undefined | "error"}
+   */
+  function parseAttributes(raw) {
+    if (!mightHaveAttributes) {
+      return undefined;
+    }
 
-        if (
-          S.charCodeAt(posOfFirst(attributeNameEndChars)) === closeBracketCC
-        ) {
-          pos += 1;
-          return attributes;
-        }
-
-        // Found "=" at pos
-        const attributeName = S.substring(attributeStart, pos).trim();
-        const valueStart = posOfFirst(quoteChars) + 1;
-        const quote = S[valueStart - 1];
-        const valueEnd = S.indexOf(quote, valueStart);
-        if (pos >= S.length) {
-          return unexpectedEOF(attributeStart, "attribute delimiters");
-        }
-        const rawValue = S.substring(valueStart, valueEnd);
-        if (raw) {
-          attributes[attributeName] = rawValue;
-        } else {
-          const value = unescapeText(rawValue);
-          if (value === undefined) {
-            return undefined;
-          }
-          attributes[attributeName] = value;
+    /** @type {Attributes} */
+    const attributes = {};
+    let found = scanAttribute(tagNameEnd);
+    while (found === true) {
+      const attributeName = nameAt(attributeNameStart, attributeNameEnd);
+      if (
+        (options.strict || options.html) &&
+        Object.prototype.hasOwnProperty.call(attributes, attributeName)
+      ) {
+        if (options.strict) {
+          return attributeError(attributeStart, `Duplicate attribute "${attributeName}"`);
         }
-
-        pos = valueEnd + 1;
+        // Like HTML, we keep the first value
+        found = scanAttribute(valueEnd + 1);
+        continue;
       }
-    },
-
+      const value = getAttributeValue(valueStart, valueEnd, raw);
+      if (value === undefined) {
+        return "error";
+      }
+      attributes[attributeName] = value;
+      found = scanAttribute(valueEnd + 1);
+    }
+    return found === "error" ? found : attributes;
+  }
+
+  /**
+   * @param {string} name
+   * @param {boolean} [raw]
+   * @returns {string | undefined | "error"}
+   */
+  function findAttribute(name, raw) {
+    if (!mightHaveAttributes) {
+      return undefined;
+    }
+    if (options.html) {
+      name = name.toLowerCase();
+    }
+    let found = scanAttribute(tagNameEnd);
+    while (found === true) {
+      if (
+        attributeNameEnd - attributeNameStart === name.length &&
+        (options.html
+          ? nameAt(attributeNameStart, attributeNameEnd) === name
+          : S.startsWith(name, attributeNameStart))
+      ) {
+        const value = getAttributeValue(valueStart, valueEnd, raw);
+        return value === undefined ? "error" : value;
+      }
+      found = scanAttribute(valueEnd + 1);
+    }
+    return found === "error" ? found : undefined;
+  }
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @returns {string}  The tag or attribute name between `start` and `end`,
+   * in lower case in html mode
+   */
+  function nameAt(start, end) {
+    const name = S.substring(start, end);
+    return options.html ? name.toLowerCase() : name;
+  }
+
+  /**
+   * @returns {string | undefined}  The name of the current tag, if any
+   */
+  function currentTagName() {
+    if (impliedTagName !== undefined) {
+      return impliedTagName;
+    }
+    return tagNameEnd > 0 ? nameAt(tagNameStart, tagNameEnd) : undefined;
+  }
+
+  /**
+   * Reports an error found while parsing attributes, leaving the cursor after
+   * the tag.
+   * @param {number} errorPos
+   * @param {string} message
+   * @returns {"error"}
+   */
+  function attributeError(errorPos, message) {
+    pos = tagEnd + 1;
+    return err(errorPos, message);
+  }
+
+  /**
+   * Parses the attributes of an open element that is not the current one.
+   * @param {OpenElement} element
+   */
+  function captureAttributes(element) {
+    const posBackup = pos;
+    const tagNameEndBackup = tagNameEnd;
+    const tagEndBackup = tagEnd;
+    const mightHaveAttributesBackup = mightHaveAttributes;
+    tagNameEnd = element.tagNameEnd - bufferOffset;
+    tagEnd = element.tagEnd - bufferOffset;
+    mightHaveAttributes = true;
+    element.attributes = parseAttributes(false) || {};
+    pos = posBackup;
+    tagNameEnd = tagNameEndBackup;
+    tagEnd = tagEndBackup;
+    mightHaveAttributes = mightHaveAttributesBackup;
+  }
+
+  /**
+   * @param {string} name  A tag or attribute name
+   * @returns {string}
+   */
+  function getLocalName(name) {
+    return localNameCache[name] || cacheLocalName(name);
+  }
+
+  /**
+   * @param {string} name  A tag or attribute name
+   * @returns {string}
+   */
+  function getPrefix(name) {
+    const prefix = prefixCache[name];
+    return prefix === undefined ? cachePrefix(name) : prefix;
+  }
+
+  /**
+   * @param {number} errorPos
+   * @param {string} prefix
+   * @returns {"error"}
+   */
+  function undeclaredPrefix(errorPos, prefix) {
+    return err(errorPos, `Undeclared namespace prefix "${prefix}"`);
+  }
+
+  /**
+   * @returns {string|undefined}  The namespace URI bound to the prefix of the
+   * current tag, `undefined` if the prefix is not declared.
+   */
+  function resolveTagPrefix() {
+    const scope = namespaceScopes[namespaceScopes.length - 1];
+    return scope[getPrefix(/** @type {string} */ (currentTagName()))];
+  }
+
+  /**
+   * Opens a new namespace scope for the current start tag, registering its
+   * namespace declarations. Checks that the prefixes of the tag and its
+   * attributes are declared.
+   * @param {"singleTag"|"startTag"} type
+   * @returns {"error"|"singleTag"|"startTag"}
+   */
+  function pushNamespaceScope(type) {
+    const parentScope = namespaceScopes[namespaceScopes.length - 1];
+    let scope = parentScope;
+    const tagName = S.substring(tagNameStart, tagNameEnd);
+    const tag = S.substring(tagNameEnd, tagEnd);
+    // Only if there are prefixed names or namespace declarations do we have to
+    // look at the attributes.
+    if (tag.indexOf(":") >= 0 || tag.indexOf("xmlns") >= 0) {
+      const attributes = parseAttributes(false);
+      if (!attributes || attributes === "error") {
+        return "error";
+      }
+      for (const name in attributes) {
+        if (name !== "xmlns" && getPrefix(name) !== "xmlns") {
+          continue;
+        }
+        const prefix = name === "xmlns" ? "" : getLocalName(name);
+        if (prefix && !attributes[name]) {
+          return err(tagNameEnd, `Empty namespace declaration for prefix "${prefix}"`);
+        }
+        if (scope === parentScope) {
+          scope = Object.create(parentScope);
+        }
+        scope[prefix] = attributes[name];
+      }
+      for (const name in attributes) {
+        const prefix = getPrefix(name);
+        if (prefix && scope[prefix] === undefined) {
+          return undeclaredPrefix(tagNameEnd, prefix);
+        }
+      }
+    }
+    namespaceScopes.push(scope);
+    return resolveTagPrefix() === undefined
+      ? undeclaredPrefix(tagNameStart, getPrefix(tagName))
+      : type;
+  }
+
+  /**
+   * Enforces the `limits` option on the current event.
+   * @param {EventType} type
+   * @returns {EventType}
+   */
+  function checkLimits(type) {
+    const maxNameLength = limits.maxNameLength || Infinity;
+    const maxTextLength = limits.maxTextLength || Infinity;
+    switch (type) {
+      case "singleTag":
+      case "startTag": {
+        if (openElements.length >= (limits.maxDepth || Infinity)) {
+          return err(eventStart, `Nesting depth exceeds the maximum of ${limits.maxDepth}`);
+        }
+        if (tagNameEnd - tagNameStart > maxNameLength) {
+          return nameLengthError(tagNameStart);
+        }
+        if (
+          limits.maxAttributes === undefined &&
+          limits.maxAttributeLength === undefined &&
+          limits.maxNameLength === undefined
+        ) {
+          return type;
+        }
+        let count = 0;
+        let found = scanAttribute(tagNameEnd);
+        while (found === true) {
+          count += 1;
+          if (count > (limits.maxAttributes || Infinity)) {
+            return attributeError(
+              attributeStart,
+              `Number of attributes exceeds the maximum of ${limits.maxAttributes}`
+            );
+          }
+          if (attributeNameEnd - attributeNameStart > maxNameLength) {
+            pos = tagEnd + 1;
+            return nameLengthError(attributeNameStart);
+          }
+          if (valueEnd - valueStart > (limits.maxAttributeLength || Infinity)) {
+            return attributeError(
+              valueStart,
+              `Attribute value exceeds the maximum length of ${limits.maxAttributeLength}`
+            );
+          }
+          found = scanAttribute(valueEnd + 1);
+        }
+        return found === "error" ? found : type;
+      }
+      case "endTag":
+        return tagNameEnd - tagNameStart > maxNameLength ? nameLengthError(tagNameStart) : type;
+      case "processingInstruction":
+        if (piTargetEnd - tagNameStart > maxNameLength) {
+          return nameLengthError(tagNameStart);
+        }
+        return textEnd - textStart > maxTextLength ? textLengthError(textStart) : type;
+      case "text":
+      case "cdata":
+      case "comment":
+        return textEnd - textStart > maxTextLength ? textLengthError(textStart) : type;
+      case "needMoreInput": {
+        // Don't buffer overly long input while waiting for the end of it
+        const pendingType = checkPendingLimits();
+        if (pendingType === "error" && !options.recover) {
+          pendingLimitError = error;
+        }
+        return pendingType;
+      }
+    }
+    return type;
+  }
+
+  /**
+   * Enforces the `limits` option on the incomplete event at the end of the
+   * input.
+   * @returns {"needMoreInput" | "error"}
+   */
+  function checkPendingLimits() {
+    const maxNameLength = limits.maxNameLength || Infinity;
+    const maxTextLength = limits.maxTextLength || Infinity;
+    if (S.charCodeAt(eventStart) !== openBracketCC) {
+      return S.length - eventStart > maxTextLength ? textLengthError(eventStart) : "needMoreInput";
+    }
+    // The text lengths exclude the part of the input that might turn out to
+    // be the closing delimiter
+    if (S.startsWith("<![CDATA[", eventStart)) {
+      const start = eventStart + 9;
+      return S.length - start - 2 > maxTextLength ? textLengthError(start) : "needMoreInput";
+    }
+    if (S.startsWith("<!--", eventStart)) {
+      const start = eventStart + 4;
+      return S.length - start - 2 > maxTextLength ? textLengthError(start) : "needMoreInput";
+    }
+    if (S.charCodeAt(eventStart + 1) === exclamationCC) {
+      return "needMoreInput";
+    }
+    const isPi = S.charCodeAt(eventStart + 1) === questionCC;
+    const nameStart = eventStart + (isPi || S.charCodeAt(eventStart + 1) === slashCC ? 2 : 1);
+    let nameEnd = nameStart;
+    while (nameEnd < S.length && !nameEndChars[S.charCodeAt(nameEnd)]) {
+      nameEnd++;
+    }
+    if (nameEnd - nameStart > maxNameLength) {
+      return nameLengthError(nameStart);
+    }
+    if (isPi) {
+      const start = nameEnd + 1;
+      return S.length - start - 1 > maxTextLength ? textLengthError(start) : "needMoreInput";
+    }
+    if (limits.maxAttributes === undefined && limits.maxAttributeLength === undefined) {
+      return "needMoreInput";
+    }
+    let count = 0;
+    pendingAttributeRegExp.lastIndex = nameEnd;
+    let match = pendingAttributeRegExp.exec(S);
+    while (match && match[0]) {
+      // The name is only preceded by whitespace and slashes
+      const nameStart = match.index + match[0].indexOf(match[1]);
+      count += 1;
+      if (count > (limits.maxAttributes || Infinity)) {
+        const message = `Number of attributes exceeds the maximum of ${limits.maxAttributes}`;
+        return err(nameStart, message);
+      }
+      if (match[1].length > maxNameLength) {
+        return nameLengthError(nameStart);
+      }
+      const value = match[2] || "";
+      const quoteCount = !quoteChars[value.charCodeAt(0)]
+        ? 0
+        : value.length > 1 && value[value.length - 1] === value[0]
+        ? 2
+        : 1;
+      if (value.length - quoteCount > (limits.maxAttributeLength || Infinity)) {
+        return err(
+          pendingAttributeRegExp.lastIndex - value.length + (quoteCount && 1),
+          `Attribute value exceeds the maximum length of ${limits.maxAttributeLength}`
+        );
+      }
+      match = pendingAttributeRegExp.exec(S);
+    }
+    return "needMoreInput";
+  }
+
+  /**
+   * @param {number} errorPos
+   * @returns {"error"}
+   */
+  function nameLengthError(errorPos) {
+    return err(errorPos, `Name exceeds the maximum length of ${limits.maxNameLength}`);
+  }
+
+  /**
+   * @param {number} errorPos
+   * @returns {"error"}
+   */
+  function textLengthError(errorPos) {
+    return err(errorPos, `Text exceeds the maximum length of ${limits.maxTextLength}`);
+  }
+
+  /**
+   * Enforces the XML 1.0 well-formedness constraints on the current event.
+   * @param {EventType} type
+   * @returns {EventType}
+   */
+  function checkWellFormedness(type) {
+    switch (type) {
+      case "singleTag":
+      case "startTag": {
+        const tagName = S.substring(tagNameStart, tagNameEnd);
+        if (!nameRegExp.test(tagName)) {
+          return err(tagNameStart, `Invalid tag name "${tagName}"`);
+        }
+        const isRoot = outsideRoot();
+        if (isRoot && rootElementSeen) {
+          return err(eventStart, `Multiple root elements, found <${tagName}>`);
+        }
+        if (parseAttributes(false) === "error") {
+          return "error";
+        }
+        if (isRoot) {
+          rootElementSeen = true;
+        }
+        return type;
+      }
+      case "endTag": {
+        const tagName = S.substring(tagNameStart, tagNameEnd);
+        const expectedTagName = openElements.length
+          ? openElements[openElements.length - 1].tagName
+          : undefined;
+        if (!nameRegExp.test(tagName)) {
+          return err(tagNameStart, `Invalid end tag name "${tagName}"`);
+        }
+        if (expectedTagName === undefined) {
+          return err(eventStart, `Unexpected end tag </${tagName}>`);
+        }
+        if (tagName !== expectedTagName) {
+          return err(
+            eventStart,
+            `Expected end tag </${expectedTagName}>, found </${tagName}>`
+          );
+        }
+        return type;
+      }
+      case "text": {
+        const rawText = S.substring(textStart, textEnd);
+        const cdataEnd = rawText.indexOf("]]>");
+        if (cdataEnd >= 0) {
+          return err(textStart + cdataEnd, "Unexpected ']]>' in text");
+        }
+        if (outsideRoot() && !whitespaceRegExp.test(rawText)) {
+          return err(textStart, "Text outside of root element");
+        }
+        if (invalidCharRegExp.test(rawText)) {
+          return err(textStart, "Invalid character in text");
+        }
+        return unescapeText(rawText) === undefined ? "error" : type;
+      }
+      case "cdata":
+        if (outsideRoot()) {
+          return err(eventStart, "CDATA section outside of root element");
+        }
+        return invalidCharRegExp.test(S.substring(textStart, textEnd))
+          ? err(textStart, "Invalid character in CDATA section")
+          : type;
+      case "comment": {
+        // Appending "-" also catches comments ending in "-", like "<!-- --->"
+        const doubleHyphen = (S.substring(textStart, textEnd) + "-").indexOf("--");
+        if (doubleHyphen >= 0) {
+          return err(textStart + doubleHyphen, "'--' not allowed in comments");
+        }
+        return invalidCharRegExp.test(S.substring(textStart, textEnd))
+          ? err(textStart, "Invalid character in comment")
+          : type;
+      }
+      case "processingInstruction": {
+        const target = S.substring(tagNameStart, piTargetEnd);
+        return nameRegExp.test(target)
+          ? type
+          : err(tagNameStart, `Invalid processing instruction target "${target}"`);
+      }
+      case "doctype":
+        if (doctypeSeen || rootElementSeen) {
+          return err(eventStart, "Misplaced doctype declaration");
+        }
+        doctypeSeen = true;
+        return type;
+      case "eof":
+        if (!whitespaceRegExp.test(S.substring(eventStart))) {
+          return err(eventStart, "Text outside of root element");
+        }
+        if (openElements.length > 0) {
+          return err(
+            eventStart,
+            `Unexpected end of file, missing end tag </${openElements[openElements.length - 1].tagName}>`
+          );
+        }
+        return rootElementSeen ? type : err(eventStart, "Missing root element");
+      default:
+        return type;
+    }
+  }
+
+  /**
+   * @returns {boolean}  Whether no element is open, not even one whose start
+   * tag was dropped in recover mode
+   */
+  function outsideRoot() {
+    return openElements.length === 0 && droppedElements.length === 0;
+  }
+
+  /**
+   * In recover mode, matches the current end tag against the open elements,
+   * including those whose start tags were dropped. In strict mode, elements
+   * that are still open inside the matching one are closed by implied end
+   * tags first, each reported as an error.
+   * @returns {"endTag" | undefined}  `undefined` if the end tag is dropped
+   */
+  function recoverEndTag() {
+    const tagName = currentTagName();
+    let dropped = droppedElements.length - 1;
+    for (let depth = openElements.length; depth >= 0; depth--) {
+      for (; dropped >= 0 && droppedElements[dropped].depth === depth; dropped--) {
+        if (droppedElements[dropped].tagName === tagName) {
+          if (depth === openElements.length) {
+            droppedElements.length = dropped;
+            return undefined;
+          }
+          return closeUnclosedElement();
+        }
+      }
+      if (depth > 0 && openElements[depth - 1].tagName === tagName) {
+        // Without strict mode, end tags close the innermost element regardless
+        // of their name
+        return depth === openElements.length || !options.strict
+          ? "endTag"
+          : closeUnclosedElement();
+      }
+    }
+    // No matching element, which strict mode reports
+    return "endTag";
+  }
+
+  /**
+   * Turns the current end tag into an implied end tag of the innermost open
+   * element. In strict mode, the missing end tag is reported.
+   * @returns {"endTag"}
+   */
+  function closeUnclosedElement() {
+    const current = openElements[openElements.length - 1];
+    if (options.strict) {
+      addDiagnostic(
+        eventStart,
+        `Expected end tag </${current.tagName}>, found </${currentTagName()}>`
+      );
+    }
+    return impliedEndTag(current.tagName);
+  }
+
+  /**
+   * @returns {boolean}  Whether the current start tag is in the scope of
+   * `xml:space="preserve"`, either by its own attribute or an ancestor's.
+   */
+  function preservesSpace() {
+    // Looking up the attribute must not leave an error message behind
+    const errorBackup = error;
+    const space = findAttribute("xml:space", true);
+    error = errorBackup;
+    return space === "preserve" || (space !== "default" && inPreservedSpace());
+  }
+
+  /**
+   * @returns {boolean}  Whether the innermost open element is in the scope of
+   * `xml:space="preserve"`
+   */
+  function inPreservedSpace() {
+    const element = openElements[openElements.length - 1];
+    return element !== undefined && element.preserveSpace;
+  }
+
+  /**
+   * Applies the `whitespace` option to the text of a `"text"` event.
+   * @param {string} text
+   * @returns {string}
+   */
+  function normalizeWhitespace(text) {
+    if (inPreservedSpace()) {
+      return text;
+    }
+    switch (whitespaceMode) {
+      case "trim":
+        return text.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g, "");
+      case "collapse":
+        return text.replace(/[ \t\r\n]+/g, " ").replace(/^ | $/g, "");
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Scans forward to the end tag matching the start tag that `skipElement()`
+   * was called on. Only looks at what's necessary to keep track of nesting.
+   * @returns {"endTag"|"error"|"needMoreInput"}
+   */
+  function skipToEndTag() {
+    while (true) {
+      eventStart = S.indexOf("<", pos);
+      if (eventStart < 0) {
+        // The text up to here is irrelevant, we don't have to scan it again
+        eventStart = pos = S.length;
+        return incomplete(pos, `end tag </${skippedTagName}>`);
+      }
+      pos = eventStart;
+      let end = -1;
+      const charCode = S.charCodeAt(pos + 1);
+
+      if (charCode === slashCC) {
+        end = S.indexOf(">", pos);
+        if (end >= 0 && skipDepth === 1) {
+          skipDepth = 0;
+          parseEndTag();
+          const tagName = S.substring(tagNameStart, tagNameEnd);
+          return tagName === skippedTagName
+            ? "endTag"
+            : err(eventStart, `Expected end tag </${skippedTagName}>, found </${tagName}>`);
+        }
+        if (end >= 0) {
+          skipDepth -= 1;
+        }
+      } else if (charCode === questionCC) {
+        end = S.indexOf("?>", pos + 2);
+        end = end < 0 ? -1 : end + 1;
+      } else if (charCode === exclamationCC) {
+        if (S.substring(pos, pos + 4) === "<!--") {
+          end = S.indexOf("-->", pos + 4);
+          end = end < 0 ? -1 : end + 2;
+        } else if (S.substring(pos, pos + 9) === "<![CDATA[") {
+          end = S.indexOf("]]>", pos + 9);
+          end = end < 0 ? -1 : end + 2;
+        } else if (ended || S.length - pos >= 9) {
+          return err(pos, `Unexpected character sequence ${S.substring(pos, pos + 3)}`);
+        }
+      } else if (pos + 1 < S.length) {
+        end = posOfTagEnd(pos + 1);
+        if (end >= 0 && S.charCodeAt(end - 1) !== slashCC) {
+          skipDepth += 1;
+        }
+      }
+
+      if (end < 0) {
+        return incomplete(pos, `end tag </${skippedTagName}>`);
+      }
+      pos = end + 1;
+    }
+  }
+
+  /**
+   * In recover mode, skips to the next "<" after an error and scans the event
+   * there.
+   * @returns {EventType}
+   */
+  function resync() {
+    const next = S.indexOf("<", pos);
+    if (next < 0 && !ended) {
+      pos = S.length;
+      return "needMoreInput";
+    }
+    pos = eventStart = next < 0 ? S.length : next;
+    resyncing = false;
+    return parseEvent();
+  }
+
+  /**
+   * Scans the event at the current position, without any further processing.
+   * @returns {EventType}
+   */
+  function parseEvent() {
+    if (options.html) {
+      if (rawTextElement) {
+        return parseRawText();
+      }
+      if (S.charCodeAt(pos) !== openBracketCC || !htmlMarkupStartRegExp.test(S.charAt(pos + 1))) {
+        return parseHtmlText();
+      }
+    }
+    if (S.charCodeAt(pos) !== openBracketCC) {
+      textIsEscaped = true;
+      textStart = pos;
+      textEnd = S.indexOf("<", pos);
+      if (textEnd < 0) {
+        // Not finding "<" is not really an error for text nodes. We just
+        // reached the end of file. The final closing tag may be followed by a
+        // text node with only whitespace (which we don't check).
+        return ended ? "eof" : "needMoreInput";
+      }
+      pos = textEnd;
+      return "text";
+    }
+    if (pos + 2 >= S.length && !ended) {
+      // We need to see at least three characters to know what kind of event
+      // we're dealing with
+      return "needMoreInput";
+    }
+    switch (S.charCodeAt(pos + 1)) {
+      case slashCC:
+        return parseEndTag();
+      case questionCC:
+        return parseProcessingInstruction();
+      case exclamationCC:
+        switch (S.charCodeAt(pos + 2)) {
+          case minusCC:
+            // Skip the 4 characters of '<!--
+            return parseText("comment", 4, 3, "-->");
+          case openCornerBracketCC:
+            // Skip 9 characters of "<![CDATA["
+            return parseText("cdata", 9, 3, "]]>");
+          case letterDCC:
+            return parseDoctype();
+          default:
+            if (options.html && S.substring(pos + 2, pos + 9).toUpperCase() === "DOCTYPE") {
+              return parseDoctype();
+            }
+            return err(
+              pos,
+              `Unexpected character sequence ${S.substring(pos, pos + 3)}`
+            );
+        }
+    }
+    // Set the escaping flag because attributes are escaped
+    textIsEscaped = true;
+    return parseStartTag();
+  }
+
+  /**
+   * Scans text in html mode, where "<" only starts markup if followed by a
+   * letter, "/", "!" or "?". At the end of the input, text is not required
+   * to be followed by markup.
+   * @returns {"text"|"eof"|"needMoreInput"}
+   */
+  function parseHtmlText() {
+    let end = S.indexOf("<", pos);
+    while (end >= 0 && end + 1 < S.length && !htmlMarkupStartRegExp.test(S[end + 1])) {
+      end = S.indexOf("<", end + 1);
+    }
+    if (end < 0 || end + 1 >= S.length) {
+      if (!ended) {
+        return "needMoreInput";
+      }
+      end = S.length;
+    }
+    if (end === pos) {
+      return "eof";
+    }
+    textStart = pos;
+    textEnd = pos = end;
+    textIsEscaped = true;
+    return "text";
+  }
+
+  /**
+   * Scans the content of a `<script>` or `<style>` element in html mode
+   * @returns {EventType}
+   */
+  function parseRawText() {
+    const regExp = new RegExp(`</${rawTextElement}(?=[\\t\\n\\f\\r />])`, "gi");
+    regExp.lastIndex = pos;
+    const match = regExp.exec(S);
+    let end = match ? match.index : -1;
+    if (end < 0) {
+      if (!ended) {
+        return "needMoreInput";
+      }
+      end = S.length;
+    }
+    rawTextElement = undefined;
+    if (end === pos) {
+      return parseEvent();
+    }
+    textStart = pos;
+    textEnd = pos = end;
+    return "text";
+  }
+
+  /**
+   * Applies the rules of html mode to the event just parsed: void elements,
+   * implied and stray end tags, and raw text elements.
+   * @param {EventType} type
+   * @returns {EventType | undefined}  `undefined` if the event is ignored
+   */
+  function applyHtmlRules(type) {
+    const current = openElements[openElements.length - 1];
+    switch (type) {
+      case "singleTag":
+      case "startTag": {
+        const tagName = nameAt(tagNameStart, tagNameEnd);
+        const impliedBy = current && htmlImpliedEndTags[current.tagName];
+        if (impliedBy && impliedBy[tagName]) {
+          return impliedEndTag(current.tagName);
+        }
+        if (type === "startTag" && htmlVoidElements[tagName]) {
+          return "singleTag";
+        }
+        if (type === "startTag" && htmlRawTextElements[tagName]) {
+          rawTextElement = tagName;
+        }
+        return type;
+      }
+      case "endTag": {
+        const tagName = nameAt(tagNameStart, tagNameEnd);
+        for (let i = openElements.length - 1; i >= 0; i--) {
+          if (openElements[i].tagName === tagName) {
+            return i === openElements.length - 1 ? type : impliedEndTag(current.tagName);
+          }
+        }
+        // Stray end tag
+        return undefined;
+      }
+      case "eof":
+        return current ? impliedEndTag(current.tagName) : type;
+    }
+    return type;
+  }
+
+  /**
+   * Turns the current event into an end tag of zero length that closes an
+   * element. The current event will be parsed again by the next call of
+   * `next()`.
+   * @param {string} tagName
+   * @returns {"endTag"}
+   */
+  function impliedEndTag(tagName) {
+    pos = eventStart;
+    impliedTagName = tagName;
+    tagNameEnd = -1;
+    mightHaveAttributes = false;
+    return "endTag";
+  }
+
+  /**
+   * Reads the next event and updates the parser state accordingly.
+   * @returns {EventType | undefined}  `undefined` if the event is not to be
+   * reported, like dropped whitespace. The next event has to be read then.
+   */
+  function readEvent() {
+    eventCount += 1;
+    eventRawTextElement = rawTextElement;
+    tagNameEnd = -1;
+    impliedTagName = undefined;
+    textEnd = -1;
+    piTargetEnd = -1;
+    mightHaveAttributes = false;
+    textIsEscaped = false;
+    error = undefined;
+    if (pendingLimitError !== undefined) {
+      error = pendingLimitError;
+      eventType = "error";
+      return eventType;
+    }
+
+    if (popElement) {
+      openElements.pop();
+      while (
+        droppedElements.length > 0 &&
+        droppedElements[droppedElements.length - 1].depth > openElements.length
+      ) {
+        // Implicitly closed by the end tag of an ancestor
+        droppedElements.pop();
+      }
+      // The root scope is never removed, even if there are excess end tags
+      if (options.namespaces && namespaceScopes.length > 1) {
+        namespaceScopes.pop();
+      }
+      popElement = false;
+    }
+    if (canCompact) {
+      // Data of the previous event is no longer accessible, so we can drop
+      // everything before the current position. The attributes of open
+      // elements might still be requested by `path()`, so we capture them.
+      for (const element of openElements) {
+        if (!element.attributes) {
+          captureAttributes(element);
+        }
+      }
+      advanceLineCursor(pos);
+      if (decoder) {
+        bufferByteOffset += byteLength(S, 0, pos, decoder.encoding);
+      }
+      S = S.substring(pos);
+      bufferOffset += pos;
+      lineCursor = 0;
+      pos = 0;
+      canCompact = false;
+    }
+    if (bufferOffset + pos === 0 && S.charCodeAt(0) === byteOrderMarkCC) {
+      pos = documentStart = 1;
+    }
+    eventStart = pos;
+    countedReferences.clear();
+    const elementCount = openElements.length;
+    const scopeCount = namespaceScopes.length;
+    const isEncodingError = encodingError !== undefined;
+
+    eventType =
+      encodingError !== undefined
+        ? reportEncodingError(encodingError)
+        : resyncing
+        ? resync()
+        : skipDepth > 0
+        ? skipToEndTag()
+        : parseEvent();
+    const parsedType = eventType;
+    if (options.recover && eventType === "endTag") {
+      const type = recoverEndTag();
+      if (type === undefined) {
+        return undefined;
+      }
+      eventType = type;
+    }
+    if (options.strict && impliedTagName === undefined) {
+      eventType = checkWellFormedness(eventType);
+    }
+    if (options.html) {
+      const type = applyHtmlRules(eventType);
+      if (type === undefined) {
+        return undefined;
+      }
+      eventType = type;
+    }
+    if (options.limits) {
+      eventType = checkLimits(eventType);
+    }
+    switch (eventType) {
+      case "singleTag":
+      case "startTag":
+        openElements.push({
+          tagName: /** @type {string} */ (currentTagName()),
+          tagNameEnd: bufferOffset + tagNameEnd,
+          tagEnd: bufferOffset + tagEnd,
+          attributes: undefined,
+          preserveSpace: !!whitespaceMode && preservesSpace(),
+        });
+        popElement = eventType === "singleTag";
+        break;
+      case "endTag":
+        popElement = true;
+    }
+    if (options.namespaces && eventType !== "error") {
+      switch (eventType) {
+        case "startTag":
+        case "singleTag":
+          eventType = pushNamespaceScope(eventType);
+          break;
+        case "endTag":
+          if (resolveTagPrefix() === undefined) {
+            const tagName = /** @type {string} */ (currentTagName());
+            eventType = undeclaredPrefix(tagNameStart, getPrefix(tagName));
+          }
+      }
+    }
+    if (eventType === "error" && options.recover && !decodingFailed) {
+      // Forget the element of the offending tag if it was already opened
+      openElements.length = elementCount;
+      namespaceScopes.length = scopeCount;
+      popElement = false;
+      if ((parsedType === "startTag" || parsedType === "singleTag") && tagNameEnd > 0) {
+        if (outsideRoot()) {
+          // Even a broken root element is one
+          rootElementSeen = true;
+        }
+        if (parsedType === "startTag") {
+          // Its content is kept, but its end tag has to be dropped, too
+          droppedElements.push({tagName: nameAt(tagNameStart, tagNameEnd), depth: elementCount});
+        }
+      }
+      skipDepth = skipToDepth = 0;
+      if (parsedType === "eof") {
+        // There's nothing left to recover, e.g. after unclosed elements
+        eventType = "eof";
+      } else {
+        if ((parsedType === "error" || parsedType === "needMoreInput") && !isEncodingError) {
+          // The error occurred while scanning the event, so we don't know
+          // where it ends
+          pos = Math.max(pos, eventStart + 1);
+          resyncing = true;
+        }
+        return undefined;
+      }
+    }
+    if (eventType === "error") {
+      mightHaveAttributes = false;
+    }
+    if (
+      eventType === "text" &&
+      whitespaceMode &&
+      !inPreservedSpace() &&
+      whitespaceRegExp.test(S.substring(textStart, textEnd))
+    ) {
+      return undefined;
+    }
+    cursorPos = tagNameEnd;
+    cursorNameEnd = -1;
+    eventEnd = eventType === "needMoreInput" ? eventStart : pos;
+    if (skipToDepth > 0) {
+      if (eventType === "endTag" && openElements.length === skipToDepth) {
+        skipToDepth = 0;
+      } else if (eventType !== "error" && eventType !== "needMoreInput") {
+        return undefined;
+      }
+    }
+    return eventType;
+  }
+
+  /**
+   * Sets up the parser to continue where `checkpoint` was created.
+   * @param {Checkpoint} checkpoint
+   */
+  function restoreCheckpoint(checkpoint) {
+    if (input !== undefined) {
+      if (checkpoint.offset > S.length) {
+        throw new Error("Checkpoint is beyond the end of the input");
+      }
+      S = S.substring(checkpoint.offset);
+    } else if (checkpoint.encoding) {
+      decoder =
+        checkpoint.encoding === "windows-1252"
+          ? windows1252Decoder
+          : new TextDecoder(checkpoint.encoding, {fatal: true, ignoreBOM: true});
+    }
+    bufferOffset = checkpoint.offset;
+    bufferByteOffset = checkpoint.byteOffset || 0;
+    cursorLine = checkpoint.line;
+    cursorLineStart = checkpoint.offset - checkpoint.column + 1;
+    for (const element of checkpoint.elements) {
+      openElements.push({
+        tagName: element.tagName,
+        tagNameEnd: -1,
+        tagEnd: -1,
+        attributes: element.attributes,
+        preserveSpace: element.preserveSpace,
+      });
+      const parentScope = namespaceScopes[namespaceScopes.length - 1];
+      namespaceScopes.push(
+        element.namespaces
+          ? Object.assign(Object.create(parentScope), element.namespaces)
+          : parentScope
+      );
+    }
+    Object.assign(generalEntities, checkpoint.generalEntities);
+    Object.assign(parameterEntities, checkpoint.parameterEntities);
+    rootElementSeen = checkpoint.rootElementSeen;
+    doctypeSeen = checkpoint.doctypeSeen;
+    rawTextElement = checkpoint.rawTextElement;
+  }
+
+  /**
+   * @param {TSax} tsax  The interface of this parser
+   * @returns {Generator<EventSnapshot, EventType, undefined>}  Returns the
+   * event type that ended the iteration.
+   */
+  function* readEvents(tsax) {
+    while (true) {
+      const type = tsax.next();
+      switch (type) {
+        case "eof":
+        case "needMoreInput":
+          return type;
+      }
+      yield eventSnapshot(tsax);
+      if (type === "error") {
+        return type;
+      }
+    }
+  }
+
+  /**
+   * Takes a snapshot of the current event. Its attributes and text are only
+   * resolved when first requested. If the parser advanced by then, the event
+   * is parsed again from its source, using a checkpoint for the context.
+   * @param {TSax} tsax  The interface of this parser
+   * @returns {EventSnapshot}
+   */
+  function eventSnapshot(tsax) {
+    const snapshotEventCount = eventCount;
+    const type = /** @type {EventSnapshot["type"]} */ (eventType);
+    const parseError = error;
+    // What follows the event is needed to tell where text ends
+    const source = S.substring(eventStart);
+    const sourceEnded = ended;
+    advanceLineCursor(eventStart);
+    const start = locate(eventStart);
+    const isText = type === "text" || type === "cdata";
+    const isTag = (type === "startTag" || type === "singleTag") && impliedTagName === undefined;
+    const hasText = textEnd >= 0;
+    const preserveSpace = inPreservedSpace();
+    const snapshotRawTextElement = isText ? eventRawTextElement : undefined;
+    /** @type {TSax | undefined} */
+    let reparsed = undefined;
+    /** @type {{value: Attributes | undefined | "error"} | undefined} */
+    let attributes = undefined;
+    /** @type {{value: string | undefined} | undefined} */
+    let text = undefined;
+
+    /**
+     * @returns {TSax}  A parser whose current event is the snapshot's event
+     */
+    function parser() {
+      if (eventCount === snapshotEventCount) {
+        return tsax;
+      }
+      if (!reparsed) {
+        // Text needs the parent's xml:space, but no element may be open for
+        // other events, like the root element's start tag in strict mode
+        const parent = {tagName: "", attributes: {}, preserveSpace: preserveSpace};
+        reparsed = tSax(
+          undefined,
+          Object.assign({}, options, {
+            // Attributes are not namespace aware, so declarations don't matter
+            namespaces: false,
+            checkpoint: {
+              offset: start.offset,
+              line: start.line,
+              column: start.column,
+              elements: isText ? [parent] : [],
+              generalEntities: generalEntities,
+              parameterEntities: {},
+              rootElementSeen: false,
+              doctypeSeen: false,
+              rawTextElement: snapshotRawTextElement,
+            },
+          })
+        );
+        reparsed.write(source);
+        if (sourceEnded) {
+          reparsed.end();
+        }
+        reparsed.next();
+      }
+      return reparsed;
+    }
+
+    /** @returns {Attributes | undefined | "error"} */
+    function getAttributes() {
+      if (!attributes) {
+        attributes = {value: isTag ? parser().attributes() : undefined};
+      }
+      return attributes.value;
+    }
+
+    /** @returns {string | undefined} */
+    function getText() {
+      if (!text) {
+        text = {value: hasText ? parser().text() : undefined};
+      }
+      return text.value;
+    }
+
+    return {
+      type: type,
+      tagName: tsax.tagName(),
+      piTarget: tsax.piTarget(),
+      get error() {
+        if (parseError !== undefined || type === "error") {
+          return parseError;
+        }
+        const failed = getAttributes() === "error" || (getText() === undefined && hasText);
+        return failed ? parser().error() : undefined;
+      },
+      attributes: getAttributes,
+      text: getText,
+    };
+  }
+
+  if (input !== undefined && typeof input !== "string") {
+    decodeBytes(input, true);
+  }
+  if (options.checkpoint) {
+    restoreCheckpoint(options.checkpoint);
+  }
+
+  return {
+    /**
+     * This is the main method for interacting with tSax. It consumes the next
+     * event from the XML string and returns the event type it found. Further
+     * parsing of data belonging to this event is only done on request, using
+     * methods `tagName()`, `attributes()`, `text()` and so on. This makes
+     * processing very fast when one is only interested in accessing data of
+     * some very specific events.
+     *
+     * @example <caption>Looking for the next occurrence of a `<foo>`
+     * element</caption>
+     * const tsax = tSax(xmlString);
+     * while (true) {
+     *   switch (tsax.next()) {
+     *     case "singleTag":
+     *     case "startTag":
+     *       break;
+     *     case "eof":
+     *     case "error":
+     *       throw new Error("Did not find expected element <foo>");
+     *     default:
+     *       continue;
+     *   }
+     *   if (tsax.tagName() === "foo") {
+     *     break;
+     *   }
+     * }
+     * console.log(tsax.attributes());
+     *
+     *
+     * To build a tree of the whole document, use `buildTree()`.
+     *
+     * @returns {EventType}  One of the following event types.  Depending on the
+     * current event, specific methods of the TSax object are avilable to get
+     * more information about the event.
+     *
+     * * `"cdata"`: A CDATA node. Available methods:
+     *   * `text()`
+     * * `"comment"`: A comment node. Available methods:
+     *   * `text()`
+     * * `"doctype"`: A doctype declaration. Available methods:
+     *   * `text()`
+     * * `"endTag"`: An closing tag. Available methods:
+     *   * `localName()`
+     *   * `prefix()`
+     *   * `tagName()`
+     * * `"eof"`: The end of the file was reached. No methods available.
+     * * `"error"`: An error occurred during parsing. Available methods:
+     *   * `error()`
+     * * `"needMoreInput"`: Only when parsing incrementally. The input ended in
+     *   the middle of an event. After more input was supplied using `write()`
+     *   (or `end()` was called), `next()` can be called again to resume. No
+     *   methods available.
+     * * `"processingInstruction"`: A processing instruction. Available methods:
+     *   * `piTarget()`
+     *   * `text()`
+     * * `"singleTag"`: A self closing tag. Available methods:
+     *   * `attribute()`
+     *   * `attributes()`
+     *   * `nextAttribute()`, `attributeName()`, `attributeValue()`
+     *   * `localName()`
+     *   * `prefix()`
+     *   * `tagName()`
+     * * `"startTag"`: A start tag. The same methods as for `"singleTag"` are
+     *   available.
+     * * `"text"`:  A text node. Available methods:
+     *   * `text()`
+     * * `"xmlDeclaration"`: The XML declaration, which is only allowed at the
+     *   start of the document. Available methods:
+     *   * `encoding()`
+     *   * `standalone()`
+     *   * `text()`
+     *   * `version()`
+     */
+    next: function next() {
+      let type = readEvent();
+      while (type === undefined) {
+        type = readEvent();
+      }
+      return type;
+    },
+
+    /**
+     * @returns {string|undefined}  Tag name of the current event, preserving
+     * original upper/lower case, including prefix. In html mode, it is in
+     * lower case. `undefined` if the current event is not a start or end tag.
+     */
+    tagName: function () {
+      return currentTagName();
+    },
+
+    localName: function () {
+      const tagName = this.tagName();
+      return tagName && getLocalName(tagName);
+    },
+
+    prefix: function () {
+      const tagName = this.tagName();
+      return tagName && getPrefix(tagName);
+    },
+
+    /**
+     * Only available if the `namespaces` option is set.
+     * @returns {string|undefined}  The namespace URI of the current start, end
+     * or self closing tag. The empty string if the element is in no namespace.
+     * `undefined` for all other events, or if the tag's prefix is not
+     * declared.
+     */
+    namespaceURI: function () {
+      if (!options.namespaces) {
+        return undefined;
+      }
+      switch (eventType) {
+        case "endTag":
+        case "singleTag":
+        case "startTag":
+          return resolveTagPrefix();
+        default:
+          return undefined;
+      }
+    },
+
+    /**
+     * @returns {string|undefined} The processing instruction target, i.e. the
+     * "tag name" of a processing instruction. `undefined` if the current event
+     * is not a processing instruction.
+     */
+    piTarget: function () {
+      return piTargetEnd > 0
+        ? S.substring(tagNameStart, piTargetEnd)
+        : undefined;
+    },
+
+    /**
+     * @returns {string|undefined}  The version given by the XML declaration,
+     * e.g. `"1.0"`. Only available if the current event is
+     * `"xmlDeclaration"`.
+     */
+    version: function () {
+      return eventType === "xmlDeclaration" ? xmlVersion : undefined;
+    },
+
+    /**
+     * @returns {string|undefined}  The encoding given by the XML declaration,
+     * as written in the document. Only available if the current event is
+     * `"xmlDeclaration"` and the declaration has an encoding.
+     */
+    encoding: function () {
+      return eventType === "xmlDeclaration" ? xmlEncoding : undefined;
+    },
+
+    /**
+     * @returns {boolean|undefined}  The standalone document declaration of
+     * the XML declaration. Only available if the current event is
+     * `"xmlDeclaration"` and the declaration has a standalone document
+     * declaration.
+     */
+    standalone: function () {
+      return eventType === "xmlDeclaration" ? xmlStandalone : undefined;
+    },
+
+    /***
+     * Only available if the current event is `"cdata"`, `"comment"`,
+     * `"doctype"`, `"processingInstruction"`, `"text"`, or
+     * `"xmlDeclaration"`. Otherwise, `undefined` is returned.
+     * @param {boolean} [raw]  If `true`, will return XML text verbatim. If
+     * falsy, entities will be resolved and line breaks normalized to "\n" as
+     * required by the XML specification.
+     * @returns {string|undefined}  If there was a problem resolving entities,
+     * `undefined` is returned and an error message can be retrieved with
+     * `error()`.
+     */
+    text: function (raw) {
+      if (textEnd < 0) {
+        return undefined;
+      }
+      const rawText = S.substring(textStart, textEnd);
+      if (raw) {
+        return rawText;
+      }
+      const text = textIsEscaped
+        ? unescapeText(rawText, undefined, normalizeLineEnds)
+        : normalizeLineEnds(rawText);
+      return eventType === "text" && text !== undefined ? normalizeWhitespace(text) : text;
+    },
+
+    /**
+     * @param {boolean} [raw]  If `true`, will return attribute values varbatim.
+     * If falsy, entities will be resolved and values normalized as required by
+     * the XML specification for attributes without declaration, i.e. tabs and
+     * line breaks become spaces, unless given by character references.
+     * @returns {Attributes | undefined | "error"} An object mapping attribute
+     * names to attribute values.  Attribute names include prefixes.  Namespace
+     * declarations are treated like regular attributes.
+     *
+     * Only available if the current event is `"singleTag"` or `"startTag"`,
+     * otherwise returns `undefined`.
+     *
+     * If an error occurs during attribute parsing, returns `"error"`. To get
+     * the error message, use the `error()` method.
+     */
+    attributes: function (raw) {
+      return parseAttributes(raw);
+    },
+
+    /**
+     * Like `attributes()`, but in addition to its value, the prefix, local name
+     * and namespace URI is reported for each attribute. Only available if the
+     * `namespaces` option is set, otherwise `undefined` is returned.
+     *
+     * As per the Namespaces in XML specification, unprefixed attributes are in
+     * no namespace, which is represented by the empty string. Namespace
+     * declarations are in the namespace `http://www.w3.org/2000/xmlns/`.
+     * @param {boolean} [raw]  If `true`, will return attribute values verbatim.
+     * @returns {NamespacedAttributes | undefined | "error"}
+     */
+    namespacedAttributes: function (raw) {
+      if (!options.namespaces) {
+        return undefined;
+      }
+      const attributes = parseAttributes(raw);
+      if (!attributes || attributes === "error") {
+        return attributes;
+      }
+      const scope = namespaceScopes[namespaceScopes.length - 1];
+      /** @type {NamespacedAttributes} */
+      const namespacedAttributes = {};
+      for (const name in attributes) {
+        const prefix = getPrefix(name);
+        namespacedAttributes[name] = {
+          value: attributes[name],
+          prefix: prefix,
+          localName: getLocalName(name),
+          // Unprefixed attributes are not in the default namespace
+          namespaceURI: name === "xmlns" ? xmlnsNamespace : prefix ? scope[prefix] : "",
+        };
+      }
+      return namespacedAttributes;
+    },
+
+    /**
+     * Looks up a single attribute of the current start or self closing tag.
+     * Other than `attributes()`, this only scans the tag up to the requested
+     * attribute and only unescapes its value.
+     * @param {string} name  The attribute name, including prefix
+     * @param {boolean} [raw]  If `true`, will return the value verbatim.
+     * @returns {string | undefined | "error"}  `undefined` if the tag has no
+     * such attribute or if the current event is not a start or self closing
+     * tag. `"error"` if the attributes are malformed or if there was a
+     * problem resolving entities. To get the error message, use the `error()`
+     * method.
+     */
+    attribute: function (name, raw) {
+      return findAttribute(name, raw);
+    },
+
+    /**
+     * Moves the attribute cursor to the next attribute of the current start or
+     * self closing tag, beginning with the first one. The attribute at the
+     * cursor is accessed using `attributeName()` and `attributeValue()`. As
+     * no objects are created, this is the cheapest way of looking at all
+     * attributes.
+     *
+     * @example
+     * let id = undefined;
+     * while (id === undefined && tsax.nextAttribute() === true) {
+     *   if (tsax.attributeName() === "xml:id") {
+     *     id = tsax.attributeValue();
+     *   }
+     * }
+     *
+     * @returns {boolean | "error"}  `false` if there are no more attributes or
+     * if the current event is not a start or self closing tag. `"error"` if
+     * the attributes are malformed. To get the error message, use the
+     * `error()` method.
+     */
+    nextAttribute: function () {
+      if (!mightHaveAttributes || cursorPos < 0) {
+        return false;
+      }
+      const found = scanAttribute(cursorPos);
+      if (found !== true) {
+        cursorPos = -1;
+        cursorNameEnd = -1;
+        return found;
+      }
+      cursorNameStart = attributeNameStart;
+      cursorNameEnd = attributeNameEnd;
+      cursorValueStart = valueStart;
+      cursorValueEnd = valueEnd;
+      cursorPos = valueEnd + 1;
+      return true;
+    },
+
+    /**
+     * @returns {string | undefined}  The name of the attribute at the
+     * attribute cursor, including prefix. `undefined` if `nextAttribute()`
+     * did not move the cursor to an attribute.
+     */
+    attributeName: function () {
+      return cursorNameEnd < 0 ? undefined : nameAt(cursorNameStart, cursorNameEnd);
+    },
+
+    /**
+     * @param {boolean} [raw]  If `true`, will return the value verbatim.
+     * @returns {string | undefined}  The value of the attribute at the
+     * attribute cursor. `undefined` if `nextAttribute()` did not move the
+     * cursor to an attribute, or if there was a problem resolving entities,
+     * in which case an error message can be retrieved with `error()`.
+     */
+    attributeValue: function (raw) {
+      return cursorNameEnd < 0
+        ? undefined
+        : getAttributeValue(cursorValueStart, cursorValueEnd, raw);
+    },
+
+    /**
+     * @returns {EventType|undefined}  The type of the current event, i.e. what
+     * `next()` returned last. `undefined` before the first call of `next()`.
+     */
+    eventType: function () {
+      return eventType;
+    },
+
+    /**
+     * @returns  Error message. `undefined` unless the current event is an error
+     * event.
+     */
+    error: function () {
+      return error;
+    },
+
+    /**
+     * Only populated if the `recover` option is set.
+     * @returns {Diagnostic[]}  All errors found so far, in the order they
+     * were found. This includes errors found by methods like `attributes()`.
+     */
+    diagnostics: function () {
+      return diagnostics.slice();
+    },
+
+    /**
+     * @returns {PositionRange}  Where the current event starts and ends in the
+     * input. The end position is exclusive, i.e. it's the position of the
+     * first character after the event.
+     */
+    position: function () {
+      advanceLineCursor(eventStart);
+      return {start: locate(eventStart), end: locate(eventEnd)};
+    },
+
+    /**
+     * Like `position()`, but only with offsets, which is cheaper as no lines
+     * are counted. Use it with `xmlPatch()` to edit the input.
+     * @param {string} [attributeName]  If given, the range of the raw value
+     * of this attribute of the current tag is returned instead, excluding
+     * the quotes.
+     * @returns {Range | undefined}  The source range of the current event or
+     * attribute value. `undefined` if there's no such attribute.
+     */
+    rawRange: function (attributeName) {
+      if (attributeName === undefined) {
+        return {start: bufferOffset + eventStart, end: bufferOffset + eventEnd};
+      }
+      if (typeof findAttribute(attributeName, true) !== "string") {
+        return undefined;
+      }
+      return {start: bufferOffset + valueStart, end: bufferOffset + valueEnd};
+    },
+
+    /**
+     * Captures the parser state after the current event, so that another
+     * parser can resume from there by passing the checkpoint as the
+     * `checkpoint` option. Checkpoints are best created after regular
+     * events, not after errors.
+     * @returns {Checkpoint}
+     */
+    checkpoint: function () {
+      if (skipDepth > 0 || skipToDepth > 0) {
+        throw new Error("Can not create a checkpoint while skipping an element");
+      }
+      let byteOffset = undefined;
+      if (decoder) {
+        byteOffset = bufferByteOffset + byteLength(S, 0, eventEnd, decoder.encoding);
+        if (isNaN(byteOffset)) {
+          throw new Error(`Can not create a checkpoint of input in encoding ${decoder.encoding}`);
+        }
+      }
+      advanceLineCursor(eventEnd);
+      const position = locate(eventEnd);
+      const elementCount = popElement ? openElements.length - 1 : openElements.length;
+      return {
+        offset: position.offset,
+        line: position.line,
+        column: position.column,
+        elements: openElements.slice(0, elementCount).map(function (element, index) {
+          if (!element.attributes) {
+            captureAttributes(element);
+          }
+          const scope = namespaceScopes[index + 1];
+          const declaresNamespaces = scope && scope !== namespaceScopes[index];
+          return {
+            tagName: element.tagName,
+            attributes: element.attributes === "error" ? {} : Object.assign({}, element.attributes),
+            preserveSpace: element.preserveSpace,
+            namespaces: declaresNamespaces ? Object.assign({}, scope) : undefined,
+          };
+        }),
+        generalEntities: Object.assign({}, generalEntities),
+        parameterEntities: Object.assign({}, parameterEntities),
+        rootElementSeen: rootElementSeen,
+        doctypeSeen: doctypeSeen,
+        rawTextElement: rawTextElement,
+        encoding: decoder ? decoder.encoding : undefined,
+        byteOffset: byteOffset,
+      };
+    },
+
+    /**
+     * @returns {number}  The number of open elements. For start, end and self
+     * closing tags, this includes the current element, i.e. the root element
+     * has depth 1.
+     */
+    depth: function () {
+      return openElements.length;
+    },
+
+    /**
+     * @example <caption>Only looking at notes in layer 2</caption>
+     * if (tsax.localName() === "note") {
+     *   const layer = tsax.path(true).reverse().find((e) => e.tagName === "layer");
+     *   if (layer?.attributes.n === "2") {
+     *     // ...
+     *   }
+     * }
+     *
+     * @template {boolean} [T=false]
+     * @param {T} [withAttributes]  If `true`, the attributes of each element are
+     * included. They are only parsed when requested.
+     * @returns {T extends true ? PathElement[] : string[]}  The open elements,
+     * starting with the root element. For start, end and self closing tags,
+     * this includes the current element. Elements are given by their tag names
+     * or, if `withAttributes` is `true`, as objects with tag name and
+     * attributes.
+     */
+    path: function (withAttributes) {
+      if (!withAttributes) {
+        return /** @type {any} */ (openElements.map((element) => element.tagName));
+      }
+      return /** @type {any} */ (
+        openElements.map(function (element) {
+          if (!element.attributes) {
+            captureAttributes(element);
+          }
+          return {
+            tagName: element.tagName,
+            attributes: /** @type {Attributes|"error"} */ (element.attributes),
+          };
+        })
+      );
+    },
+
+    /**
+     * Fast-forwards to the end tag of the current element, skipping all of its
+     * content. Only available if the current event is `"startTag"`.
+     *
+     * Only the nesting of the skipped content is tracked. It's not checked
+     * for well-formedness, even in strict mode. In html mode, the content is
+     * parsed like with `next()` to account for implied end tags.
+     *
+     * @returns {EventType}  `"endTag"` with the matching end tag as the current
+     * event. When parsing incrementally, `"needMoreInput"` might be returned,
+     * in which case `next()` continues skipping once more input is available.
+     * `"error"` if the subtree is not properly nested or if this method was
+     * not called on a start tag.
+     */
+    skipElement: function () {
+      if (eventType !== "startTag") {
+        return err(eventStart, "skipElement() is only available on start tags");
+      }
+      if (options.html) {
+        skipToDepth = openElements.length;
+        return this.next();
+      }
+      skipDepth = 1;
+      skippedTagName = S.substring(tagNameStart, tagNameEnd);
+      return this.next();
+    },
+
+    /**
+     * Appends a chunk of XML to the input. Only valid if `tSax()` was called
+     * without input, and only until `end()` is called.
+     * @param {string | Uint8Array} chunk  Either all chunks are strings or
+     * all are bytes. For bytes, the encoding is detected like for input
+     * passed to `tSax()`. Chunks may end in the middle of a character.
+     */
+    write: function (chunk) {
+      if (ended) {
+        throw new Error("Can not write after end of input");
+      }
+      const chunkType = typeof chunk === "string" ? "string" : "binary";
+      if (inputType && inputType !== chunkType) {
+        throw new Error("Can not mix string and binary input");
+      }
+      inputType = chunkType;
+      if (pendingLimitError !== undefined) {
+        // The input is no longer parsed
+        return;
+      }
+      if (typeof chunk === "string") {
+        S += chunk;
+      } else {
+        decodeBytes(chunk, false);
+      }
+      canCompact = true;
+    },
+
+    /**
+     * Signals that all input was supplied using `write()`.  From now on, an
+     * event that is cut off by the end of the input is an error.
+     */
+    end: function () {
+      if (inputType === "binary" && !ended) {
+        decodeBytes(new Uint8Array(0), true);
+      }
+      ended = true;
+    },
+
+    /**
+     * Iterates over the remaining events. Iteration ends at the end of the
+     * file, after an `"error"` event or, when parsing incrementally, when more
+     * input is needed. In the latter case, a new iteration can be started
+     * after more input was written.
+     *
+     * @example
+     * for (const event of tSax(xmlString)) {
+     *   if (event.type === "startTag" && event.tagName === "note") {
+     *     notes.push(event);
+     *   }
+     * }
+     *
+     * @returns {IterableIterator<EventSnapshot>}
+     */
+    [Symbol.iterator]: function () {
+      return readEvents(this);
+    },
+  };
+}
+
+/**
+ * Not all `TextDecoder` implementations support Windows-1252, e.g. Node.js
+ * decodes it like ISO-8859-1, so we have our own decoder.
+ * @type {Decoder}
+ */
+const windows1252Decoder = {
+  encoding: "windows-1252",
+  decode: function (bytes) {
+    /** @type {string[]} */
+    const chunks = [];
+    // Convert in chunks to not exceed the maximum number of arguments
+    for (let i = 0; i < bytes.length; i += 8192) {
+      const charCodes = Array.from(bytes.subarray(i, i + 8192), (byte) =>
+        byte >= 0x80 && byte < 0xa0 ? windows1252Chars.charCodeAt(byte - 0x80) : byte
+      );
+      chunks.push(String.fromCharCode.apply(null, charCodes));
+    }
+    return chunks.join("");
+  },
+};
+
+/** Encodings where characters take a varying number of bytes, except UTF-8 */
+const legacyMultiByteEncodings = wordSet("big5 euc-jp euc-kr gb18030 gbk iso-2022-jp shift_jis");
+
+/**
+ * @param {string} string  Decoded input
+ * @param {number} start
+ * @param {number} end
+ * @param {string} encoding  The encoding `string` was decoded from
+ * @returns {number}  The number of bytes that `string` from `start` to `end`
+ * was decoded from, or `NaN` if this can't be determined
+ */
+function byteLength(string, start, end, encoding) {
+  if (encoding === "utf-8") {
+    let length = end - start;
+    for (let i = start; i < end; i++) {
+      const charCode = string.charCodeAt(i);
+      if (charCode >= 0x80) {
+        // Surrogates take two bytes each, everything else two or three
+        length += charCode < 0x800 || (charCode >= 0xd800 && charCode < 0xe000) ? 1 : 2;
+      }
+    }
+    return length;
+  }
+  if (encoding === "utf-16le" || encoding === "utf-16be") {
+    return 2 * (end - start);
+  }
+  return legacyMultiByteEncodings[encoding] ? NaN : end - start;
+}
+
+/**
+ * Determines the encoding of binary input from its byte order mark and XML
+ * declaration, as described in appendix F of the XML specification.
+ * @param {Uint8Array} bytes  The beginning of the input
+ * @param {boolean} final  `true` if `bytes` is the complete input
+ * @returns {{
+ *  encoding: string | undefined;
+ *  byteOrderMarkLength: number;
+ *  error?: string;
+ *} | undefined}  `undefined` if more bytes are needed. `encoding` is a label
+ * understood by `TextDecoder`, or `undefined` if the declared encoding is not
+ * supported. `error` is set if the declared encoding is not supported or
+ * contradicts the detected one.
+ */
+function detectEncoding(bytes, final) {
+  if (bytes.length < 4 && !final) {
+    return undefined;
+  }
+  /** @type {string | undefined} */
+  let detected = undefined;
+  let byteOrderMarkLength = 0;
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    detected = "utf-8";
+    byteOrderMarkLength = 3;
+  } else if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    detected = "utf-16be";
+    byteOrderMarkLength = 2;
+  } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+    detected = "utf-16le";
+    byteOrderMarkLength = 2;
+  } else if (bytes[0] === 0x3c && bytes[1] === 0 && bytes[2] === 0x3f && bytes[3] === 0) {
+    // "<?" in UTF-16 without byte order mark
+    detected = "utf-16le";
+  } else if (bytes[0] === 0 && bytes[1] === 0x3c && bytes[2] === 0 && bytes[3] === 0x3f) {
+    detected = "utf-16be";
+  }
+
+  // For ASCII compatible encodings, decoding the declaration as UTF-8 is good
+  // enough to read the encoding name.
+  const head = new TextDecoder(detected || "utf-8").decode(
+    bytes.subarray(byteOrderMarkLength, byteOrderMarkLength + maxDeclarationLength)
+  );
+  const declarationEnd = head.indexOf("?>");
+  if (
+    declarationEnd < 0 &&
+    !final &&
+    bytes.length < byteOrderMarkLength + maxDeclarationLength &&
+    "<?xml".startsWith(head.substring(0, 5))
+  ) {
+    // The declaration might be cut off
+    return undefined;
+  }
+  const match = encodingDeclarationRegExp.exec(head.substring(0, declarationEnd));
+  const declared = match ? (match[1] !== undefined ? match[1] : match[2]) : undefined;
+  if (declared === undefined) {
+    return {encoding: detected || "utf-8", byteOrderMarkLength: byteOrderMarkLength};
+  }
+
+  /** @type {string} */
+  let declaredEncoding;
+  try {
+    declaredEncoding = new TextDecoder(declared).encoding;
+  } catch (e) {
+    return {
+      encoding: undefined,
+      byteOrderMarkLength: byteOrderMarkLength,
+      error: `Unsupported encoding "${declared}"`,
+    };
+  }
+  const isUtf16 = declaredEncoding.substring(0, 6) === "utf-16";
+  if (detected === undefined && !isUtf16) {
+    return {encoding: declaredEncoding, byteOrderMarkLength: byteOrderMarkLength};
+  }
+  if (
+    detected === undefined ||
+    (detected === "utf-8" && declaredEncoding !== "utf-8") ||
+    (detected !== "utf-8" && !isUtf16)
+  ) {
+    const encoding = detected || "utf-8";
+    return {
+      encoding: encoding,
+      byteOrderMarkLength: byteOrderMarkLength,
+      error: `Declared encoding "${declared}" contradicts detected encoding ${encoding.toUpperCase()}`,
+    };
+  }
+  return {encoding: detected, byteOrderMarkLength: byteOrderMarkLength};
+}
+
+/**
+ * Parses a document from a stream, yielding the events as they become
+ * available. Iteration ends at the end of the document or after an `"error"`
+ * event.
+ *
+ * @example
+ * for await (const event of streamEvents(fs.createReadStream("score.mei"))) {
+ *   // ...
+ * }
+ *
+ * @param {ReadableStream<string | Uint8Array> | AsyncIterable<string | Uint8Array>} stream
+ * A WHATWG `ReadableStream`, a Node.js readable stream or any other async
+ * iterable of chunks. Either all chunks are strings or all are bytes. The
+ * encoding of bytes is detected like for input passed to `tSax()`.
+ * @param {Options} [options]
+ * @returns {AsyncGenerator<EventSnapshot, void, undefined>}
+ */
+async function* streamEvents(stream, options = {}) {
+  const tsax = tSax(undefined, options);
+  const chunks = "getReader" in stream ? readStream(stream) : stream;
+  for await (const chunk of chunks) {
+    tsax.write(chunk);
+    yield* tsax;
+    if (tsax.eventType() === "error") {
+      return;
+    }
+  }
+  tsax.end();
+  yield* tsax;
+}
+
+/**
+ * Turns a `ReadableStream` into an async iterable, as not all environments
+ * implement async iteration of streams.
+ * @template T
+ * @param {ReadableStream<T>} stream
+ * @returns {AsyncGenerator<T, void, undefined>}
+ */
+async function* readStream(stream) {
+  const reader = stream.getReader();
+  try {
+    while (true) {
+      const result = await reader.read();
+      if (result.done) {
+        return;
+      }
+      yield result.value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Methods shared by document and element nodes of trees built by
+ * `buildTree()`.
+ */
+const treeParentMethods = {
+  /**
+   * @this {TreeParent}
+   * @param {string} [tagName]
+   * @returns {TreeElement[]}  The child elements, optionally only those with
+   * the given tag name.
+   */
+  children: function (tagName) {
+    /** @type {TreeElement[]} */
+    const children = [];
+    for (const node of this.childNodes) {
+      if (node.type === "element" && (tagName === undefined || node.tagName === tagName)) {
+        children.push(node);
+      }
+    }
+    return children;
+  },
+
+  /**
+   * @this {TreeParent}
+   * @returns {string}  The concatenated text and CDATA content of all
+   * descendants.
+   */
+  textContent: function () {
+    let text = "";
+    for (const node of this.childNodes) {
+      if (node.type === "text") {
+        text += node.text;
+      } else if (node.type === "element") {
+        text += node.textContent();
+      }
+    }
+    return text;
+  },
+
+  /**
+   * @this {TreeParent}
+   * @param {string | ((element: TreeElement) => boolean)} match  A tag name or
+   * a predicate function.
+   * @returns {TreeElement | undefined}  The first matching descendant element
+   * in document order.
+   */
+  find: function (match) {
+    return findElements(this, match, true)[0];
+  },
+
+  /**
+   * @this {TreeParent}
+   * @param {string | ((element: TreeElement) => boolean)} match  A tag name or
+   * a predicate function.
+   * @returns {TreeElement[]}  All matching descendant elements in document
+   * order.
+   */
+  findAll: function (match) {
+    return findElements(this, match, false);
+  },
+};
+
+/**
+ * @param {TreeParent} parent
+ * @param {string | ((element: TreeElement) => boolean)} match
+ * @param {boolean} firstOnly
+ * @param {TreeElement[]} [found]
+ * @returns {TreeElement[]}
+ */
+function findElements(parent, match, firstOnly, found = []) {
+  for (const node of parent.childNodes) {
+    if (node.type !== "element") {
+      continue;
+    }
+    if (typeof match === "string" ? node.tagName === match : match(node)) {
+      found.push(node);
+      if (firstOnly) {
+        return found;
+      }
+    }
+    findElements(node, match, firstOnly, found);
+    if (firstOnly && found.length > 0) {
+      return found;
+    }
+  }
+  return found;
+}
+
+/**
+ * Parses a complete document into a tree. Text and attribute values are
+ * unescaped, CDATA sections become text nodes. Whitespace outside the root
+ * element is dropped.
+ *
+ * @example
+ * const mei = buildTree(xmlString, {stripWhitespace: true});
+ * for (const staffDef of mei.findAll("staffDef")) {
+ *   console.log(staffDef.attributes.n, staffDef.find("label")?.textContent());
+ * }
+ *
+ * @param {string} input
+ * @param {TreeOptions} [options]
+ * @returns {TreeDocument}
+ * @throws {Error} If the document could not be parsed
+ */
+function buildTree(input, options = {}) {
+  return readTree(tSax(input, options), options);
+}
+
+/**
+ * Reads events from a parser into a tree.
+ * @param {TSax} tsax
+ * @param {TreeOptions} options
+ * @param {"singleTag"|"startTag"} [currentEvent]  If set, only the current
+ * element is read, including its content. The parser is left at its end tag.
+ * @returns {TreeDocument}
+ */
+function readTree(tsax, options, currentEvent) {
+  const document = /** @type {TreeDocument} */ (Object.create(treeParentMethods));
+  document.type = "document";
+  document.childNodes = [];
+  document.doctype = undefined;
+  /** @type {TreeParent} */
+  let parent = document;
+
+  /**
+   * @template {TreeNode} T
+   * @param {T} node
+   * @returns {T}
+   */
+  function append(node) {
+    const position = tsax.position();
+    node.parent = parent;
+    node.start = position.start.offset;
+    node.end = position.end.offset;
+    parent.childNodes.push(node);
+    return node;
+  }
+
+  /**
+   * @template T
+   * @param {T | undefined | "error"} value
+   * @returns {T}
+   */
+  function check(value) {
+    if (value === undefined || value === "error") {
+      throw new Error(tsax.error());
+    }
+    return value;
+  }
+
+  let event = currentEvent || tsax.next();
+  while (true) {
+    switch (event) {
+      case "singleTag":
+      case "startTag": {
+        const element = /** @type {TreeElement} */ (Object.create(treeParentMethods));
+        element.type = "element";
+        element.tagName = check(tsax.tagName());
+        element.attributes = check(tsax.attributes());
+        element.childNodes = [];
+        append(element);
+        if (event === "startTag") {
+          parent = element;
+        }
+        break;
+      }
+      case "endTag":
+        if (parent.type === "document") {
+          throw new Error(`Unexpected end tag </${tsax.tagName()}>`);
+        }
+        if (tsax.tagName() !== parent.tagName) {
+          const start = tsax.position().start;
+          throw new Error(
+            `Expected </${parent.tagName}>, found </${tsax.tagName()}> ` +
+              `at ${start.line}:${start.column}`
+          );
+        }
+        parent.end = tsax.position().end.offset;
+        parent = parent.parent;
+        break;
+      case "cdata":
+      case "text": {
+        const text = check(tsax.text());
+        if (
+          parent.type === "document" ||
+          (options.stripWhitespace && event === "text" && whitespaceRegExp.test(text))
+        ) {
+          break;
+        }
+        append(/** @type {TreeText} */ ({type: "text", text: text, cdata: event === "cdata"}));
+        break;
+      }
+      case "comment":
+        append(/** @type {TreeComment} */ ({type: "comment", text: check(tsax.text())}));
+        break;
+      case "processingInstruction":
+        append(
+          /** @type {TreeProcessingInstruction} */ ({
+            type: "processingInstruction",
+            target: check(tsax.piTarget()),
+            text: check(tsax.text()),
+          })
+        );
+        break;
+      case "doctype":
+        document.doctype = tsax.tagName();
+        break;
+      case "xmlDeclaration":
+        break;
+      case "eof":
+        if (parent.type !== "document") {
+          throw new Error(`Unexpected end of file, missing end tag </${parent.tagName}>`);
+        }
+        return document;
+      case "needMoreInput":
+        throw new Error("Can not build tree from incomplete input");
+      default:
+        throw new Error(tsax.error());
+    }
+    if (currentEvent && parent === document) {
+      return document;
+    }
+    event = tsax.next();
+  }
+}
+
+/**
+ * One step of a path compiled by `compilePath()`, i.e. a name test plus
+ * predicates.
+ * @typedef {{
+ *  descendant: boolean;
+ *  prefix: string | undefined;
+ *  localName: string | undefined;
+ *  predicates: PathPredicate[];
+ *}}
+ * PathStep  If `descendant` is `true`, the step was preceded by "//". Name
+ * parts are `undefined` for wildcards.
+ */
+
+/**
+ * @typedef {{
+ *  attribute: string;
+ *  operator: "exists" | "=" | "!=";
+ *  value: string;
+ * } | {position: number}} PathPredicate
+ */
+
+/**
+ * @typedef {{
+ *  namespaces?: {[prefix: string]: string};
+ *  tree?: TreeOptions;
+ *}}
+ * PathQueryOptions
+ */
+
+/**
+ * @typedef {{
+ *  next: () => "eof" | "error" | "match" | "needMoreInput";
+ *  tree: () => TreeElement;
+ *}}
+ * PathQuery
+ */
+
+const pathStepRegExp =
+  /(\/\/?)((?:[^\s/[\]:*]+:)?(?:[^\s/[\]:*]+|\*)|\*)((?:\[[^\]]*\])*)/y;
+const pathPredicateRegExp =
+  /\[\s*(?:@([^\s=!\]]+)\s*(?:(!?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+)))?|(\d+))\s*\]/y;
+
+/**
+ * Compiles a subset of XPath. Supported are absolute paths with child (`/`)
+ * and descendant (`//`) steps, name tests (`note`, `mei:note`, `*`, `mei:*`)
+ * and predicates testing attribute existence (`[@xml:id]`), attribute values
+ * (`[@pname="c"]`, `[@pname!='c']`) or position (`[2]`).
+ * @param {string} path
+ * @returns {PathStep[]}
+ * @throws {Error} If the path is not supported
+ */
+function compilePath(path) {
+  /** @type {PathStep[]} */
+  const steps = [];
+  pathStepRegExp.lastIndex = 0;
+  while (pathStepRegExp.lastIndex < path.length) {
+    const stepStart = pathStepRegExp.lastIndex;
+    const match = pathStepRegExp.exec(path);
+    if (!match) {
+      throw new Error(`Unsupported path syntax at position ${stepStart}: ${path}`);
+    }
+    const [, slashes, nameTest, predicateString] = match;
+    const colon = nameTest.indexOf(":");
+    const localName = nameTest.substring(colon + 1);
+    if (
+      (colon >= 0 && !nameRegExp.test(nameTest.substring(0, colon))) ||
+      (localName !== "*" && !nameRegExp.test(localName))
+    ) {
+      throw new Error(`Unsupported name test "${nameTest}" in step ${steps.length + 1}: ${path}`);
+    }
+    /** @type {PathStep} */
+    const step = {
+      descendant: slashes === "//",
+      prefix: colon < 0 ? (localName === "*" ? undefined : "") : nameTest.substring(0, colon),
+      localName: localName === "*" ? undefined : localName,
+      predicates: [],
+    };
+    pathPredicateRegExp.lastIndex = 0;
+    while (pathPredicateRegExp.lastIndex < predicateString.length) {
+      const predicate = pathPredicateRegExp.exec(predicateString);
+      if (!predicate) {
+        throw new Error(`Unsupported predicate in step ${steps.length + 1}: ${path}`);
+      }
+      const [, attribute, operator, doubleQuoted, singleQuoted, unquoted, position] = predicate;
+      if (attribute && !nameRegExp.test(attribute)) {
+        const message = `Unsupported attribute name "${attribute}" in step ${steps.length + 1}`;
+        throw new Error(`${message}: ${path}`);
+      }
+      if (!attribute) {
+        step.predicates.push({position: parseInt(position, 10)});
+        continue;
+      }
+      step.predicates.push({
+        attribute: attribute,
+        operator: operator === "=" || operator === "!=" ? operator : "exists",
+        value:
+          doubleQuoted !== undefined
+            ? doubleQuoted
+            : singleQuoted !== undefined
+            ? singleQuoted
+            : unquoted || "",
+      });
+    }
+    steps.push(step);
+  }
+  if (steps.length === 0) {
+    throw new Error(`Empty path`);
+  }
+  return steps;
+}
+
+/**
+ * Streams through a document, stopping at elements matching a path. The path
+ * is compiled once by `compilePath()`, see there for the supported syntax.
+ *
+ * The query has to be created before the parser consumed any events. The
+ * parser must only be advanced through the query's `next()`, `tree()`, or
+ * the parser's `skipElement()`.
+ *
+ * If the `namespaces` option is given, the parser must be created with the
+ * `namespaces` option as well. Prefixes of name tests then refer to the
+ * namespace URIs given in this option and unprefixed name tests only match
+ * elements in no namespace. Otherwise, names are compared verbatim,
+ * including prefixes. Attribute names are always compared verbatim.
+ *
+ * @example
+ * const notes = pathQuery(tSax(xmlString), '/mei/music//note[@pname="c"]');
+ * while (notes.next() === "match") {
+ *   console.log(notes.tree().attributes["xml:id"]);
+ * }
+ *
+ * @param {TSax} tsax
+ * @param {string | PathStep[]} path  A path or the result of `compilePath()`
+ * @param {PathQueryOptions} [options]
+ * @returns {PathQuery}
+ */
+function pathQuery(tsax, path, options = {}) {
+  const steps = typeof path === "string" ? compilePath(path) : path;
+  const namespaces = options.namespaces;
+  if (namespaces) {
+    for (const step of steps) {
+      if (step.prefix && namespaces[step.prefix] === undefined) {
+        throw new Error(`No namespace URI given for prefix "${step.prefix}"`);
+      }
+    }
+  }
+
+  /**
+   * For each depth, the steps that are active for the open element's
+   * children, i.e. the indices of steps that the children might match, and
+   * counters for positional predicates. The counters are keyed by
+   * `"<step index>:<predicate index>"`.
+   * @type {{steps: number[], counters: {[key: string]: number}}[]}
+   */
+  const frames = [{steps: [0], counters: {}}];
+  /** @type {"singleTag"|"startTag"|undefined} */
+  let matchEvent = undefined;
+
+  /**
+   * @param {PathStep} step
+   * @returns {boolean}
+   */
+  function nameMatches(step) {
+    if (namespaces) {
+      return (
+        (step.localName === undefined || step.localName === tsax.localName()) &&
+        (step.prefix === undefined ||
+          tsax.namespaceURI() === (step.prefix ? namespaces[step.prefix] : ""))
+      );
+    }
+    return (
+      (step.localName === undefined || step.localName === tsax.localName()) &&
+      (step.prefix === undefined || step.prefix === tsax.prefix())
+    );
+  }
+
+  /**
+   * @param {number} stepIndex
+   * @param {{[key: string]: number}} counters
+   * @returns {boolean}
+   */
+  function stepMatches(stepIndex, counters) {
+    const step = steps[stepIndex];
+    if (!nameMatches(step)) {
+      return false;
+    }
+    for (let i = 0; i < step.predicates.length; i++) {
+      const predicate = step.predicates[i];
+      if ("position" in predicate) {
+        const key = stepIndex + ":" + i;
+        counters[key] = (counters[key] || 0) + 1;
+        if (counters[key] !== predicate.position) {
+          return false;
+        }
+        continue;
+      }
+      const attributes = tsax.attributes();
+      if (attributes === undefined || attributes === "error") {
+        return false;
+      }
+      const value = attributes[predicate.attribute];
+      if (
+        predicate.operator === "exists"
+          ? value === undefined
+          : predicate.operator === "="
+          ? value !== predicate.value
+          : value === undefined || value === predicate.value
+      ) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  return {
+    /**
+     * Advances the parser to the next matching start or self closing tag.
+     * @returns {"eof" | "error" | "match" | "needMoreInput"}  On `"match"`,
+     * the parser's methods give access to the matching element.
+     */
+    next: function () {
+      matchEvent = undefined;
+      while (true) {
+        const event = tsax.next();
+        switch (event) {
+          case "eof":
+          case "error":
+          case "needMoreInput":
+            return event;
+          case "singleTag":
+          case "startTag":
+            break;
+          default:
+            continue;
+        }
+        const depth = tsax.depth();
+        const parentFrame = frames[depth - 1];
+        /** @type {number[]} */
+        const activeSteps = [];
+        let isMatch = false;
+        for (const stepIndex of parentFrame ? parentFrame.steps : []) {
+          if (steps[stepIndex].descendant && activeSteps.indexOf(stepIndex) < 0) {
+            activeSteps.push(stepIndex);
+          }
+          if (stepMatches(stepIndex, parentFrame.counters)) {
+            if (stepIndex + 1 === steps.length) {
+              isMatch = true;
+            } else if (activeSteps.indexOf(stepIndex + 1) < 0) {
+              activeSteps.push(stepIndex + 1);
+            }
+          }
+        }
+        frames[depth] = {steps: activeSteps, counters: {}};
+        if (isMatch) {
+          matchEvent = event;
+          return "match";
+        }
+      }
+    },
+
+    /**
+     * Only available after `next()` returned `"match"`. Reads the matching
+     * element with all its content. Afterwards, the parser is positioned at
+     * the element's end tag.
+     * @returns {TreeElement}  The element. Its parent is a document node
+     * containing only this element.
+     * @throws {Error} If the element could not be parsed
+     */
+    tree: function () {
+      if (!matchEvent) {
+        throw new Error('tree() is only available after next() returned "match"');
+      }
+      const event = matchEvent;
+      matchEvent = undefined;
+      return readTree(tsax, options.tree || {}, event).children()[0];
+    },
+  };
+}
+
+/**
+ * @typedef {{
+ *  tagNames?: string[];
+ *  ids?: boolean;
+ *  parser?: Options;
+ *}}
+ * IndexOptions  Elements are indexed if their tag name is in `tagNames` or,
+ * unless `ids` is `false`, if they have an `xml:id` attribute. `parser` holds
+ * the options for the parser that reads the input.
+ */
+
+/**
+ * @typedef {{
+ *  length: number;
+ *  starts: Uint32Array;
+ *  ends: Uint32Array;
+ *  depths: Uint32Array;
+ *  lines: Uint32Array;
+ *  columns: Uint32Array;
+ *  nameIds: Uint32Array;
+ *  parents: Uint32Array;
+ *  names: string[];
+ *  ids: string[];
+ *  ancestors: IndexAncestor[];
+ *  generalEntities: {[entity: string]: string|null};
+ *}}
+ * IndexData  The entries of an index are stored in typed arrays, in document
+ * order. Entry `i` is an element that starts at offset `starts[i]` and ends
+ * at `ends[i]` (exclusive), at depth `depths[i]`, with its start tag at line
+ * `lines[i]` and column `columns[i]`. Its tag name is `names[nameIds[i]]`
+ * and its `xml:id` is `ids[i]`, or the empty string if it has none. Its
+ * parent element is `ancestors[parents[i] - 1]`, unless `parents[i]` is 0
+ * for the root element.
+ */
+
+/**
+ * @typedef {CheckpointElement & {parent: number}} IndexAncestor  An element
+ * that contains indexed elements. Its own parent is `parent`, an index in
+ * `ancestors`, or -1 for the root element.
+ */
+
+/**
+ * @typedef {IndexData & {
+ *  find: (id: string) => number;
+ *  checkpoint: (entry: number) => Checkpoint;
+ *  toBytes: () => Uint8Array;
+ *}}
+ * ElementIndex
+ */
+
+/** Names of the typed arrays of `IndexData`, in the order they are persisted */
+const indexArrayNames = /** @type {const} */ ([
+  "starts",
+  "ends",
+  "depths",
+  "lines",
+  "columns",
+  "nameIds",
+  "parents",
+]);
+
+/**
+ * Reads the whole input once and records the offsets of the elements
+ * selected by `options`. Together with `checkpoint()`, the index lets
+ * parsers start directly at an element.
+ *
+ * @example <caption>Reading an element referenced by its ID</caption>
+ * const index = buildIndex(xmlString, {tagNames: ["measure"]});
+ * const tsax = tSax(xmlString, {checkpoint: index.checkpoint(index.find("m512"))});
+ * tsax.next();
+ * console.log(tsax.tagName(), tsax.attributes());
+ *
+ * @param {string | Uint8Array} input
+ * @param {IndexOptions} [options]
+ * @returns {ElementIndex}  Throws an `Error` if the input is malformed.
+ */
+function buildIndex(input, options = {}) {
+  const tsax = tSax(input, options.parser);
+  const tagNames = new Set(options.tagNames || []);
+  const indexIds = options.ids !== false;
+  /** @type {{[name: string]: number}} */
+  const nameIds = Object.create(null);
+  const capacity = 1024;
+  /** @type {IndexData} */
+  const data = {
+    length: 0,
+    starts: new Uint32Array(capacity),
+    ends: new Uint32Array(capacity),
+    depths: new Uint32Array(capacity),
+    lines: new Uint32Array(capacity),
+    columns: new Uint32Array(capacity),
+    nameIds: new Uint32Array(capacity),
+    parents: new Uint32Array(capacity),
+    names: [],
+    ids: [],
+    ancestors: [],
+    generalEntities: {},
+  };
+  /** For each open element, its entry in the index or -1 if it's not indexed */
+  const openEntries = [];
+  /**
+   * For each open element, its index in `data.ancestors` or -1 if it's not
+   * there yet
+   * @type {number[]}
+   */
+  const openAncestors = [];
+  const parserOptions = options.parser || {};
+  const tracksSpace = !!parserOptions.whitespace && parserOptions.whitespace !== "keep";
+
+  /**
+   * Adds the open elements up to `depth` to `data.ancestors` as far as they
+   * are not there yet.
+   * @param {number} depth
+   * @returns {number}  The index of the element at `depth` in `data.ancestors`,
+   * -1 for depth 0
+   */
+  function addAncestors(depth) {
+    let known = depth;
+    while (known > 0 && openAncestors[known - 1] < 0) {
+      known--;
+    }
+    if (known < depth) {
+      const path = tsax.path(true);
+      for (let i = known; i < depth; i++) {
+        const parent = i > 0 ? openAncestors[i - 1] : -1;
+        const pathAttributes = path[i].attributes;
+        /** @type {Attributes} */
+        const attributes = pathAttributes === "error" ? {} : Object.assign({}, pathAttributes);
+        /** @type {{[prefix: string]: string} | undefined} */
+        let namespaces = undefined;
+        if (parserOptions.namespaces) {
+          for (const name in attributes) {
+            if (name === "xmlns" || name.substring(0, 6) === "xmlns:") {
+              namespaces = namespaces || {};
+              namespaces[name.substring(6)] = attributes[name];
+            }
+          }
+        }
+        const space = attributes["xml:space"];
+        const preserveSpace =
+          tracksSpace &&
+          (space === "preserve" ||
+            (space !== "default" && parent >= 0 && data.ancestors[parent].preserveSpace));
+        openAncestors[i] =
+          data.ancestors.push({
+            parent: parent,
+            tagName: path[i].tagName,
+            attributes: attributes,
+            preserveSpace: preserveSpace,
+            namespaces: namespaces,
+          }) - 1;
+      }
+    }
+    return depth > 0 ? openAncestors[depth - 1] : -1;
+  }
+
+  while (true) {
+    const event = tsax.next();
+    switch (event) {
+      case "startTag":
+      case "singleTag": {
+        const tagName = /** @type {string} */ (tsax.tagName());
+        const id = indexIds ? tsax.attribute("xml:id") : undefined;
+        if (id === "error") {
+          throw new Error(tsax.error());
+        }
+        openAncestors.push(-1);
+        if (id === undefined && !tagNames.has(tagName)) {
+          openEntries.push(-1);
+          break;
+        }
+        const entry = data.length;
+        if (entry === data.starts.length) {
+          for (const name of indexArrayNames) {
+            const grown = new Uint32Array(entry * 2);
+            grown.set(data[name]);
+            data[name] = grown;
+          }
+        }
+        if (!(tagName in nameIds)) {
+          nameIds[tagName] = data.names.push(tagName) - 1;
+        }
+        const start = tsax.position().start;
+        data.starts[entry] = start.offset;
+        data.depths[entry] = tsax.depth();
+        data.lines[entry] = start.line;
+        data.columns[entry] = start.column;
+        data.nameIds[entry] = nameIds[tagName];
+        data.parents[entry] = addAncestors(tsax.depth() - 1) + 1;
+        data.ids.push(id || "");
+        data.length += 1;
+        openEntries.push(entry);
+        break;
+      }
+      case "endTag":
+        break;
+      case "eof":
+        for (const name of indexArrayNames) {
+          data[name] = data[name].slice(0, data.length);
+        }
+        data.generalEntities = tsax.checkpoint().generalEntities;
+        return elementIndex(data);
+      case "needMoreInput":
+        throw new Error("Can not build index from incomplete input");
+      case "error":
+        throw new Error(tsax.error());
+      default:
+        continue;
+    }
+    if (event !== "startTag") {
+      // The element is complete
+      const entry = /** @type {number} */ (openEntries.pop());
+      openAncestors.pop();
+      if (entry >= 0) {
+        data.ends[entry] = /** @type {Range} */ (tsax.rawRange()).end;
+      }
+    }
+  }
+}
+
+/**
+ * Restores an index persisted with `toBytes()`.
+ * @param {Uint8Array} bytes
+ * @returns {ElementIndex}
+ */
+function loadIndex(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerLength = view.getUint32(0, true);
+  const data = /** @type {IndexData} */ (
+    JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)))
+  );
+  let offset = 4 + headerLength;
+  for (const name of indexArrayNames) {
+    const array = new Uint32Array(data.length);
+    for (let i = 0; i < data.length; i++, offset += 4) {
+      array[i] = view.getUint32(offset, true);
+    }
+    data[name] = array;
+  }
+  return elementIndex(data);
+}
+
+/**
+ * @param {IndexData} data
+ * @returns {ElementIndex}
+ */
+function elementIndex(data) {
+  /** @type {Map<string, number> | undefined} */
+  let entriesById = undefined;
+
+  return Object.assign(data, {
+    /**
+     * @param {string} id
+     * @returns {number}  The entry of the element with this `xml:id`, -1 if
+     * there is none
+     */
+    find: function (id) {
+      if (!entriesById) {
+        entriesById = new Map();
+        for (let entry = 0; entry < data.length; entry++) {
+          if (data.ids[entry] && !entriesById.has(data.ids[entry])) {
+            entriesById.set(data.ids[entry], entry);
+          }
+        }
+      }
+      const entry = entriesById.get(id);
+      return entry === undefined ? -1 : entry;
+    },
+
+    /**
+     * @param {number} entry
+     * @returns {Checkpoint}  A checkpoint for starting a parser at the
+     * element, for the same input the index was built from, and with the same
+     * parser options. The parser continues after the element with the rest
+     * of the document.
+     */
+    checkpoint: function (entry) {
+      if (!(entry >= 0 && entry < data.length)) {
+        throw new Error(`No index entry ${entry}`);
+      }
+      /** @type {CheckpointElement[]} */
+      const elements = [];
+      for (let i = data.parents[entry] - 1; i >= 0; i = data.ancestors[i].parent) {
+        const ancestor = data.ancestors[i];
+        elements.unshift({
+          tagName: ancestor.tagName,
+          attributes: ancestor.attributes,
+          preserveSpace: ancestor.preserveSpace,
+          namespaces: ancestor.namespaces,
+        });
+      }
+      return {
+        offset: data.starts[entry],
+        line: data.lines[entry],
+        column: data.columns[entry],
+        elements: elements,
+        generalEntities: data.generalEntities,
+        parameterEntities: {},
+        rootElementSeen: elements.length > 0,
+        doctypeSeen: true,
+      };
+    },
+
+    /**
+     * @returns {Uint8Array}  The index as bytes that `loadIndex()` restores it
+     * from: the length of a JSON header as a 32 bit integer, the header with
+     * the names, IDs, ancestors and entities, then the typed arrays, all
+     * little endian.
+     */
+    toBytes: function () {
+      const header = new TextEncoder().encode(
+        JSON.stringify({
+          length: data.length,
+          names: data.names,
+          ids: data.ids,
+          ancestors: data.ancestors,
+          generalEntities: data.generalEntities,
+        })
+      );
+      const bytes = new Uint8Array(4 + header.length + indexArrayNames.length * 4 * data.length);
+      const view = new DataView(bytes.buffer);
+      view.setUint32(0, header.length, true);
+      bytes.set(header, 4);
+      let offset = 4 + header.length;
+      for (const name of indexArrayNames) {
+        for (const value of data[name]) {
+          view.setUint32(offset, value, true);
+          offset += 4;
+        }
+      }
+      return bytes;
+    },
+  });
+}
+
+/**
+ * @typedef {{
+ *  expectStart: (tagName?: string) => void;
+ *  readElementText: () => string;
+ *  forEachChild: (callback: (tagName: string) => void) => void;
+ *  readToDescendant: (tagName: string) => boolean;
+ *}}
+ * XmlReader
+ */
+
+/**
+ * Creates helpers for pull parsing in the style of StAX or .NET's XmlReader,
+ * which advance `tsax` and check the structure of the input on the way.
+ * Mismatches are thrown as an `Error` with the position of the offending
+ * event, as are errors of the parser. The input must be complete, i.e.
+ * `"needMoreInput"` is an error, too.
+ *
+ * @example <caption>Reading staff definitions</caption>
+ * const tsax = tSax(xmlString);
+ * const reader = xmlReader(tsax);
+ * reader.expectStart("staffGrp");
+ * reader.forEachChild(function (tagName) {
+ *   if (tagName === "staffDef") {
+ *     const n = tsax.attribute("n");
+ *     if (reader.readToDescendant("label")) {
+ *       console.log(n, reader.readElementText());
+ *     }
+ *   }
+ * });
+ *
+ * @param {TSax} tsax
+ * @returns {XmlReader}
+ */
+function xmlReader(tsax) {
+  /**
+   * @param {string} message
+   * @returns {Error}  An error with the position of the current event
+   */
+  function readerError(message) {
+    const position = tsax.position().start;
+    return new Error(`${message} at ${position.line}:${position.column}`);
+  }
+
+  /**
+   * @returns {string}  A description of the current event for error messages
+   */
+  function currentEvent() {
+    switch (tsax.eventType()) {
+      case "startTag":
+      case "singleTag":
+        return `<${tsax.tagName()}>`;
+      case "endTag":
+        return `</${tsax.tagName()}>`;
+      case "eof":
+        return "end of file";
+      case "processingInstruction":
+        return "processing instruction";
+      case "xmlDeclaration":
+        return "XML declaration";
+      default:
+        return String(tsax.eventType());
+    }
+  }
+
+  /**
+   * @param {boolean} [eofAllowed]
+   * @returns {EventType}  The next event, which is not an error
+   */
+  function next(eofAllowed) {
+    const event = tsax.next();
+    switch (event) {
+      case "error":
+        throw new Error(tsax.error());
+      case "needMoreInput":
+        throw readerError("Unexpected end of input");
+      case "eof":
+        if (!eofAllowed) {
+          throw readerError("Unexpected end of file");
+        }
+    }
+    return event;
+  }
+
+  /**
+   * @param {string} method
+   * @returns {number}  The depth of the current element
+   */
+  function checkStartTag(method) {
+    const event = tsax.eventType();
+    if (event !== "startTag" && event !== "singleTag") {
+      throw readerError(`${method}() expects a start tag, found ${currentEvent()}`);
+    }
+    return tsax.depth();
+  }
+
+  /**
+   * Advances to the end of the element at `depth` if the current event is
+   * inside it.
+   * @param {number} depth
+   */
+  function finishElement(depth) {
+    if (tsax.eventType() === "startTag" && tsax.depth() === depth) {
+      if (tsax.skipElement() === "error") {
+        throw new Error(tsax.error());
+      }
+      return;
+    }
+    while (tsax.depth() >= depth && !isEndOf(depth)) {
+      next();
+    }
+  }
+
+  /**
+   * @param {number} depth
+   * @returns {boolean}  `true` if the current event ends the element at
+   * `depth`
+   */
+  function isEndOf(depth) {
+    const event = tsax.eventType();
+    return (event === "endTag" || event === "singleTag") && tsax.depth() === depth;
+  }
+
+  return {
+    /**
+     * Advances to the next start tag, skipping comments, processing
+     * instructions, doctype declarations and whitespace. Throws if anything
+     * else comes first.
+     * @param {string} [tagName]  If given, the start tag must have this name
+     */
+    expectStart: function (tagName) {
+      while (true) {
+        const event = next(true);
+        if (event === "startTag" || event === "singleTag") {
+          if (tagName !== undefined && tsax.tagName() !== tagName) {
+            throw readerError(`Expected <${tagName}>, found ${currentEvent()}`);
+          }
+          return;
+        }
+        if (event === "text" && whitespaceRegExp.test(/** @type {string} */ (tsax.text(true)))) {
+          continue;
+        }
+        if (event === "text" || event === "cdata" || event === "endTag" || event === "eof") {
+          throw readerError(`Expected <${tagName || "any element"}>, found ${currentEvent()}`);
+        }
+      }
+    },
+
+    /**
+     * Reads the content of the current element, which must be a start tag.
+     * The end tag is the current event afterwards.
+     * @returns {string}  The concatenated text and CDATA sections, including
+     * those of descendant elements. Comments and processing instructions are
+     * skipped.
+     */
+    readElementText: function () {
+      const depth = checkStartTag("readElementText");
+      let text = "";
+      while (!isEndOf(depth)) {
+        const event = next();
+        if (event === "text" || event === "cdata") {
+          const chunk = tsax.text();
+          if (chunk === undefined) {
+            throw new Error(tsax.error());
+          }
+          text += chunk;
+        }
+      }
+      return text;
+    },
+
+    /**
+     * Calls `callback` for each child element of the current element, which
+     * must be a start tag. When `callback` is called, the child's start tag
+     * is the current event. The callback may read the child partly or
+     * completely, whatever it did not read is skipped. Text between the
+     * children is ignored. The end tag is the current event afterwards.
+     * @param {(tagName: string) => void} callback
+     */
+    forEachChild: function (callback) {
+      const depth = checkStartTag("forEachChild");
+      while (!isEndOf(depth)) {
+        const event = next();
+        if (event === "startTag" || event === "singleTag") {
+          callback(/** @type {string} */ (tsax.tagName()));
+          finishElement(depth + 1);
+        }
+      }
+    },
+
+    /**
+     * Advances to the next descendant element of the current element with the
+     * given name. Before the first call of `tsax.next()`, the whole document
+     * is searched.
+     * @param {string} tagName
+     * @returns {boolean}  `true` if such an element was found, and its start
+     * tag is the current event. Otherwise, the end tag of the current element
+     * is.
+     */
+    readToDescendant: function (tagName) {
+      const depth = tsax.eventType() === undefined ? 0 : checkStartTag("readToDescendant");
+      while (!isEndOf(depth)) {
+        const event = next(depth === 0);
+        if ((event === "startTag" || event === "singleTag") && tsax.tagName() === tagName) {
+          return true;
+        }
+        if (event === "eof") {
+          return false;
+        }
+      }
+      return false;
+    },
+  };
+}
+
+/**
+ * @typedef {"string" | "number" | "boolean" | `${string}|${string}`} ValueSchema
+ * How a string from the XML is converted: `"string"` keeps it as is,
+ * `"number"` accepts decimal numerals like "-1.5" and `"boolean"` accepts
+ * "true", "false", "1" and "0", each with optional surrounding whitespace.
+ * Any other string lists the allowed values of an enumeration, separated by
+ * "|", like `"left|right|center"`.
+ */
+
+/**
+ * @typedef {{
+ *  attributes?: {[attributeName: string]: ValueSchema};
+ *  children?: {[tagName: string]: ElementSchema | [ElementSchema]};
+ *  text?: ValueSchema;
+ *}}
+ * ElementSchema  Declares how an element is mapped to an object. Each
+ * attribute listed in `attributes` becomes a property of the same name,
+ * which is missing if the attribute is. Each child element listed in
+ * `children` becomes a property named after its tag name. If its schema is
+ * wrapped in an array, all such children are collected in an array,
+ * otherwise there may only be one. If `text` is set, the text content of
+ * the element, excluding that of mapped children, becomes property `text`.
+ */
+
+/**
+ * @template V
+ * @typedef {V extends `${infer Value}|${infer Rest}` ? Value | EnumValue<Rest> : V} EnumValue
+ */
+
+/**
+ * @template {ValueSchema} V
+ * @typedef {V extends "string"
+ *   ? string
+ *   : V extends "number"
+ *   ? number
+ *   : V extends "boolean"
+ *   ? boolean
+ *   : EnumValue<V>} MappedValue
+ */
+
+/**
+ * @template {ElementSchema} S
+ * @typedef {(S extends {attributes: infer A}
+ *   ? {[Name in keyof A]?: A[Name] extends ValueSchema ? MappedValue<A[Name]> : never}
+ *   : {}) &
+ *   (S extends {children: infer C}
+ *     ? {
+ *         [Name in keyof C]: C[Name] extends [infer E]
+ *           ? E extends ElementSchema ? Mapped<E>[] : never
+ *           : C[Name] extends ElementSchema ? Mapped<C[Name]> | undefined : never;
+ *       }
+ *     : {}) &
+ *   (S extends {text: infer T}
+ *     ? {text: T extends ValueSchema ? MappedValue<T> : never}
+ *     : {})} Mapped
+ * The type of the objects that `mapElements()` produces for schema `S`
+ */
+
+/**
+ * Maps elements to plain objects as declared by a schema. With a schema
+ * given as literal, the type of the objects is inferred from it.
+ *
+ * @example <caption>Reading measures with their staves</caption>
+ * const measures = mapElements(tSax(xmlString), "measure", {
+ *   attributes: {n: "number", right: "dbl|end|single"},
+ *   children: {staff: [{attributes: {n: "number"}}]},
+ * });
+ * for (const measure of measures) {
+ *   console.log(measure.n, measure.right, measure.staff.length);
+ * }
+ *
+ * @template {ElementSchema} S
+ * @param {TSax} tsax
+ * @param {string} tagName
+ * @param {S} schema
+ * @returns {Generator<Mapped<S>, void, undefined>}  Yields an object for each
+ * element named `tagName`, in document order. Elements nested inside an
+ * element that was matched are not matched themselves. Throws an `Error`
+ * with the element's position if a value can't be converted, if a single
+ * child occurs more than once, or if parsing fails.
+ */
+function* mapElements(tsax, tagName, schema) {
+  checkSchema(tagName, schema, new Set());
+  while (true) {
+    switch (nextMappingEvent(tsax)) {
+      case "startTag":
+      case "singleTag":
+        if (tsax.tagName() === tagName) {
+          yield /** @type {Mapped<S>} */ (mapElement(tsax, schema));
+        }
+        break;
+      case "eof":
+        return;
+    }
+  }
+}
+
+/**
+ * Throws if properties of the objects that `schema` maps to would collide.
+ * @param {string} tagName
+ * @param {ElementSchema} schema
+ * @param {Set<ElementSchema>} checked  Schemas already checked, as schemas
+ * may be recursive
+ */
+function checkSchema(tagName, schema, checked) {
+  if (checked.has(schema)) {
+    return;
+  }
+  checked.add(schema);
+  const attributes = schema.attributes || {};
+  const children = schema.children || {};
+  const hasOwn = Object.prototype.hasOwnProperty;
+  for (const name in children) {
+    if (hasOwn.call(attributes, name)) {
+      throw new Error(`Property "${name}" of <${tagName}> is both an attribute and a child`);
+    }
+  }
+  if (schema.text && (hasOwn.call(attributes, "text") || hasOwn.call(children, "text"))) {
+    throw new Error(`Property "text" of <${tagName}> is both the text and an attribute or child`);
+  }
+  for (const name in children) {
+    const childSchema = children[name];
+    checkSchema(name, Array.isArray(childSchema) ? childSchema[0] : childSchema, checked);
+  }
+}
+
+/**
+ * Sets a property of a mapped object, even if it's named "__proto__"
+ * @param {{[property: string]: any}} object
+ * @param {string} name
+ * @param {any} value
+ */
+function setProperty(object, name, value) {
+  Object.defineProperty(object, name, {
+    value: value,
+    writable: true,
+    enumerable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * @param {TSax} tsax
+ * @returns {EventType}  The next event, which is not an error
+ */
+function nextMappingEvent(tsax) {
+  const event = tsax.next();
+  switch (event) {
+    case "error":
+      throw new Error(tsax.error());
+    case "needMoreInput":
+      throw new Error("Unexpected end of input");
+  }
+  return event;
+}
+
+/**
+ * Maps the element whose start tag is the current event, advancing to its
+ * end tag.
+ * @param {TSax} tsax
+ * @param {ElementSchema} schema
+ * @returns {{[property: string]: any}}
+ */
+function mapElement(tsax, schema) {
+  const tagName = /** @type {string} */ (tsax.tagName());
+  const start = tsax.position().start;
+  /**
+   * @param {string} message
+   * @returns {Error}
+   */
+  function mappingError(message) {
+    return new Error(`${message} in <${tagName}> at ${start.line}:${start.column}`);
+  }
+  /**
+   * @param {string} value
+   * @param {ValueSchema} valueSchema
+   * @param {string} what
+   */
+  function convert(value, valueSchema, what) {
+    const converted = convertValue(value, valueSchema);
+    if (converted === undefined) {
+      throw mappingError(`Invalid ${what} "${value}", expected ${valueSchema}`);
+    }
+    return converted;
+  }
+
+  /** @type {{[property: string]: any}} */
+  const result = {};
+  const attributes = schema.attributes || {};
+  for (const name in attributes) {
+    const value = tsax.attribute(name);
+    if (value === "error") {
+      throw new Error(tsax.error());
+    }
+    if (value !== undefined) {
+      setProperty(result, name, convert(value, attributes[name], `value of attribute "${name}"`));
+    }
+  }
+  const children = schema.children || {};
+  for (const name in children) {
+    setProperty(result, name, Array.isArray(children[name]) ? [] : undefined);
+  }
+
+  let text = "";
+  const depth = tsax.depth();
+  let event = tsax.eventType();
+  while (!((event === "endTag" || event === "singleTag") && tsax.depth() === depth)) {
+    event = nextMappingEvent(tsax);
+    switch (event) {
+      case "startTag":
+      case "singleTag": {
+        const childName = /** @type {string} */ (tsax.tagName());
+        const childSchema =
+          tsax.depth() === depth + 1 && Object.prototype.hasOwnProperty.call(children, childName)
+            ? children[childName]
+            : undefined;
+        if (Array.isArray(childSchema)) {
+          result[childName].push(mapElement(tsax, childSchema[0]));
+        } else if (childSchema) {
+          if (result[childName] !== undefined) {
+            throw mappingError(`Unexpected second <${childName}>`);
+          }
+          setProperty(result, childName, mapElement(tsax, childSchema));
+        } else if (event === "startTag" && !schema.text && tsax.skipElement() === "error") {
+          throw new Error(tsax.error());
+        }
+        break;
+      }
+      case "text":
+      case "cdata":
+        if (schema.text) {
+          const chunk = tsax.text();
+          if (chunk === undefined) {
+            throw new Error(tsax.error());
+          }
+          text += chunk;
+        }
+        break;
+      case "eof":
+        throw mappingError("Unexpected end of file");
+    }
+  }
+  if (schema.text) {
+    result.text = convert(text, schema.text, "text");
+  }
+  return result;
+}
+
+/** A decimal numeral as of XML Schema, with optional surrounding whitespace */
+const decimalRegExp = /^[ \t\r\n]*[+-]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)[ \t\r\n]*$/;
+
+/**
+ * @param {string} value
+ * @param {ValueSchema} valueSchema
+ * @returns {string | number | boolean | undefined}  `undefined` if `value`
+ * can't be converted
+ */
+function convertValue(value, valueSchema) {
+  switch (valueSchema) {
+    case "string":
+      return value;
+    case "number":
+      return decimalRegExp.test(value) ? Number(value) : undefined;
+    case "boolean":
+      switch (value.trim()) {
+        case "true":
+        case "1":
+          return true;
+        case "false":
+        case "0":
+          return false;
+      }
+      return undefined;
+    default:
+      return valueSchema.split("|").indexOf(value) >= 0 ? value : undefined;
+  }
+}
+
+/** @type {{[char: string]: string}} */
+const escapes = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  // Whitespace that would otherwise get lost by line ending or attribute value
+  // normalization
+  "\t": "&#9;",
+  "\n": "&#10;",
+  "\r": "&#13;",
+};
+
+/**
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeChar(char) {
+  return escapes[char];
+}
+
+/**
+ * Matches a doctype's text as returned by `text()`. Captures the public ID,
+ * the system ID and the internal subset.
+ */
+const doctypeTextRegExp =
+  /^[ \t\r\n]*(?:(?:PUBLIC[ \t\r\n]+(?:"([^"]*)"|'([^']*)')|SYSTEM)[ \t\r\n]+(?:"([^"]*)"|'([^']*)'))?[ \t\r\n]*(?:\[([\s\S]*)\])?[ \t\r\n]*$/;
+
+/**
+ * Creates a writer that serializes XML, escaping text and attribute values as
+ * needed. All methods throw an `Error` if they would produce XML that is not
+ * well-formed, like invalid names, unbalanced elements, or comments
+ * containing "--".
+ *
+ * @example <caption>Dropping all comments from a document</caption>
+ * const tsax = tSax(xmlString);
+ * const writer = xmlWriter();
+ * for (let event = tsax.next(); event !== "eof"; event = tsax.next()) {
+ *   if (event === "error") {
+ *     throw new Error(tsax.error());
+ *   }
+ *   if (event !== "comment") {
+ *     writer.copyEvent(tsax);
+ *   }
+ * }
+ * console.log(writer.toString());
+ *
+ * @param {WriterOptions} [options]
+ * @returns {XmlWriter}
+ */
+function xmlWriter(options = {}) {
+  const indent = options.indent;
+  /** @type {string[]} */
+  const chunks = [];
+  const output = options.output || ((chunk) => chunks.push(chunk));
+  /**
+   * The open elements. `mixed` is set once the element contains text, so we
+   * must not add indentation to it.
+   * @type {{tagName: string, hasChildren: boolean, mixed: boolean}[]}
+   */
+  const openElements = [];
+  /** Names of the attributes of the current start tag if it's still open */
+  /** @type {string[]|undefined} */
+  let startTagAttributes = undefined;
+  let rootElementWritten = false;
+  let anythingWritten = false;
+
+  /**
+   * @param {string} name
+   * @param {string} what
+   */
+  function checkName(name, what) {
+    if (!nameRegExp.test(name)) {
+      throw new Error(`Invalid ${what} name "${name}"`);
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @param {string} what
+   */
+  function checkChars(text, what) {
+    if (invalidCharRegExp.test(text) || loneSurrogateRegExp.test(text)) {
+      throw new Error(`Invalid character in ${what}`);
+    }
+  }
+
+  /**
+   * Closes the current start tag if it's still open and writes indentation
+   * before a node.
+   * @param {boolean} isText
+   */
+  function startNode(isText) {
+    if (startTagAttributes) {
+      output(">");
+      startTagAttributes = undefined;
+    }
+    const parent = openElements[openElements.length - 1];
+    if (parent) {
+      parent.hasChildren = true;
+      parent.mixed = parent.mixed || isText;
+    }
+    if (indent !== undefined && !isText && anythingWritten && !(parent && parent.mixed)) {
+      output("\n" + new Array(openElements.length + 1).join(indent));
+    }
+    anythingWritten = true;
+  }
+
+  return {
     /**
-     * @returns  Error message. `undefined` unless the current event is an error
-     * event.
+     * Writes a start tag. Attributes can be added using `attribute()` until
+     * any content is written.
+     * @param {string} tagName
      */
-    error: function () {
-      return error;
+    startElement: function (tagName) {
+      checkName(tagName, "tag");
+      if (openElements.length === 0) {
+        if (rootElementWritten) {
+          throw new Error(`Multiple root elements, found <${tagName}>`);
+        }
+        rootElementWritten = true;
+      }
+      startNode(false);
+      output("<" + tagName);
+      openElements.push({tagName: tagName, hasChildren: false, mixed: false});
+      startTagAttributes = [];
+      return this;
+    },
+
+    /**
+     * Adds an attribute to the start tag that was just written.
+     * @param {string} name
+     * @param {string} value  The unescaped value
+     */
+    attribute: function (name, value) {
+      if (!startTagAttributes) {
+        throw new Error(`Attribute "${name}" must directly follow a start tag`);
+      }
+      checkName(name, "attribute");
+      if (startTagAttributes.indexOf(name) >= 0) {
+        throw new Error(`Duplicate attribute "${name}"`);
+      }
+      checkChars(value, "attribute value");
+      startTagAttributes.push(name);
+      output(` ${name}="${value.replace(/[&<"\t\n\r]/g, escapeChar)}"`);
+      return this;
+    },
+
+    /**
+     * @param {string} text  The unescaped text
+     */
+    text: function (text) {
+      if (openElements.length === 0 && !whitespaceRegExp.test(text)) {
+        throw new Error("Text outside of root element");
+      }
+      checkChars(text, "text");
+      startNode(true);
+      output(text.replace(/[&<>\r]/g, escapeChar));
+      return this;
+    },
+
+    /**
+     * @param {string} text  The unescaped text. Occurrences of "]]>" are split
+     * across two CDATA sections.
+     */
+    cdata: function (text) {
+      if (openElements.length === 0) {
+        throw new Error("CDATA section outside of root element");
+      }
+      checkChars(text, "CDATA section");
+      startNode(true);
+      output("<![CDATA[" + text.split("]]>").join("]]]]><![CDATA[>") + "]]>");
+      return this;
+    },
+
+    /**
+     * @param {string} text
+     */
+    comment: function (text) {
+      if ((text + "-").indexOf("--") >= 0) {
+        throw new Error("'--' not allowed in comments");
+      }
+      checkChars(text, "comment");
+      startNode(false);
+      output("<!--" + text + "-->");
+      return this;
+    },
+
+    /**
+     * @param {string} target
+     * @param {string} [data]
+     */
+    pi: function (target, data) {
+      checkName(target, "processing instruction target");
+      if (target.toLowerCase() === "xml" && anythingWritten) {
+        throw new Error("The XML declaration must be at the start of the document");
+      }
+      if (data && data.indexOf("?>") >= 0) {
+        throw new Error("'?>' not allowed in processing instructions");
+      }
+      checkChars(data || "", "processing instruction");
+      startNode(false);
+      output("<?" + target + (data ? " " + data : "") + "?>");
+      return this;
+    },
+
+    /**
+     * Closes the current element. If it has no content, it's written as a
+     * self closing tag.
+     * @param {string} [tagName]  If given, it's checked that this is the name
+     * of the current element.
+     */
+    endElement: function (tagName) {
+      const element = openElements[openElements.length - 1];
+      if (!element) {
+        throw new Error(`Unexpected end tag </${tagName || ""}>`);
+      }
+      if (tagName !== undefined && tagName !== element.tagName) {
+        throw new Error(`Expected end tag </${element.tagName}>, found </${tagName}>`);
+      }
+      if (startTagAttributes) {
+        output("/>");
+        startTagAttributes = undefined;
+        openElements.pop();
+        return this;
+      }
+      openElements.pop();
+      if (indent !== undefined && element.hasChildren && !element.mixed) {
+        output("\n" + new Array(openElements.length + 1).join(indent));
+      }
+      output("</" + element.tagName + ">");
+      return this;
+    },
+
+    /**
+     * @param {string} name  Name of the root element
+     * @param {DoctypeOptions} [options]  The internal subset is written
+     * verbatim.
+     */
+    doctype: function (name, options = {}) {
+      checkName(name, "doctype");
+      if (rootElementWritten) {
+        throw new Error("Misplaced doctype declaration");
+      }
+      const {publicId, systemId, internalSubset} = options;
+      if (publicId !== undefined && systemId === undefined) {
+        throw new Error("A public ID requires a system ID");
+      }
+      /**
+       * @param {string} literal
+       */
+      function quote(literal) {
+        checkChars(literal, "doctype");
+        if (literal.indexOf('"') < 0) {
+          return `"${literal}"`;
+        }
+        if (literal.indexOf("'") < 0) {
+          return `'${literal}'`;
+        }
+        throw new Error(`Can not quote ID containing both " and ': ${literal}`);
+      }
+      let doctype = "<!DOCTYPE " + name;
+      if (publicId !== undefined) {
+        doctype += " PUBLIC " + quote(publicId);
+      } else if (systemId !== undefined) {
+        doctype += " SYSTEM";
+      }
+      if (systemId !== undefined) {
+        doctype += " " + quote(systemId);
+      }
+      if (internalSubset !== undefined) {
+        doctype += " [" + internalSubset + "]";
+      }
+      startNode(false);
+      output(doctype + ">");
+      return this;
+    },
+
+    /**
+     * Writes the current event of a parser, e.g. to pass through events in
+     * read-filter-write pipelines. Events without content, like `"eof"`, are
+     * ignored.
+     * @param {TSax} tsax
+     */
+    copyEvent: function (tsax) {
+      /**
+       * @template T
+       * @param {T | undefined | "error"} value
+       * @returns {T}
+       */
+      function check(value) {
+        if (value === undefined || value === "error") {
+          throw new Error(tsax.error());
+        }
+        return value;
+      }
+
+      const event = tsax.eventType();
+      switch (event) {
+        case "singleTag":
+        case "startTag": {
+          this.startElement(check(tsax.tagName()));
+          const attributes = check(tsax.attributes());
+          for (const name in attributes) {
+            this.attribute(name, attributes[name]);
+          }
+          if (event === "singleTag") {
+            this.endElement();
+          }
+          break;
+        }
+        case "endTag":
+          this.endElement(tsax.tagName());
+          break;
+        case "text":
+          this.text(check(tsax.text()));
+          break;
+        case "cdata":
+          this.cdata(check(tsax.text()));
+          break;
+        case "comment":
+          this.comment(check(tsax.text()));
+          break;
+        case "processingInstruction":
+          this.pi(check(tsax.piTarget()), check(tsax.text()).replace(/^[ \t\r\n]+/, ""));
+          break;
+        case "xmlDeclaration": {
+          const encoding = tsax.encoding();
+          const standalone = tsax.standalone();
+          this.pi(
+            "xml",
+            `version="${tsax.version()}"` +
+              (encoding ? ` encoding="${encoding}"` : "") +
+              (standalone === undefined ? "" : ` standalone="${standalone ? "yes" : "no"}"`)
+          );
+          break;
+        }
+        case "doctype": {
+          const match = doctypeTextRegExp.exec(check(tsax.text()));
+          if (!match) {
+            throw new Error("Malformed doctype declaration");
+          }
+          const [, publicDouble, publicSingle, systemDouble, systemSingle, internalSubset] = match;
+          this.doctype(check(tsax.tagName()), {
+            publicId: publicDouble !== undefined ? publicDouble : publicSingle,
+            systemId: systemDouble !== undefined ? systemDouble : systemSingle,
+            internalSubset: internalSubset,
+          });
+          break;
+        }
+      }
+      return this;
+    },
+
+    /**
+     * @returns {string}  Everything written so far, unless the `output` option
+     * was set.
+     */
+    toString: function () {
+      return chunks.join("");
+    },
+  };
+}
+
+/**
+ * @typedef {{
+ *  replace: (range: Range | undefined, markup: string) => XmlPatch;
+ *  replaceText: (range: Range | undefined, text: string) => XmlPatch;
+ *  insert: (offset: number, markup: string) => XmlPatch;
+ *  remove: (range: Range | undefined) => XmlPatch;
+ *  toString: () => string;
+ *}}
+ * XmlPatch
+ */
+
+/**
+ * Creates a patch for `source` that collects edits at ranges as obtained
+ * from the parser's `rawRange()`. The patched document is only assembled by
+ * `toString()`, leaving everything outside of the edited ranges untouched.
+ * All methods throw an `Error` for ranges that are outside of `source` or
+ * that overlap previously recorded ones. Insertions at the same offset are
+ * applied in the order they were recorded.
+ *
+ * @example <caption>Changing a single attribute value</caption>
+ * const tsax = tSax(xmlString);
+ * const patch = xmlPatch(xmlString);
+ * for (let event = tsax.next(); event !== "eof"; event = tsax.next()) {
+ *   if (event === "error") {
+ *     throw new Error(tsax.error());
+ *   }
+ *   if (event === "startTag" && tsax.attribute("xml:id") === "m512") {
+ *     patch.replaceText(tsax.rawRange("n"), "512a");
+ *     break;
+ *   }
+ * }
+ * console.log(patch.toString());
+ *
+ * @param {string} source  The complete input the ranges refer to. For binary
+ * input, that's the decoded input without byte order mark.
+ * @returns {XmlPatch}
+ */
+function xmlPatch(source) {
+  /** @type {{start: number; end: number; markup: string}[]} */
+  const edits = [];
+
+  /**
+   * @param {number} start
+   * @param {number} end
+   * @param {string} markup
+   * @returns {XmlPatch}
+   */
+  function addEdit(start, end, markup) {
+    if (!(start >= 0 && start <= end && end <= source.length)) {
+      throw new Error(`Invalid range ${start}-${end}`);
+    }
+    for (const edit of edits) {
+      if (start < edit.end && end > edit.start) {
+        throw new Error(`Range ${start}-${end} overlaps edit at ${edit.start}-${edit.end}`);
+      }
+    }
+    edits.push({start: start, end: end, markup: markup});
+    return patch;
+  }
+
+  /** @type {XmlPatch} */
+  const patch = {
+    /**
+     * Replaces a range by markup, which is inserted as is.
+     * @param {Range | undefined} range
+     * @param {string} markup
+     */
+    replace: function (range, markup) {
+      if (!range) {
+        throw new Error("No range to replace");
+      }
+      return addEdit(range.start, range.end, markup);
+    },
+
+    /**
+     * Replaces a range by text, escaping it so that it's suitable for text
+     * content and attribute values, no matter how they are quoted.
+     * @param {Range | undefined} range
+     * @param {string} text
+     */
+    replaceText: function (range, text) {
+      return this.replace(
+        range,
+        text.replace(/[&<>"\t\n\r]/g, escapeChar).replace(/'/g, "&apos;")
+      );
+    },
+
+    /**
+     * @param {number} offset
+     * @param {string} markup  Inserted as is
+     */
+    insert: function (offset, markup) {
+      return addEdit(offset, offset, markup);
+    },
+
+    /**
+     * @param {Range | undefined} range
+     */
+    remove: function (range) {
+      return this.replace(range, "");
+    },
+
+    /**
+     * @returns {string}  The patched document
+     */
+    toString: function () {
+      // Array.prototype.sort() is stable, so insertions at the same offset
+      // keep their order
+      const sorted = edits.slice().sort((a, b) => a.start - b.start || a.end - b.end);
+      /** @type {string[]} */
+      const chunks = [];
+      let offset = 0;
+      for (const edit of sorted) {
+        chunks.push(source.substring(offset, edit.start), edit.markup);
+        offset = edit.end;
+      }
+      chunks.push(source.substring(offset));
+      return chunks.join("");
+    },
+  };
+  return patch;
+}
+
+/**
+ * @typedef {object} SaxOptions  The subset of sax-js options that is
+ * supported.
+ * @property {boolean} [trim]  If `true`, whitespace is trimmed from text.
+ * @property {boolean} [normalize]  If `true`, whitespace in text is collapsed
+ * to single spaces.
+ * @property {boolean} [lowercase]  If `true`, tag and attribute names are
+ * lower cased instead of upper cased in non-strict mode.
+ * @property {boolean} [xmlns]  If `true`, namespaces are resolved and tags and
+ * attributes are reported with their prefix, local name and namespace URI.
+ */
+
+/** @typedef {{name: string; value: string}} SaxAttribute */
+
+/**
+ * @typedef {{
+ *  name: string;
+ *  value: string;
+ *  prefix: string;
+ *  local: string;
+ *  uri: string;
+ *}}
+ * SaxQualifiedAttribute
+ */
+
+/**
+ * @typedef {{
+ *  name: string;
+ *  attributes: {[name: string]: string};
+ *  isSelfClosing: boolean;
+ *}}
+ * SaxTag
+ */
+
+/**
+ * @typedef {{
+ *  name: string;
+ *  prefix: string;
+ *  local: string;
+ *  uri: string;
+ *  ns: {[prefix: string]: string};
+ *  attributes: {[name: string]: SaxQualifiedAttribute};
+ *  isSelfClosing: boolean;
+ *}}
+ * SaxQualifiedTag  `ns` maps prefixes to namespace URIs. Only the namespaces
+ * declared on this tag are own properties, the inherited ones are found on
+ * the prototype chain.
+ */
+
+/** @typedef {{prefix: string; uri: string}} SaxNamespace */
+
+/**
+ * @typedef {{
+ *  onready?: () => void;
+ *  onend?: () => void;
+ *  onerror?: (error: Error) => void;
+ *  ontext?: (text: string) => void;
+ *  ondoctype?: (doctype: string) => void;
+ *  onprocessinginstruction?: (pi: {name: string; body: string}) => void;
+ *  oncomment?: (comment: string) => void;
+ *  onopencdata?: () => void;
+ *  oncdata?: (cdata: string) => void;
+ *  onclosecdata?: () => void;
+ *  onopentagstart?: (tag: SaxTag | SaxQualifiedTag) => void;
+ *  onattribute?: (attribute: SaxAttribute | SaxQualifiedAttribute) => void;
+ *  onopentag?: (tag: SaxTag | SaxQualifiedTag) => void;
+ *  onclosetag?: (tagName: string) => void;
+ *  onopennamespace?: (namespace: SaxNamespace) => void;
+ *  onclosenamespace?: (namespace: SaxNamespace) => void;
+ *}}
+ * SaxHandlers
+ */
+
+/**
+ * @typedef {SaxHandlers & {
+ *  error: Error | null;
+ *  line: number;
+ *  column: number;
+ *  position: number;
+ *  startTagPosition: number;
+ *  write: (chunk: string | null) => SaxParser;
+ *  close: () => SaxParser;
+ *  resume: () => SaxParser;
+ *}}
+ * SaxParser  `line` and `column` are 0-based like in sax-js.
+ */
+
+/**
+ * Creates a parser with the callback interface of sax-js's `sax.parser()`.
+ * Handlers are assigned as properties of the returned object and receive the
+ * same payloads as with sax-js, so code written for sax-js can switch parsers
+ * by only replacing the constructor call.
+ *
+ * Input is passed to `write()` and the document is finished by `close()`,
+ * after which `onend` and `onready` are called and the parser can be reused
+ * for a new document. If an error occurs, `onerror` is called and `error`
+ * is set. Unless `resume()` is called, the next call of `write()` or
+ * `close()` throws the error.
+ *
+ * In non-strict mode, tag and attribute names are upper cased, unless the
+ * `lowercase` option is set. Like with sax-js, an end tag closes the elements
+ * that are still open inside the element it matches. Unlike sax-js, end tags
+ * that don't match any open element are ignored instead of being reported as
+ * text, and `line`, `column` and `position` refer to the end of the last
+ * reported event.
+ *
+ * @example
+ * const parser = saxParser(true);
+ * parser.onopentag = (tag) => console.log(tag.name, tag.attributes);
+ * parser.ontext = (text) => console.log(text);
+ * parser.write("<mei><music>").write("</music></mei>").close();
+ *
+ * @param {boolean} [strict]  If `true`, the document must be well-formed,
+ * see the `strict` option of `tSax()`.
+ * @param {SaxOptions} [options]
+ * @returns {SaxParser}
+ */
+function saxParser(strict = false, options = {}) {
+  /** @type {(name: string) => string} */
+  const looseCase = strict
+    ? (name) => name
+    : options.lowercase
+    ? (name) => name.toLowerCase()
+    : (name) => name.toUpperCase();
+  const rootNamespaces = Object.create(null);
+  rootNamespaces.xml = xmlNamespace;
+  rootNamespaces.xmlns = xmlnsNamespace;
+
+  let tsax = tSax(undefined, {strict: strict, namespaces: options.xmlns});
+  /**
+   * The namespace maps of the open elements, used for reporting closed
+   * namespaces with `xmlns`.
+   * @type {{[prefix: string]: string}[]}
+   */
+  let namespaceStack = [rootNamespaces];
+  /**
+   * The names of the open elements, as reported by `onopentag`
+   * @type {string[]}
+   */
+  let tagStack = [];
+  /** End offset of the last event, used to detect errors that repeat */
+  let lastEnd = 0;
+
+  /**
+   * @template {keyof SaxHandlers} K
+   * @param {K} name
+   * @param {Parameters<NonNullable<SaxHandlers[K]>>} args
+   */
+  function emit(name, ...args) {
+    const handler = parser[name];
+    if (handler) {
+      /** @type {Function} */ (handler).apply(parser, args);
+    }
+  }
+
+  /**
+   * @param {string} message
+   */
+  function fail(message) {
+    parser.error = new Error(message);
+    emit("onerror", parser.error);
+  }
+
+  /**
+   * @param {string} text
+   */
+  function emitText(text) {
+    if (options.trim) {
+      text = text.trim();
+    }
+    if (options.normalize) {
+      text = text.replace(/\s+/g, " ");
+    }
+    if (text) {
+      emit("ontext", text);
+    }
+  }
+
+  /**
+   * @param {boolean} isSelfClosing
+   * @returns {boolean}  `false` if the attributes are malformed
+   */
+  function openTag(isSelfClosing) {
+    const attributes = tsax.attributes();
+    if (attributes === undefined || attributes === "error") {
+      fail(tsax.error() || "Malformed attributes");
+      return false;
+    }
+    const name = looseCase(/** @type {string} */ (tsax.tagName()));
+    if (!options.xmlns) {
+      tagStack.push(name);
+      /** @type {SaxTag} */
+      const tag = {name: name, attributes: {}, isSelfClosing: isSelfClosing};
+      emit("onopentagstart", tag);
+      for (const attributeName in attributes) {
+        const attribute = {name: looseCase(attributeName), value: attributes[attributeName]};
+        tag.attributes[attribute.name] = attribute.value;
+        emit("onattribute", attribute);
+      }
+      emit("onopentag", tag);
+      return true;
+    }
+
+    const namespacedAttributes = tsax.namespacedAttributes();
+    if (namespacedAttributes === undefined || namespacedAttributes === "error") {
+      fail(tsax.error() || "Malformed attributes");
+      return false;
+    }
+    const parentNamespaces = namespaceStack[namespaceStack.length - 1];
+    let namespaces = parentNamespaces;
+    for (const attributeName in attributes) {
+      if (attributeName === "xmlns" || attributeName.substring(0, 6) === "xmlns:") {
+        if (namespaces === parentNamespaces) {
+          namespaces = Object.create(parentNamespaces);
+        }
+        namespaces[attributeName.substring(6)] = attributes[attributeName];
+      }
+    }
+    tagStack.push(name);
+    namespaceStack.push(namespaces);
+    /** @type {SaxQualifiedTag} */
+    const tag = {
+      name: name,
+      prefix: looseCase(/** @type {string} */ (tsax.prefix())),
+      local: looseCase(/** @type {string} */ (tsax.localName())),
+      uri: /** @type {string} */ (tsax.namespaceURI()),
+      ns: namespaces,
+      attributes: {},
+      isSelfClosing: isSelfClosing,
+    };
+    emit("onopentagstart", tag);
+    if (namespaces !== parentNamespaces) {
+      for (const prefix of Object.keys(namespaces)) {
+        emit("onopennamespace", {prefix: prefix, uri: namespaces[prefix]});
+      }
+    }
+    for (const attributeName in namespacedAttributes) {
+      const attribute = namespacedAttributes[attributeName];
+      /** @type {SaxQualifiedAttribute} */
+      const qualifiedAttribute = {
+        name: looseCase(attributeName),
+        value: attribute.value,
+        // Like sax-js, we report the default namespace declaration with the
+        // "xmlns" prefix and an empty local name
+        prefix: attributeName === "xmlns" ? "xmlns" : looseCase(attribute.prefix),
+        local: attributeName === "xmlns" ? "" : looseCase(attribute.localName),
+        uri: attribute.namespaceURI,
+      };
+      tag.attributes[qualifiedAttribute.name] = qualifiedAttribute;
+      emit("onattribute", qualifiedAttribute);
+    }
+    emit("onopentag", tag);
+    return true;
+  }
+
+  /**
+   * Closes the innermost open element.
+   */
+  function closeTag() {
+    emit("onclosetag", /** @type {string} */ (tagStack.pop()));
+    if (options.xmlns && namespaceStack.length > 1) {
+      const namespaces = /** @type {{[prefix: string]: string}} */ (namespaceStack.pop());
+      if (namespaces !== namespaceStack[namespaceStack.length - 1]) {
+        for (const prefix of Object.keys(namespaces)) {
+          emit("onclosenamespace", {prefix: prefix, uri: namespaces[prefix]});
+        }
+      }
+    }
+  }
+
+  /**
+   * Dispatches all events that are available with the input written so far.
+   * @returns {boolean}  `true` if the end of the document was reached, either
+   * regularly or by an error that can't be recovered from.
+   */
+  function parse() {
+    while (!parser.error) {
+      const event = tsax.next();
+      if (event === "needMoreInput") {
+        return false;
+      }
+      const end = tsax.position().end;
+      parser.line = end.line - 1;
+      parser.column = end.column - 1;
+      parser.position = end.offset;
+      switch (event) {
+        case "eof":
+          return true;
+        case "error": {
+          const stuck = end.offset <= lastEnd;
+          fail(/** @type {string} */ (tsax.error()));
+          if (stuck) {
+            // The parser reports this error again and again, e.g. when there
+            // are unclosed elements at the end of the document
+            return true;
+          }
+          break;
+        }
+        case "startTag":
+        case "singleTag":
+          parser.startTagPosition = tsax.position().start.offset + 1;
+          if (openTag(event === "singleTag") && event === "singleTag") {
+            closeTag();
+          }
+          break;
+        case "endTag": {
+          // Only in non-strict mode, the element might not be the innermost one
+          const index = tagStack.lastIndexOf(looseCase(/** @type {string} */ (tsax.tagName())));
+          while (index >= 0 && tagStack.length > index) {
+            closeTag();
+          }
+          break;
+        }
+        case "text": {
+          const text = tsax.text();
+          if (text === undefined) {
+            fail(/** @type {string} */ (tsax.error()));
+          } else if (tagStack.length > 0 || !whitespaceRegExp.test(text)) {
+            emitText(text);
+          }
+          break;
+        }
+        case "cdata":
+          emit("onopencdata");
+          emit("oncdata", /** @type {string} */ (tsax.text()));
+          emit("onclosecdata");
+          break;
+        case "comment":
+          emit("oncomment", /** @type {string} */ (tsax.text()));
+          break;
+        case "processingInstruction":
+        case "xmlDeclaration":
+          emit("onprocessinginstruction", {
+            // sax-js reports the XML declaration as a processing instruction
+            name: event === "xmlDeclaration" ? "xml" : /** @type {string} */ (tsax.piTarget()),
+            body: /** @type {string} */ (tsax.text()).replace(/^[ \t\r\n]+/, ""),
+          });
+          break;
+        case "doctype":
+          emit("ondoctype", " " + tsax.tagName() + tsax.text());
+          break;
+      }
+      lastEnd = end.offset;
+    }
+    return false;
+  }
+
+  /** @type {SaxParser} */
+  const parser = {
+    error: null,
+    line: 0,
+    column: 0,
+    position: 0,
+    startTagPosition: 0,
+
+    /**
+     * @param {string | null} chunk  The next chunk of the document. `null`
+     * finishes the document like `close()`.
+     */
+    write: function (chunk) {
+      if (parser.error) {
+        throw parser.error;
+      }
+      if (chunk === null) {
+        return parser.close();
+      }
+      tsax.write(chunk);
+      parse();
+      return parser;
+    },
+
+    close: function () {
+      if (parser.error) {
+        throw parser.error;
+      }
+      tsax.end();
+      if (!parse() || parser.error) {
+        return parser;
+      }
+      emit("onend");
+      tsax = tSax(undefined, {strict: strict, namespaces: options.xmlns});
+      namespaceStack = [rootNamespaces];
+      tagStack = [];
+      lastEnd = 0;
+      parser.line = parser.column = parser.position = parser.startTagPosition = 0;
+      emit("onready");
+      return parser;
+    },
+
+    /**
+     * Clears the error so that parsing continues. May be called from the
+     * `onerror` handler.
+     */
+    resume: function () {
+      parser.error = null;
+      return parser;
     },
   };
+  return parser;
 }
 
 try {
   module.exports.tSax = tSax;
+  module.exports.buildTree = buildTree;
+  module.exports.compilePath = compilePath;
+  module.exports.pathQuery = pathQuery;
+  module.exports.buildIndex = buildIndex;
+  module.exports.loadIndex = loadIndex;
+  module.exports.xmlReader = xmlReader;
+  module.exports.mapElements = mapElements;
+  module.exports.xmlWriter = xmlWriter;
+  module.exports.xmlPatch = xmlPatch;
+  module.exports.saxParser = saxParser;
+  module.exports.streamEvents = streamEvents;
 } catch (e) {}
@@ -1 +1 @@
-const openBracketCC="<".charCodeAt(0),closeBracketCC=">".charCodeAt(0),minusCC="-".charCodeAt(0),slashCC="/".charCodeAt(0),exclamationCC="!".charCodeAt(0),questionCC="?".charCodeAt(0),openCornerBracketCC="[".charCodeAt(0),letterDCC="D".charCodeAt(0),letterxCC="x".charCodeAt(0),spaceCC=" ".charCodeAt(0),nameEndChars=charCodeMap(" \t\n\r/>?["),quoteChars=charCodeMap(`"'`),attributeNameEndChars=charCodeMap("=>");function charCodeMap(t){var e=[];for(const r of t.split(""))e[r.charCodeAt(0)]=!0;return e}function tSax(i){let c=0,r=-1,s=-1,C=-1,u=-1,a=-1,t=-1,d=!1,n=!1,o=void 0;const f={},h={},l={lt:"<",gt:">",amp:"&",quot:'"',apos:"'"};function g(t,e){return o=e+(" at "+function(t){let e=0,r=0,n=0;for(;0<r&&r<t;)n=r,r=i.indexOf("\n",r),e+=1;return e+1+":"+(t-n+1)}(t)),"error"}function p(t,e){return g(t,"Unexpected end of file while scanning for "+e)}function x(t,e,r,n){return u=c+e,a=i.indexOf(n,u),c=a+r,0<a?t:p(u,n)}function m(){return r=c+2,c+=3,t=A(nameEndChars),(C=i.indexOf("?>",t))<0?p(r,"'?>'"):(u=t+1,a=C>=u?C:u,c=C+2,"processingInstruction")}function A(t){for(;!t[i.charCodeAt(c)]&&c<i.length;)c+=1;return c}function b(t){let e=t?t.indexOf("&"):-1;if(!t||e<0)return t;let r=-1,n="";for(;0<=e;){n+=t.substring(r+1,e),(r=t.indexOf(";",e+2))<0&&g(u+e+2,"Missing semicolon");var a=t.substring(e+1,r),o=l[a]||function(t){var e=t.charCodeAt(1)===letterxCC?parseInt(t.substring(2),16):parseInt(t.substring(1),10);if(!isNaN(e))return e=String.fromCharCode(e),l[t]=e}(a);if(!o)return void g(u+r,`Unresolveable entity "${a}"`);n+=o,e=t.indexOf("&",r+1)}return n+t.substring(r+1)}return{next:function(){if(s=-1,a=-1,t=-1,d=!1,n=!1,i.charCodeAt(c)!==openBracketCC)return n=!0,"error"===x("text",0,0,"<")?"eof":"text";switch(i.charCodeAt(c+1)){case slashCC:if(r=c+2,(s=i.indexOf(">",c))<0)return p(r,"'>'");for(c=s+1;i.charCodeAt(s-1)<=spaceCC;)--s;return"endTag";case questionCC:return m();case exclamationCC:switch(i.charCodeAt(c+2)){case minusCC:return x("comment",4,3,"--\x3e");case openCornerBracketCC:return x("cdata",9,3,"]]>");case letterDCC:{r=c+10,c+=11,s=A(nameEndChars);let t=1;do{switch(i[c]){case"<":var e;"?"===i[c+1]?(e=[r,s],m(),[r,s]=e):t+=1;break;case">":--t}}while(c+=1,0<t&&c<i.length);return u=s,a=c-1,0===t?"doctype":p(u,"doctype end");return}default:return g(c,"Unexpected character sequence "+i.substring(c,c+3))}}return n=!0,r=c+1,c+=2,s=A(nameEndChars),(C=i.indexOf(">",s))<0?p(r,"'>'"):(c=C+1,d=!0,i.charCodeAt(C-1)===slashCC?"singleTag":"startTag")},tagName:function(){return 0<s?i.substring(r,s):void 0},localName:function(){var t,e=this.tagName();return e&&(f[e]||(t=(e=e).split(":").pop()||"",f[e]=t))},prefix:function(){var t,e=this.tagName();return e&&(h[e]||(t=1===(t=(e=e).split(":")).length?"":t[0],h[e]=t))},piTarget:function(){return 0<t?i.substring(r,t):void 0},text:function(t){var e;if(!(a<0))return e=i.substring(u,a),t||!n?e:b(e)},attributes:function(t){if(d){var e={};if(C-s<5)return e;for(c=s;;){var r=c+1;if(i.charCodeAt(A(attributeNameEndChars))===closeBracketCC)return c+=1,e;var n=i.substring(r,c).trim(),a=A(quoteChars)+1,o=i[a-1],o=i.indexOf(o,a);if(c>=i.length)return p(r,"attribute delimiters");r=i.substring(a,o);if(t)e[n]=r;else{a=b(r);if(void 0===a)return;e[n]=a}c=o+1}}},error:function(){return o}}}try{module.exports.tSax=tSax}catch(t){}
+const openBracketCC="<".charCodeAt(0),closeBracketCC=">".charCodeAt(0),minusCC="-".charCodeAt(0),slashCC="/".charCodeAt(0),exclamationCC="!".charCodeAt(0),questionCC="?".charCodeAt(0),openCornerBracketCC="[".charCodeAt(0),closeCornerBracketCC="]".charCodeAt(0),percentCC="%".charCodeAt(0),hashCC="#".charCodeAt(0),byteOrderMarkCC=65279,letterDCC="D".charCodeAt(0),letterxCC="x".charCodeAt(0),spaceCC=" ".charCodeAt(0),equalsCC="=".charCodeAt(0),nameEndChars=charCodeMap(" \t\n\r/>?["),quoteChars=charCodeMap(`"'`),attributeNameEndChars=charCodeMap("=>"),htmlAttributeNameEndChars=charCodeMap(" \t\n\f\r/=>"),whitespaceRegExp=/^[ \t\r\n]*$/,invalidCharRegExp=/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/,loneSurrogateRegExp=/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/,charReferenceRegExp=/^#(?:[0-9]+|x[0-9a-fA-F]+)$/,nameRegExp=/^[:A-Z_a-z\xC0-\xD6\xD8-\xF6\xF8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}][:A-Z_a-z\xC0-\xD6\xD8-\xF6\xF8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\u{10000}-\u{EFFFF}\-.0-9\xB7\u0300-\u036F\u203F\u2040]*$/u,entityDeclarationRegExp=/<!ENTITY[ \t\r\n]+(%[ \t\r\n]+)?([^ \t\r\n]+)[ \t\r\n]+(?:"([^"]*)"|'([^']*)'|((?:SYSTEM|PUBLIC)(?:[^>"']|"[^"]*"|'[^']*')*))[ \t\r\n]*>/y,pendingAttributeRegExp=/[ \t\r\n/]*([^ \t\r\n/=>]+)[ \t\r\n]*(?:=[ \t\r\n]*("[^"]*"?|'[^']*'?|[^ \t\r\n>]*))?/y,markupDeclarationRegExp=/<!(?:[^>"']|"[^"]*"|'[^']*')*>/y,xmlDeclarationRegExp=/^[ \t\r\n]+version[ \t\r\n]*=[ \t\r\n]*(["'])(1\.[0-9]+)\1(?:[ \t\r\n]+encoding[ \t\r\n]*=[ \t\r\n]*(["'])([A-Za-z][A-Za-z0-9._-]*)\3)?(?:[ \t\r\n]+standalone[ \t\r\n]*=[ \t\r\n]*(["'])(yes|no)\5)?[ \t\r\n]*$/,encodingDeclarationRegExp=/^<\?xml[ \t\r\n](?:[^?]|\?(?!>))*?encoding[ \t\r\n]*=[ \t\r\n]*(?:"([^"]*)"|'([^']*)')/,maxDeclarationLength=512,windows1252Chars="€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ",xmlNamespace="http://www.w3.org/XML/1998/namespace",xmlnsNamespace="http://www.w3.org/2000/xmlns/",htmlVoidElements=wordSet("area base br col embed hr img input link meta param source track wbr"),htmlRawTextElements=wordSet("script style"),htmlImpliedEndTags={p:wordSet("address article aside blockquote dd details dialog div dl dt fieldset figcaption figure footer form h1 h2 h3 h4 h5 h6 header hgroup hr li main menu nav ol p pre section table ul"),li:wordSet("li"),dt:wordSet("dt dd"),dd:wordSet("dt dd"),option:wordSet("option optgroup"),optgroup:wordSet("optgroup"),tr:wordSet("tr tbody tfoot"),td:wordSet("td th tr tbody tfoot"),th:wordSet("td th tr tbody tfoot"),thead:wordSet("tbody tfoot"),tbody:wordSet("tbody tfoot")},htmlMarkupStartRegExp=/[A-Za-z/!?]/,htmlReferenceRegExp=/&(?:#([0-9]+);?|#[xX]([0-9a-fA-F]+);?|([A-Za-z][A-Za-z0-9]*);)/g,htmlEntityList="AElig:c6,Aacute:c1,Acirc:c2,Agrave:c0,Alpha:391,Aring:c5,Atilde:c3,Auml:c4,Beta:392,Ccedil:c7,Chi:3a7,Dagger:2021,Delta:394,ETH:d0,Eacute:c9,Ecirc:ca,Egrave:c8,Epsilon:395,Eta:397,Euml:cb,Gamma:393,Iacute:cd,Icirc:ce,Igrave:cc,Iota:399,Iuml:cf,Kappa:39a,Lambda:39b,Mu:39c,Ntilde:d1,Nu:39d,OElig:152,Oacute:d3,Ocirc:d4,Ograve:d2,Omega:3a9,Omicron:39f,Oslash:d8,Otilde:d5,Ouml:d6,Phi:3a6,Pi:3a0,Prime:2033,Psi:3a8,Rho:3a1,Scaron:160,Sigma:3a3,THORN:de,Tau:3a4,Theta:398,Uacute:da,Ucirc:db,Ugrave:d9,Upsilon:3a5,Uuml:dc,Xi:39e,Yacute:dd,Yuml:178,Zeta:396,aacute:e1,acirc:e2,acute:b4,aelig:e6,agrave:e0,alefsym:2135,alpha:3b1,amp:26,and:2227,ang:2220,aring:e5,asymp:2248,atilde:e3,auml:e4,bdquo:201e,beta:3b2,brvbar:a6,bull:2022,cap:2229,ccedil:e7,cedil:b8,cent:a2,chi:3c7,circ:2c6,clubs:2663,cong:2245,copy:a9,crarr:21b5,cup:222a,curren:a4,dArr:21d3,dagger:2020,darr:2193,deg:b0,delta:3b4,diams:2666,divide:f7,eacute:e9,ecirc:ea,egrave:e8,empty:2205,emsp:2003,ensp:2002,epsilon:3b5,equiv:2261,eta:3b7,eth:f0,euml:eb,euro:20ac,exist:2203,fnof:192,forall:2200,frac12:bd,frac14:bc,frac34:be,frasl:2044,gamma:3b3,ge:2265,gt:3e,hArr:21d4,harr:2194,hearts:2665,hellip:2026,iacute:ed,icirc:ee,iexcl:a1,igrave:ec,image:2111,infin:221e,int:222b,iota:3b9,iquest:bf,isin:2208,iuml:ef,kappa:3ba,lArr:21d0,lambda:3bb,lang:2329,laquo:ab,larr:2190,lceil:2308,ldquo:201c,le:2264,lfloor:230a,lowast:2217,loz:25ca,lrm:200e,lsaquo:2039,lsquo:2018,lt:3c,macr:af,mdash:2014,micro:b5,middot:b7,minus:2212,mu:3bc,nabla:2207,nbsp:a0,ndash:2013,ne:2260,ni:220b,not:ac,notin:2209,nsub:2284,ntilde:f1,nu:3bd,oacute:f3,ocirc:f4,oelig:153,ograve:f2,oline:203e,omega:3c9,omicron:3bf,oplus:2295,or:2228,ordf:aa,ordm:ba,oslash:f8,otilde:f5,otimes:2297,ouml:f6,para:b6,part:2202,permil:2030,perp:22a5,phi:3c6,pi:3c0,piv:3d6,plusmn:b1,pound:a3,prime:2032,prod:220f,prop:221d,psi:3c8,quot:22,rArr:21d2,radic:221a,rang:232a,raquo:bb,rarr:2192,rceil:2309,rdquo:201d,real:211c,reg:ae,rfloor:230b,rho:3c1,rlm:200f,rsaquo:203a,rsquo:2019,sbquo:201a,scaron:161,sdot:22c5,sect:a7,shy:ad,sigma:3c3,sigmaf:3c2,sim:223c,spades:2660,sub:2282,sube:2286,sum:2211,sup:2283,sup1:b9,sup2:b2,sup3:b3,supe:2287,szlig:df,tau:3c4,there4:2234,theta:3b8,thetasym:3d1,thinsp:2009,thorn:fe,tilde:2dc,times:d7,trade:2122,uArr:21d1,uacute:fa,uarr:2191,ucirc:fb,ugrave:f9,uml:a8,upsih:3d2,upsilon:3c5,uuml:fc,weierp:2118,xi:3be,yacute:fd,yen:a5,yuml:ff,zeta:3b6,zwj:200d,zwnj:200c,apos:27";let htmlEntities=void 0;function charCodeMap(e){var t=[];for(const r of e.split(""))t[r.charCodeAt(0)]=!0;return t}function isXmlChar(e){return e<32?9===e||10===e||13===e:e<=55295||57344<=e&&e<=65533||65536<=e}function wordSet(e){var t=Object.create(null);for(const r of e.split(" "))t[r]=!0;return t}function identity(e){return e}function normalizeLineEnds(e){return e.indexOf("\r")<0?e:e.replace(/\r\n?/g,"\n")}function normalizeAttributeWhitespace(e){return/[\t\n\r]/.test(e)?e.replace(/\r\n|[\t\n\r]/g," "):e}function replaceWhitespace(e){return/[\t\n\r]/.test(e)?e.replace(/[\t\n\r]/g," "):e}function unescapeHtml(t,r){if(t.indexOf("&")<0)return r(t);let n="",a=0;htmlReferenceRegExp.lastIndex=0;for(var i;i=htmlReferenceRegExp.exec(t);){let e=void 0;if(i[3]){if(void 0===(e=getHtmlEntities()[i[3]]))continue}else{var o=i[1]?parseInt(i[1],10):parseInt(i[2],16);e=128<=o&&o<=159?windows1252Chars[o-128]:0===o||1114111<o||55296<=o&&o<=57343?"�":String.fromCodePoint(o)}n+=r(t.substring(a,i.index))+e,a=htmlReferenceRegExp.lastIndex}return n+r(t.substring(a))}function getHtmlEntities(){if(!htmlEntities){var e=Object.create(null);for(const n of htmlEntityList.split(",")){var[t,r]=n.split(":");e[t]=String.fromCodePoint(parseInt(r,16))}htmlEntities=e}return htmlEntities}function tSax(e,v={}){if(v.html&&v.strict)throw new Error("The html and strict options can not be combined");let b="string"==typeof e?e:"",C=void 0!==e,r=void 0===e?void 0:"string"==typeof e?"string":"binary",d=void 0,n=void 0,P=void 0,q=!1,B=void 0,z=!1,l=0,W=0,w=0,X=0,f=0,Y=0,p=0,a=1,Z=0,g=-1,h=-1,m=-1,x=-1,E=-1,y=-1,T=!1,i=-1,o=-1,s=-1,c=-1,u=-1,V=-1,H=-1,_=-1,Q=-1,J=-1,G=!1,A=void 0,K=void 0,ee=void 0,te=void 0,N=void 0,re=0;const ne=[],ae=new Set;let ie=!1;var t=Object.create(null);t.xml=xmlNamespace,t.xmlns=xmlnsNamespace,t[""]="";const O=[t];let I=0,oe="",se=0,ce=void 0,R=void 0,ue=void 0;const $=[];let de=!1;const k=[],le="keep"===v.whitespace?void 0:v.whitespace;let S=!1,fe=!1;const pe=Object.create(null),ge=Object.create(null),D=Object.create(null),he=(D.lt="<",D.gt=">",D.amp="&",D.quot='"',D.apos="'",Object.create(null)),me=Object.create(null),F=[],M=v.limits||{};let xe=0;const ve=new Set;function be(t){if(!(t<=p)){let e=b.indexOf("\n",p);for(;0<=e&&e<t;)a+=1,Z=f+e+1,e=b.indexOf("\n",e+1);p=t}}function Ce(t){let r=a,n=Z;if(t>=p){let e=b.indexOf("\n",p);for(;0<=e&&e<t;)r+=1,n=f+e+1,e=b.indexOf("\n",e+1)}else{let e=b.lastIndexOf("\n",p-1);for(;e>=t;)--r,e=0<e?b.lastIndexOf("\n",e-1):-1;r<a&&(n=f+e+1)}var e=f+t;return{offset:e,line:r,column:e-n+1}}function U(e,t){var r;return e>=w&&be(w),A=t+(" at "+(r=Ce(r=e)).line+":"+r.column),v.recover&&we(e,t),"error"}function we(e,t){var e=Ce(e),r=e.offset+" "+t;ae.has(r)||(ae.add(r),ne.push({message:t,position:e}))}function Ee(e,t){if(!q){if(!d){n&&((r=new Uint8Array(n.length+e.length)).set(n),r.set(e,n.length),e=r);var r=detectEncoding(e,t);if(!r)return void(n=e);if(n=void 0,P=r.error,!r.encoding)return void(q=!0);d="windows-1252"===r.encoding?windows1252Decoder:new TextDecoder(r.encoding,{fatal:!0,ignoreBOM:!0}),e=e.subarray(r.byteOrderMarkLength),Y=r.byteOrderMarkLength}try{b+=d.decode(e,{stream:!t})}catch(e){P="Invalid byte sequence for encoding "+d.encoding,q=!0}}}function L(e,t){return C?U(e,"Unexpected end of file while scanning for "+t):(l=w,"needMoreInput")}function ye(){g=l+10,l+=11,h=Ie(nameEndChars);let e=-1,t=-1;for(;b.charCodeAt(l)!==closeBracketCC;){var r=b.charCodeAt(l);if(quoteChars[r]?l=b.indexOf(b[l],l+1):r===openCornerBracketCC&&(e=l+1,l=function(t){for(let e=t;e<b.length;e++){var r=b.charCodeAt(e);if(r===closeCornerBracketCC)return e;if(quoteChars[r]?e=b.indexOf(b[e],e+1):r===openBracketCC&&("\x3c!--"===b.substring(e,e+4)?e=b.indexOf("--\x3e",e+4):b.charCodeAt(e+1)===questionCC&&(e=b.indexOf("?>",e+2))),e<0)return-1}return-1}(e),t=l),l<0||l>=b.length)return L(h,"doctype end");l+=1}return x=h,E=l,l+=1,0<=e&&!function e(r,n){let a=0;for(;;){for(;r.charCodeAt(a)<=spaceCC;)a+=1;if(a>=r.length)return!0;let t=-1;if("<!ENTITY"===r.substring(a,a+8)){entityDeclarationRegExp.lastIndex=a;const i=entityDeclarationRegExp.exec(r);if(!i)return U(n+a,"Malformed entity declaration"),!1;const[,o,s,c,u,d]=i;let e=null;if(!d&&void 0===(e=Te(void 0===c?u:c,n+a)))return!1;const l=o?me:he;s in l||s in D||(l[s]=e),t=entityDeclarationRegExp.lastIndex}else if("\x3c!--"===r.substring(a,a+4))t=r.indexOf("--\x3e",a+4)+3;else if("<?"===r.substring(a,a+2))t=r.indexOf("?>",a+2)+2;else if("<!"===r.substring(a,a+2))markupDeclarationRegExp.lastIndex=a,t=markupDeclarationRegExp.test(r)?markupDeclarationRegExp.lastIndex:-1;else if(r.charCodeAt(a)===percentCC){const f=r.indexOf(";",a),p=r.substring(a+1,f),g=me[p];if(f<0||void 0===g)return U(n+a,`Unresolveable parameter entity "${p}"`),!1;if(null===g)return!0;if(0<=F.indexOf("%"+p))return U(n+a,`Recursive reference to parameter entity "${p}"`),!1;F.push("%"+p);const h=e(g,n+a);if(F.pop(),!h)return!1;t=f+1}if(t<a)return U(n+a,"Malformed doctype internal subset"),!1;a=t}}(b.substring(e,t),e)?"error":"doctype"}function Te(e,n){let a=void 0;e=normalizeLineEnds(e).replace(/%([^;%\s]+);|&(#[^;]+);/g,function(e,t,r){r=t?me[t]:$e(r,n);return"string"!=typeof r?(a=a||e,""):(t&&(xe+=r.length),r)});if(a)U(n,`Unresolveable reference ${a} in entity value`);else{if(!(xe>(M.maxEntityExpansion||1/0)))return e;ke(n)}}function Ae(e,t,r,n){return x=l+t,(E=b.indexOf(n,x))<0?L(x,n):(l=E+r,e)}function Ne(){if(g=l+2,(h=b.indexOf(">",l))<0)return L(g,"'>'");for(l=h+1;b.charCodeAt(h-1)<=spaceCC;)--h;return"endTag"}function Oe(){return g=l+2,l+=3,y=Ie(nameEndChars),(m=b.indexOf("?>",y))<0?L(g,"'?>'"):(x=y+1,E=m>=x?m:x,l=m+2,y-g==3&&b.startsWith("xml",g)?(e=xmlDeclarationRegExp.exec(b.substring(y,m)),y=-1,f+w===W?e?(K=e[2],ee=e[4],te=void 0===e[6]?void 0:"yes"===e[6],"xmlDeclaration"):U(w,"Malformed XML declaration"):U(w,"XML declaration only allowed at the start of the document")):"processingInstruction");var e}function Ie(e){for(;!e[b.charCodeAt(l)]&&l<b.length;)l+=1;return l}function Re(t){for(let e=t;e<b.length;e++){var r=b.charCodeAt(e);if(r===closeBracketCC)return e;if(quoteChars[r]&&(e=b.indexOf(b[e],e+1))<0)return-1}return-1}function $e(e,t){var r;if(e.charCodeAt(0)!==hashCC)return n=e,a=t,"string"!=typeof(r=he[n])?void U(a,`Unresolveable entity "${n}"`):0<=F.indexOf(n)?void U(a,`Recursive reference to entity "${n}"`):(F.push(n),r=Se(r,a),F.pop(),void 0!==r&&(D[n]=r),r);if(v.strict&&!charReferenceRegExp.test(e))U(t,`Invalid character reference "&${e};"`);else{var n,a=e.charCodeAt(1)===letterxCC?parseInt(e.substring(2),16):parseInt(e.substring(1),10);if(isNaN(a)||1114111<a)U(t,`Unresolveable entity "${e}"`);else{if(!v.strict||isXmlChar(a))return n=65535<a?String.fromCharCode(55296+(a-65536>>10),56320+(a-65536&1023)):String.fromCharCode(a),D[e]=n;U(t,`Reference to invalid character "&${e};"`)}}}function ke(e){U(e,`Entity expansion exceeds the maximum of ${M.maxEntityExpansion} characters`)}function Se(e,t,r=identity,n=identity){if(v.html)return unescapeHtml(e,r);let a=e?e.indexOf("&"):-1;if(!e||a<0)return r(e);let i=-1,o="";for(;0<=a;){if(o+=r(e.substring(i+1,a)),(i=e.indexOf(";",a+2))<0)return void U(void 0===t?x+a+2:t,"Missing semicolon");var s=e.substring(a+1,i),c=s in D?D[s]:$e(s,void 0===t?x+i:t);if(void 0===c)return;if(void 0!==M.maxEntityExpansion&&he[s]){var u=(void 0===t?x:t)+a;if(0<F.length?xe+=c.length:ve.has(u)||(ve.add(u),xe+=c.length),xe>M.maxEntityExpansion)return void ke(void 0===t?x+a:t)}o+=s.charCodeAt(0)===hashCC?c:n(c),a=e.indexOf("&",i+1)}return o+r(e.substring(i+1))}function j(t){if(v.html){var r=t;for(l=r;l<m&&(b.charCodeAt(l)<=spaceCC||b.charCodeAt(l)===slashCC);)l+=1;if(l>=m)return l=m+1,!1;for(i=o=l,l+=1;l<m&&!htmlAttributeNameEndChars[b.charCodeAt(l)];)l+=1;for(s=c=u=l;l<m&&b.charCodeAt(l)<=spaceCC;)l+=1;if(b.charCodeAt(l)===equalsCC){for(l+=1;l<m&&b.charCodeAt(l)<=spaceCC;)l+=1;if(quoteChars[b.charCodeAt(l)])c=l+1,((u=b.indexOf(b[l],c))<0||u>m)&&(u=m);else{for(c=l;l<m&&b.charCodeAt(l)>spaceCC;)l+=1;u=l}}}else{if(t===h&&m-h<5&&!v.strict)return!1;if(l=t,i=t+1,b.charCodeAt(Ie(attributeNameEndChars))===closeBracketCC)return v.strict&&!/^[ \t\r\n]*\/?$/.test(b.substring(t,l))?je(t,`Unexpected "${b.substring(t,l).trim()}" in tag`):(l=m+1,!1);for(r=l,o=i,s=r;b.charCodeAt(o)<=spaceCC&&o<s;)o+=1;for(;b.charCodeAt(s-1)<=spaceCC&&s>o;)--s;if(c=Ie(quoteChars)+1,u=b.indexOf(b[c-1],c),l>=b.length)return je(i,"Unexpected end of file while scanning for attribute delimiters");if(v.strict){var n=b.substring(o,s),a=b.substring(c,u);let e=void 0;if(b.charCodeAt(t)>spaceCC?(t=b.substring(t,r).trim(),e=`Missing whitespace before attribute "${t}"`):nameRegExp.test(n)?whitespaceRegExp.test(b.substring(r+1,c-1))?0<=a.indexOf("<")?e=`Unescaped '<' in value of attribute "${n}"`:invalidCharRegExp.test(a)&&(e=`Invalid character in value of attribute "${n}"`):e=`Unquoted value of attribute "${n}"`:e=`Invalid attribute name "${n}"`,e)return je(i,e)}}return l=m+1,!0}function De(e,t,r){var t=b.substring(e,t),n=v.html?normalizeLineEnds:normalizeAttributeWhitespace;return r?t:Se(t,e,n,replaceWhitespace)}function Fe(t){if(T){var r={};let e=j(h);for(;!0===e;){var n=Ue(o,s);if((v.strict||v.html)&&Object.prototype.hasOwnProperty.call(r,n)){if(v.strict)return je(i,`Duplicate attribute "${n}"`)}else{var a=De(c,u,t);if(void 0===a)return"error";r[n]=a}e=j(u+1)}return"error"===e?e:r}}function Me(t,r){if(T){v.html&&(t=t.toLowerCase());let e=j(h);for(;!0===e;){var n;if(s-o===t.length&&(v.html?Ue(o,s)===t:b.startsWith(t,o)))return void 0===(n=De(c,u,r))?"error":n;e=j(u+1)}return"error"===e?e:void 0}}function Ue(e,t){e=b.substring(e,t);return v.html?e.toLowerCase():e}function Le(){return void 0!==ce?ce:0<h?Ue(g,h):void 0}function je(e,t){return l=m+1,U(e,t)}function Pe(e){var t=l,r=h,n=m,a=T;h=e.tagNameEnd-f,m=e.tagEnd-f,T=!0,e.attributes=Fe(!1)||{},l=t,h=r,m=n,T=a}function qe(e){return pe[e]||(t=(e=e).split(":").pop()||"",pe[e]=t);var t}function Be(e){var t,r=ge[e];return void 0===r?(t=1===(t=(e=e).split(":")).length?"":t[0],ge[e]=t):r}function ze(e,t){return U(e,`Undeclared namespace prefix "${t}"`)}function We(){return O[O.length-1][Be(Le())]}function Xe(r){var n=M.maxNameLength||1/0,e=M.maxTextLength||1/0;switch(r){case"singleTag":case"startTag":{if($.length>=(M.maxDepth||1/0))return U(w,"Nesting depth exceeds the maximum of "+M.maxDepth);if(h-g>n)return Ye(g);if(void 0===M.maxAttributes&&void 0===M.maxAttributeLength&&void 0===M.maxNameLength)return r;let e=0,t=j(h);for(;!0===t;){if((e+=1)>(M.maxAttributes||1/0))return je(i,"Number of attributes exceeds the maximum of "+M.maxAttributes);if(s-o>n)return l=m+1,Ye(o);if(u-c>(M.maxAttributeLength||1/0))return je(c,"Attribute value exceeds the maximum length of "+M.maxAttributeLength);t=j(u+1)}return"error"===t?t:r}case"endTag":return h-g>n?Ye(g):r;case"processingInstruction":return y-g>n?Ye(g):E-x>e?Ze(x):r;case"text":case"cdata":case"comment":return E-x>e?Ze(x):r;case"needMoreInput":var t=function(){var n=M.maxNameLength||1/0,e=M.maxTextLength||1/0;if(b.charCodeAt(w)!==openBracketCC)return b.length-w>e?Ze(w):"needMoreInput";if(b.startsWith("<![CDATA[",w))return t=w+9,b.length-t-2>e?Ze(t):"needMoreInput";{var t;if(b.startsWith("\x3c!--",w))return t=w+4,b.length-t-2>e?Ze(t):"needMoreInput"}if(b.charCodeAt(w+1)!==exclamationCC){var a=b.charCodeAt(w+1)===questionCC;const s=w+(a||b.charCodeAt(w+1)===slashCC?2:1);let r=s;for(;r<b.length&&!nameEndChars[b.charCodeAt(r)];)r++;if(r-s>n)return Ye(s);if(a)return a=r+1,b.length-a-1>e?Ze(a):"needMoreInput";if(void 0!==M.maxAttributes||void 0!==M.maxAttributeLength){let e=0,t=(pendingAttributeRegExp.lastIndex=r,pendingAttributeRegExp.exec(b));for(;t&&t[0];){const s=t.index+t[0].indexOf(t[1]);if((e+=1)>(M.maxAttributes||1/0))return i="Number of attributes exceeds the maximum of "+M.maxAttributes,U(s,i);if(t[1].length>n)return Ye(s);var i=t[2]||"",o=quoteChars[i.charCodeAt(0)]?1<i.length&&i[i.length-1]===i[0]?2:1:0;if(i.length-o>(M.maxAttributeLength||1/0))return U(pendingAttributeRegExp.lastIndex-i.length+(o&&1),"Attribute value exceeds the maximum length of "+M.maxAttributeLength);t=pendingAttributeRegExp.exec(b)}}}return"needMoreInput"}();return"error"!==t||v.recover||(B=A),t}return r}function Ye(e){return U(e,"Name exceeds the maximum length of "+M.maxNameLength)}function Ze(e){return U(e,"Text exceeds the maximum length of "+M.maxTextLength)}function Ve(){return 0===$.length&&0===k.length}function He(){var e=$[$.length-1];return v.strict&&we(w,`Expected end tag </${e.tagName}>, found </${Le()}>`),Je(e.tagName)}function _e(){var e=$[$.length-1];return void 0!==e&&e.preserveSpace}function Qe(){if(v.html){if(R){var t=new RegExp(`</${R}(?=[\\t\\n\\f\\r />])`,"gi"),t=(t.lastIndex=l,t.exec(b));let e=t?t.index:-1;if(e<0){if(!C)return"needMoreInput";e=b.length}return R=void 0,e!==l?(x=l,E=l=e,"text"):Qe();return}if(b.charCodeAt(l)!==openBracketCC||!htmlMarkupStartRegExp.test(b.charAt(l+1))){let e=b.indexOf("<",l);for(;0<=e&&e+1<b.length&&!htmlMarkupStartRegExp.test(b[e+1]);)e=b.indexOf("<",e+1);if(e<0||e+1>=b.length){if(!C)return"needMoreInput";e=b.length}return e!==l?(x=l,E=l=e,G=!0,"text"):"eof";return}}if(b.charCodeAt(l)!==openBracketCC)return G=!0,x=l,(E=b.indexOf("<",l))<0?C?"eof":"needMoreInput":(l=E,"text");if(l+2>=b.length&&!C)return"needMoreInput";switch(b.charCodeAt(l+1)){case slashCC:return Ne();case questionCC:return Oe();case exclamationCC:switch(b.charCodeAt(l+2)){case minusCC:return Ae("comment",4,3,"--\x3e");case openCornerBracketCC:return Ae("cdata",9,3,"]]>");case letterDCC:return ye();default:return v.html&&"DOCTYPE"===b.substring(l+2,l+9).toUpperCase()?ye():U(l,"Unexpected character sequence "+b.substring(l,l+3))}}return G=!0,g=l+1,l+=2,h=Ie(nameEndChars),(m=Re(h))<0?L(g,"'>'"):(l=m+1,T=!0,b.charCodeAt(m-1)===slashCC?"singleTag":"startTag")}function Je(e){return l=w,ce=e,h=-1,T=!1,"endTag"}function Ge(){if(re+=1,ue=R,h=-1,ce=void 0,E=-1,y=-1,T=!1,G=!1,(A=void 0)!==B)return A=B,N="error";if(de){for($.pop();0<k.length&&k[k.length-1].depth>$.length;)k.pop();v.namespaces&&1<O.length&&O.pop(),de=!1}if(z){for(const u of $)u.attributes||Pe(u);be(l),d&&(Y+=byteLength(b,0,l,d.encoding)),b=b.substring(l),f+=l,p=0,l=0,z=!1}f+l===0&&b.charCodeAt(0)===byteOrderMarkCC&&(l=W=1),w=l,ve.clear();var e,t,r,n,a=$.length,i=O.length,o=void 0!==P,s=N=void 0!==P?(e=P,q||(P=void 0),U(l,e)):ie?(e=b.indexOf("<",l))<0&&!C?(l=b.length,"needMoreInput"):(l=w=e<0?b.length:e,ie=!1,Qe()):(0<I?function(){for(;;){if((w=b.indexOf("<",l))<0)return w=l=b.length,L(l,`end tag </${oe}>`);l=w;let e=-1;var t,r=b.charCodeAt(l+1);if(r===slashCC){if(0<=(e=b.indexOf(">",l))&&1===I)return I=0,Ne(),(t=b.substring(g,h))===oe?"endTag":U(w,`Expected end tag </${oe}>, found </${t}>`);0<=e&&--I}else if(r===questionCC)e=(e=b.indexOf("?>",l+2))<0?-1:e+1;else if(r===exclamationCC){if("\x3c!--"===b.substring(l,l+4))e=(e=b.indexOf("--\x3e",l+4))<0?-1:e+2;else if("<![CDATA["===b.substring(l,l+9))e=(e=b.indexOf("]]>",l+9))<0?-1:e+2;else if(C||9<=b.length-l)return U(l,"Unexpected character sequence "+b.substring(l,l+3))}else l+1<b.length&&0<=(e=Re(l+1))&&b.charCodeAt(e-1)!==slashCC&&(I+=1);if(e<0)return L(l,`end tag </${oe}>`);l=e+1}}:Qe)();if(v.recover&&"endTag"===N){var c=function(){var t=Le();let r=k.length-1;for(let e=$.length;0<=e;e--){for(;0<=r&&k[r].depth===e;r--)if(k[r].tagName===t)return e===$.length?void(k.length=r):He();if(0<e&&$[e-1].tagName===t)return e!==$.length&&v.strict?He():"endTag"}return"endTag"}();if(void 0===c)return;N=c}if(v.strict&&void 0===ce&&(N=function(e){switch(e){case"singleTag":case"startTag":var t=b.substring(g,h);return nameRegExp.test(t)?(r=Ve())&&S?U(w,`Multiple root elements, found <${t}>`):"error"===Fe(!1)?"error":(r&&(S=!0),e):U(g,`Invalid tag name "${t}"`);case"endTag":var r=b.substring(g,h),t=$.length?$[$.length-1].tagName:void 0;return nameRegExp.test(r)?void 0===t?U(w,`Unexpected end tag </${r}>`):r!==t?U(w,`Expected end tag </${t}>, found </${r}>`):e:U(g,`Invalid end tag name "${r}"`);case"text":t=b.substring(x,E),r=t.indexOf("]]>");return 0<=r?U(x+r,"Unexpected ']]>' in text"):Ve()&&!whitespaceRegExp.test(t)?U(x,"Text outside of root element"):invalidCharRegExp.test(t)?U(x,"Invalid character in text"):void 0===Se(t)?"error":e;case"cdata":return Ve()?U(w,"CDATA section outside of root element"):invalidCharRegExp.test(b.substring(x,E))?U(x,"Invalid character in CDATA section"):e;case"comment":r=(b.substring(x,E)+"-").indexOf("--");return 0<=r?U(x+r,"'--' not allowed in comments"):invalidCharRegExp.test(b.substring(x,E))?U(x,"Invalid character in comment"):e;case"processingInstruction":t=b.substring(g,y);return nameRegExp.test(t)?e:U(g,`Invalid processing instruction target "${t}"`);case"doctype":return fe||S?U(w,"Misplaced doctype declaration"):(fe=!0,e);case"eof":return whitespaceRegExp.test(b.substring(w))?0<$.length?U(w,`Unexpected end of file, missing end tag </${$[$.length-1].tagName}>`):S?e:U(w,"Missing root element"):U(w,"Text outside of root element");default:return e}}(N)),v.html){c=function(t){var r=$[$.length-1];switch(t){case"singleTag":case"startTag":var e=Ue(g,h),n=r&&htmlImpliedEndTags[r.tagName];return n&&n[e]?Je(r.tagName):"startTag"===t&&htmlVoidElements[e]?"singleTag":("startTag"===t&&htmlRawTextElements[e]&&(R=e),t);case"endTag":var a=Ue(g,h);for(let e=$.length-1;0<=e;e--)if($[e].tagName===a)return e===$.length-1?t:Je(r.tagName);return;case"eof":return r?Je(r.tagName):t}return t}(N);if(void 0===c)return;N=c}switch(N=v.limits?Xe(N):N){case"singleTag":case"startTag":$.push({tagName:Le(),tagNameEnd:f+h,tagEnd:f+m,attributes:void 0,preserveSpace:!!le&&(t=A,r=Me("xml:space",!0),A=t,"preserve"===r||"default"!==r&&_e())}),de="singleTag"===N;break;case"endTag":de=!0}if(v.namespaces&&"error"!==N)switch(N){case"startTag":case"singleTag":N=function(e){var t=O[O.length-1];let r=t;var n=b.substring(g,h),a=b.substring(h,m);if(0<=a.indexOf(":")||0<=a.indexOf("xmlns")){var i=Fe(!1);if(!i||"error"===i)return"error";for(const c in i)if("xmlns"===c||"xmlns"===Be(c)){var o="xmlns"===c?"":qe(c);if(o&&!i[c])return U(h,`Empty namespace declaration for prefix "${o}"`);(r=r===t?Object.create(t):r)[o]=i[c]}for(const u in i){var s=Be(u);if(s&&void 0===r[s])return ze(h,s)}}return O.push(r),void 0===We()?ze(g,Be(n)):e}(N);break;case"endTag":void 0===We()&&(n=Le(),N=ze(g,Be(n)))}if("error"===N&&v.recover&&!q){if($.length=a,O.length=i,de=!1,("startTag"===s||"singleTag"===s)&&0<h&&(Ve()&&(S=!0),"startTag"===s)&&k.push({tagName:Ue(g,h),depth:a}),I=se=0,"eof"!==s)return void("error"!==s&&"needMoreInput"!==s||o||(l=Math.max(l,w+1),ie=!0));N="eof"}if("error"===N&&(T=!1),"text"!==N||!le||_e()||!whitespaceRegExp.test(b.substring(x,E))){if(V=h,_=-1,X="needMoreInput"===N?w:l,0<se)if("endTag"===N&&$.length===se)se=0;else if("error"!==N&&"needMoreInput"!==N)return;return N}}function*Ke(e){for(;;){var t=e.next();switch(t){case"eof":case"needMoreInput":return t}if(yield function(t){const r=re,e=N,n=A,a=b.substring(w),i=C,o=(be(w),Ce(w)),s="text"===e||"cdata"===e,c=("startTag"===e||"singleTag"===e)&&void 0===ce,u=0<=E,d=_e(),l=s?ue:void 0;let f=void 0,p=void 0,g=void 0;function h(){var e;return re===r?t:(f||(e={tagName:"",attributes:{},preserveSpace:d},(f=tSax(void 0,Object.assign({},v,{namespaces:!1,checkpoint:{offset:o.offset,line:o.line,column:o.column,elements:s?[e]:[],generalEntities:he,parameterEntities:{},rootElementSeen:!1,doctypeSeen:!1,rawTextElement:l}}))).write(a),i&&f.end(),f.next()),f)}function m(){return(p=p||{value:c?h().attributes():void 0}).value}function x(){return(g=g||{value:u?h().text():void 0}).value}return{type:e,tagName:t.tagName(),piTarget:t.piTarget(),get error(){return void 0!==n||"error"===e?n:"error"===m()||void 0===x()&&u?h().error():void 0},attributes:m,text:x}}(e),"error"===t)return t}}if(void 0!==e&&"string"!=typeof e&&Ee(e,!0),v.checkpoint){t=v.checkpoint;if(void 0!==e){if(t.offset>b.length)throw new Error("Checkpoint is beyond the end of the input");b=b.substring(t.offset)}else t.encoding&&(d="windows-1252"===t.encoding?windows1252Decoder:new TextDecoder(t.encoding,{fatal:!0,ignoreBOM:!0}));f=t.offset,Y=t.byteOffset||0,a=t.line,Z=t.offset-t.column+1;for(const tt of t.elements){$.push({tagName:tt.tagName,tagNameEnd:-1,tagEnd:-1,attributes:tt.attributes,preserveSpace:tt.preserveSpace});var et=O[O.length-1];O.push(tt.namespaces?Object.assign(Object.create(et),tt.namespaces):et)}Object.assign(he,t.generalEntities),Object.assign(me,t.parameterEntities),S=t.rootElementSeen,fe=t.doctypeSeen,R=t.rawTextElement}return{next:function(){let e=Ge();for(;void 0===e;)e=Ge();return e},tagName:Le,localName:function(){var e=this.tagName();return e&&qe(e)},prefix:function(){var e=this.tagName();return e&&Be(e)},namespaceURI:function(){if(v.namespaces)switch(N){case"endTag":case"singleTag":case"startTag":return We();default:return}},piTarget:function(){return 0<y?b.substring(g,y):void 0},version:function(){return"xmlDeclaration"===N?K:void 0},encoding:function(){return"xmlDeclaration"===N?ee:void 0},standalone:function(){return"xmlDeclaration"===N?te:void 0},text:function(e){if(!(E<0)){var t=b.substring(x,E);if(e)return t;e=G?Se(t,void 0,normalizeLineEnds):normalizeLineEnds(t);if("text"!==N||void 0===e)return e;var r=e;if(_e())return r;switch(le){case"trim":return r.replace(/^[ \t\r\n]+|[ \t\r\n]+$/g,"");case"collapse":return r.replace(/[ \t\r\n]+/g," ").replace(/^ | $/g,"");default:return r}}},attributes:Fe,namespacedAttributes:function(e){if(v.namespaces){var t=Fe(e);if(!t||"error"===t)return t;var r=O[O.length-1],n={};for(const i in t){var a=Be(i);n[i]={value:t[i],prefix:a,localName:qe(i),namespaceURI:"xmlns"===i?xmlnsNamespace:a?r[a]:""}}return n}},attribute:Me,nextAttribute:function(){var e;return!(!T||V<0)&&(!0!==(e=j(V))?(V=-1,_=-1,e):(H=o,_=s,Q=c,J=u,V=u+1,!0))},attributeName:function(){return _<0?void 0:Ue(H,_)},attributeValue:function(e){return _<0?void 0:De(Q,J,e)},eventType:function(){return N},error:function(){return A},diagnostics:function(){return ne.slice()},position:function(){return be(w),{start:Ce(w),end:Ce(X)}},rawRange:function(e){return void 0===e?{start:f+w,end:f+X}:"string"==typeof Me(e,!0)?{start:f+c,end:f+u}:void 0},checkpoint:function(){if(0<I||0<se)throw new Error("Can not create a checkpoint while skipping an element");let e=void 0;if(d&&(e=Y+byteLength(b,0,X,d.encoding),isNaN(e)))throw new Error("Can not create a checkpoint of input in encoding "+d.encoding);be(X);var t=Ce(X),r=de?$.length-1:$.length;return{offset:t.offset,line:t.line,column:t.column,elements:$.slice(0,r).map(function(e,t){e.attributes||Pe(e);var r=O[t+1],t=r&&r!==O[t];return{tagName:e.tagName,attributes:"error"===e.attributes?{}:Object.assign({},e.attributes),preserveSpace:e.preserveSpace,namespaces:t?Object.assign({},r):void 0}}),generalEntities:Object.assign({},he),parameterEntities:Object.assign({},me),rootElementSeen:S,doctypeSeen:fe,rawTextElement:R,encoding:d?d.encoding:void 0,byteOffset:e}},depth:function(){return $.length},path:function(e){return e?$.map(function(e){return e.attributes||Pe(e),{tagName:e.tagName,attributes:e.attributes}}):$.map(e=>e.tagName)},skipElement:function(){return"startTag"!==N?U(w,"skipElement() is only available on start tags"):(v.html?se=$.length:(I=1,oe=b.substring(g,h)),this.next())},write:function(e){if(C)throw new Error("Can not write after end of input");var t="string"==typeof e?"string":"binary";if(r&&r!==t)throw new Error("Can not mix string and binary input");r=t,void 0===B&&("string"==typeof e?b+=e:Ee(e,!1),z=!0)},end:function(){"binary"!==r||C||Ee(new Uint8Array(0),!0),C=!0},[Symbol.iterator]:function(){return Ke(this)}}}const windows1252Decoder={encoding:"windows-1252",decode:function(t){var r=[];for(let e=0;e<t.length;e+=8192){var n=Array.from(t.subarray(e,e+8192),e=>128<=e&&e<160?windows1252Chars.charCodeAt(e-128):e);r.push(String.fromCharCode.apply(null,n))}return r.join("")}},legacyMultiByteEncodings=wordSet("big5 euc-jp euc-kr gb18030 gbk iso-2022-jp shift_jis");function byteLength(r,n,a,e){if("utf-8"!==e)return"utf-16le"===e||"utf-16be"===e?2*(a-n):legacyMultiByteEncodings[e]?NaN:a-n;{let t=a-n;for(let e=n;e<a;e++){var i=r.charCodeAt(e);128<=i&&(t+=i<2048||55296<=i&&i<57344?1:2)}return t}}function detectEncoding(n,a){if(!(n.length<4)||a){let t=void 0,r=0;239===n[0]&&187===n[1]&&191===n[2]?(t="utf-8",r=3):254===n[0]&&255===n[1]?(t="utf-16be",r=2):255===n[0]&&254===n[1]?(t="utf-16le",r=2):60===n[0]&&0===n[1]&&63===n[2]&&0===n[3]?t="utf-16le":0===n[0]&&60===n[1]&&0===n[2]&&63===n[3]&&(t="utf-16be");var i=new TextDecoder(t||"utf-8").decode(n.subarray(r,r+maxDeclarationLength)),o=i.indexOf("?>");if(!(o<0&&!a&&n.length<r+maxDeclarationLength&&"<?xml".startsWith(i.substring(0,5)))){a=encodingDeclarationRegExp.exec(i.substring(0,o)),n=a?void 0!==a[1]?a[1]:a[2]:void 0;if(void 0===n)return{encoding:t||"utf-8",byteOrderMarkLength:r};let e;try{e=new TextDecoder(n).encoding}catch(e){return{encoding:void 0,byteOrderMarkLength:r,error:`Unsupported encoding "${n}"`}}i="utf-16"===e.substring(0,6);return void 0!==t||i?void 0===t||"utf-8"===t&&"utf-8"!==e||"utf-8"!==t&&!i?{encoding:o=t||"utf-8",byteOrderMarkLength:r,error:`Declared encoding "${n}" contradicts detected encoding `+o.toUpperCase()}:{encoding:t,byteOrderMarkLength:r}:{encoding:e,byteOrderMarkLength:r}}}}async function*streamEvents(e,t={}){var r=tSax(void 0,t);for await(const n of"getReader"in e?readStream(e):e)if(r.write(n),yield*r,"error"===r.eventType())return;r.end(),yield*r}async function*readStream(e){var t=e.getReader();try{for(;;){var r=await t.read();if(r.done)return;yield r.value}}finally{t.releaseLock()}}const treeParentMethods={children:function(e){var t=[];for(const r of this.childNodes)"element"!==r.type||void 0!==e&&r.tagName!==e||t.push(r);return t},textContent:function(){let e="";for(const t of this.childNodes)"text"===t.type?e+=t.text:"element"===t.type&&(e+=t.textContent());return e},find:function(e){return findElements(this,e,!0)[0]},findAll:function(e){return findElements(this,e,!1)}};function findElements(e,t,r,n=[]){for(const a of e.childNodes)if("element"===a.type){if(("string"==typeof t?a.tagName===t:t(a))&&(n.push(a),r))return n;if(findElements(a,t,r,n),r&&0<n.length)return n}return n}function buildTree(e,t={}){return readTree(tSax(e,t),t)}function readTree(r,e,t){var n=Object.create(treeParentMethods);n.type="document",n.childNodes=[],n.doctype=void 0;let a=n;function i(e){var t=r.position();e.parent=a,e.start=t.start.offset,e.end=t.end.offset,a.childNodes.push(e)}function o(e){if(void 0===e||"error"===e)throw new Error(r.error());return e}let s=t||r.next();for(;;){switch(s){case"singleTag":case"startTag":var c=Object.create(treeParentMethods);c.type="element",c.tagName=o(r.tagName()),c.attributes=o(r.attributes()),c.childNodes=[],i(c),"startTag"===s&&(a=c);break;case"endTag":if("document"===a.type)throw new Error(`Unexpected end tag </${r.tagName()}>`);if(r.tagName()!==a.tagName)throw c=r.position().start,new Error(`Expected </${a.tagName}>, found </${r.tagName()}> `+`at ${c.line}:`+c.column);a.end=r.position().end.offset,a=a.parent;break;case"cdata":case"text":var u=o(r.text());"document"===a.type||e.stripWhitespace&&"text"===s&&whitespaceRegExp.test(u)||i({type:"text",text:u,cdata:"cdata"===s});break;case"comment":i({type:"comment",text:o(r.text())});break;case"processingInstruction":i({type:"processingInstruction",target:o(r.piTarget()),text:o(r.text())});break;case"doctype":n.doctype=r.tagName();break;case"xmlDeclaration":break;case"eof":if("document"!==a.type)throw new Error(`Unexpected end of file, missing end tag </${a.tagName}>`);return n;case"needMoreInput":throw new Error("Can not build tree from incomplete input");default:throw new Error(r.error())}if(t&&a===n)return n;s=r.next()}}const pathStepRegExp=/(\/\/?)((?:[^\s/[\]:*]+:)?(?:[^\s/[\]:*]+|\*)|\*)((?:\[[^\]]*\])*)/y,pathPredicateRegExp=/\[\s*(?:@([^\s=!\]]+)\s*(?:(!?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s\]]+)))?|(\d+))\s*\]/y;function compilePath(e){var t=[];for(pathStepRegExp.lastIndex=0;pathStepRegExp.lastIndex<e.length;){var r=pathStepRegExp.lastIndex,n=pathStepRegExp.exec(e);if(!n)throw new Error(`Unsupported path syntax at position ${r}: `+e);var[,r,n,a]=n,i=n.indexOf(":"),o=n.substring(i+1);if(0<=i&&!nameRegExp.test(n.substring(0,i))||"*"!==o&&!nameRegExp.test(o))throw new Error(`Unsupported name test "${n}" in step ${t.length+1}: `+e);var s={descendant:"//"===r,prefix:i<0?"*"===o?void 0:"":n.substring(0,i),localName:"*"===o?void 0:o,predicates:[]};for(pathPredicateRegExp.lastIndex=0;pathPredicateRegExp.lastIndex<a.length;){var c=pathPredicateRegExp.exec(a);if(!c)throw new Error(`Unsupported predicate in step ${t.length+1}: `+e);var[,c,u,d,l,f,p]=c;if(c&&!nameRegExp.test(c))throw new Error(`Unsupported attribute name "${c}" in step `+(t.length+1)+": "+e);c?s.predicates.push({attribute:c,operator:"="===u||"!="===u?u:"exists",value:void 0!==d?d:void 0!==l?l:f||""}):s.predicates.push({position:parseInt(p,10)})}t.push(s)}if(0===t.length)throw new Error("Empty path");return t}function pathQuery(s,e,t={}){const c="string"==typeof e?compilePath(e):e,u=t.namespaces;if(u)for(const r of c)if(r.prefix&&void 0===u[r.prefix])throw new Error(`No namespace URI given for prefix "${r.prefix}"`);const o=[{steps:[0],counters:{}}];let d=void 0;function l(t,r){var e,n=c[t];if(e=n,u?!(void 0!==e.localName&&e.localName!==s.localName()||void 0!==e.prefix&&s.namespaceURI()!==(e.prefix?u[e.prefix]:"")):!(void 0!==e.localName&&e.localName!==s.localName()||void 0!==e.prefix&&e.prefix!==s.prefix())){for(let e=0;e<n.predicates.length;e++){var a=n.predicates[e];if("position"in a){var i=t+":"+e;if(r[i]=(r[i]||0)+1,r[i]!==a.position)return}else{i=s.attributes();if(void 0===i||"error"===i)return;var o=i[a.attribute];if("exists"===a.operator?void 0===o:"="===a.operator?o!==a.value:void 0===o||o===a.value)return}}return 1}}return{next:function(){for(d=void 0;;){var t=s.next();switch(t){case"eof":case"error":case"needMoreInput":return t;case"singleTag":case"startTag":break;default:continue}var r=s.depth(),n=o[r-1],a=[];let e=!1;for(const i of n?n.steps:[])c[i].descendant&&a.indexOf(i)<0&&a.push(i),l(i,n.counters)&&(i+1===c.length?e=!0:a.indexOf(i+1)<0&&a.push(i+1));if(o[r]={steps:a,counters:{}},e)return d=t,"match"}},tree:function(){var e;if(d)return e=d,d=void 0,readTree(s,t.tree||{},e).children()[0];throw new Error('tree() is only available after next() returned "match"')}}}const indexArrayNames=["starts","ends","depths","lines","columns","nameIds","parents"];function buildIndex(e,t={}){const c=tSax(e,t.parser);var r=new Set(t.tagNames||[]),n=!1!==t.ids,a=Object.create(null),e=1024;const u={length:0,starts:new Uint32Array(e),ends:new Uint32Array(e),depths:new Uint32Array(e),lines:new Uint32Array(e),columns:new Uint32Array(e),nameIds:new Uint32Array(e),parents:new Uint32Array(e),names:[],ids:[],ancestors:[],generalEntities:{}};var i=[];const d=[],l=t.parser||{},f=!!l.whitespace&&"keep"!==l.whitespace;for(;;){var o=c.next();switch(o){case"startTag":case"singleTag":var s=c.tagName(),p=n?c.attribute("xml:id"):void 0;if("error"===p)throw new Error(c.error());if(d.push(-1),void 0!==p||r.has(s)){var g=u.length;if(g===u.starts.length)for(const x of indexArrayNames){var h=new Uint32Array(2*g);h.set(u[x]),u[x]=h}s in a||(a[s]=u.names.push(s)-1);var m=c.position().start;u.starts[g]=m.offset,u.depths[g]=c.depth(),u.lines[g]=m.line,u.columns[g]=m.column,u.nameIds[g]=a[s],u.parents[g]=function(e){let r=e;for(;0<r&&d[r-1]<0;)r--;if(r<e){var n=c.path(!0);for(let t=r;t<e;t++){var a=0<t?d[t-1]:-1,i=n[t].attributes,o="error"===i?{}:Object.assign({},i);let e=void 0;if(l.namespaces)for(const s in o)"xmlns"!==s&&"xmlns:"!==s.substring(0,6)||((e=e||{})[s.substring(6)]=o[s]);i=o["xml:space"],i=f&&("preserve"===i||"default"!==i&&0<=a&&u.ancestors[a].preserveSpace);d[t]=u.ancestors.push({parent:a,tagName:n[t].tagName,attributes:o,preserveSpace:i,namespaces:e})-1}}return 0<e?d[e-1]:-1}(c.depth()-1)+1,u.ids.push(p||""),u.length+=1,i.push(g)}else i.push(-1);break;case"endTag":break;case"eof":for(const v of indexArrayNames)u[v]=u[v].slice(0,u.length);return u.generalEntities=c.checkpoint().generalEntities,elementIndex(u);case"needMoreInput":throw new Error("Can not build index from incomplete input");case"error":throw new Error(c.error());default:continue}"startTag"!==o&&(o=i.pop(),d.pop(),0<=o)&&(u.ends[o]=c.rawRange().end)}}function loadIndex(e){var t=new DataView(e.buffer,e.byteOffset,e.byteLength),r=t.getUint32(0,!0),n=JSON.parse((new TextDecoder).decode(e.subarray(4,4+r)));let a=4+r;for(const o of indexArrayNames){var i=new Uint32Array(n.length);for(let e=0;e<n.length;e++,a+=4)i[e]=t.getUint32(a,!0);n[o]=i}return elementIndex(n)}function elementIndex(o){let t=void 0;return Object.assign(o,{find:function(e){if(!t){t=new Map;for(let e=0;e<o.length;e++)o.ids[e]&&!t.has(o.ids[e])&&t.set(o.ids[e],e)}e=t.get(e);return void 0===e?-1:e},checkpoint:function(t){if(!(0<=t&&t<o.length))throw new Error("No index entry "+t);var r=[];for(let e=o.parents[t]-1;0<=e;e=o.ancestors[e].parent){var n=o.ancestors[e];r.unshift({tagName:n.tagName,attributes:n.attributes,preserveSpace:n.preserveSpace,namespaces:n.namespaces})}return{offset:o.starts[t],line:o.lines[t],column:o.columns[t],elements:r,generalEntities:o.generalEntities,parameterEntities:{},rootElementSeen:0<r.length,doctypeSeen:!0}},toBytes:function(){var e=(new TextEncoder).encode(JSON.stringify({length:o.length,names:o.names,ids:o.ids,ancestors:o.ancestors,generalEntities:o.generalEntities})),t=new Uint8Array(4+e.length+4*indexArrayNames.length*o.length),r=new DataView(t.buffer);r.setUint32(0,e.length,!0),t.set(e,4);let n=4+e.length;for(const a of indexArrayNames)for(const i of o[a])r.setUint32(n,i,!0),n+=4;return t}})}function xmlReader(a){function r(e){var t=a.position().start;return new Error(`${e} at ${t.line}:`+t.column)}function n(){switch(a.eventType()){case"startTag":case"singleTag":return`<${a.tagName()}>`;case"endTag":return`</${a.tagName()}>`;case"eof":return"end of file";case"processingInstruction":return"processing instruction";case"xmlDeclaration":return"XML declaration";default:return String(a.eventType())}}function i(e){var t=a.next();switch(t){case"error":throw new Error(a.error());case"needMoreInput":throw r("Unexpected end of input");case"eof":if(!e)throw r("Unexpected end of file")}return t}function o(e){var t=a.eventType();if("startTag"!==t&&"singleTag"!==t)throw r(e+"() expects a start tag, found "+n());return a.depth()}function s(e){var t=a.eventType();return("endTag"===t||"singleTag"===t)&&a.depth()===e}return{expectStart:function(e){for(;;){var t=i(!0);if("startTag"===t||"singleTag"===t){if(void 0!==e&&a.tagName()!==e)throw r(`Expected <${e}>, found `+n());return}if(("text"!==t||!whitespaceRegExp.test(a.text(!0)))&&("text"===t||"cdata"===t||"endTag"===t||"eof"===t))throw r(`Expected <${e||"any element"}>, found `+n())}},readElementText:function(){var e=o("readElementText");let t="";for(;!s(e);){var r=i();if("text"===r||"cdata"===r){r=a.text();if(void 0===r)throw new Error(a.error());t+=r}}return t},forEachChild:function(e){for(var t=o("forEachChild");!s(t);){var r=i();if("startTag"===r||"singleTag"===r){e(a.tagName()),n=void 0;var n=t+1;if("startTag"===a.eventType()&&a.depth()===n){if("error"===a.skipElement())throw new Error(a.error())}else for(;a.depth()>=n&&!s(n);)i()}}},readToDescendant:function(e){for(var t=void 0===a.eventType()?0:o("readToDescendant");!s(t);){var r=i(0===t);if(("startTag"===r||"singleTag"===r)&&a.tagName()===e)return!0;if("eof"===r)return!1}return!1}}}function*mapElements(e,t,r){for(checkSchema(t,r,new Set);;)switch(nextMappingEvent(e)){case"startTag":case"singleTag":e.tagName()===t&&(yield mapElement(e,r));break;case"eof":return}}function checkSchema(e,t,r){if(!r.has(t)){r.add(t);var n=t.attributes||{},a=t.children||{},i=Object.prototype.hasOwnProperty;for(const s in a)if(i.call(n,s))throw new Error(`Property "${s}" of <${e}> is both an attribute and a child`);if(t.text&&(i.call(n,"text")||i.call(a,"text")))throw new Error(`Property "text" of <${e}> is both the text and an attribute or child`);for(const c in a){var o=a[c];checkSchema(c,Array.isArray(o)?o[0]:o,r)}}}function setProperty(e,t,r){Object.defineProperty(e,t,{value:r,writable:!0,enumerable:!0,configurable:!0})}function nextMappingEvent(e){var t=e.next();switch(t){case"error":throw new Error(e.error());case"needMoreInput":throw new Error("Unexpected end of input")}return t}function mapElement(e,t){const r=e.tagName(),n=e.position().start;function a(e){return new Error(`${e} in <${r}> at ${n.line}:`+n.column)}function i(e,t,r){var n=convertValue(e,t);if(void 0===n)throw a(`Invalid ${r} "${e}", expected `+t);return n}var o={},s=t.attributes||{};for(const h in s){var c=e.attribute(h);if("error"===c)throw new Error(e.error());void 0!==c&&setProperty(o,h,i(c,s[h],`value of attribute "${h}"`))}var u=t.children||{};for(const m in u)setProperty(o,m,Array.isArray(u[m])?[]:void 0);let d="";var l=e.depth();let f=e.eventType();for(;"endTag"!==f&&"singleTag"!==f||e.depth()!==l;)switch(f=nextMappingEvent(e)){case"startTag":case"singleTag":var p=e.tagName(),g=e.depth()===l+1&&Object.prototype.hasOwnProperty.call(u,p)?u[p]:void 0;if(Array.isArray(g))o[p].push(mapElement(e,g[0]));else if(g){if(void 0!==o[p])throw a(`Unexpected second <${p}>`);setProperty(o,p,mapElement(e,g))}else if("startTag"===f&&!t.text&&"error"===e.skipElement())throw new Error(e.error());break;case"text":case"cdata":if(t.text){p=e.text();if(void 0===p)throw new Error(e.error());d+=p}break;case"eof":throw a("Unexpected end of file")}return t.text&&(o.text=i(d,t.text,"text")),o}const decimalRegExp=/^[ \t\r\n]*[+-]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)[ \t\r\n]*$/;function convertValue(e,t){switch(t){case"string":return e;case"number":return decimalRegExp.test(e)?Number(e):void 0;case"boolean":switch(e.trim()){case"true":case"1":return!0;case"false":case"0":return!1}return;default:return 0<=t.split("|").indexOf(e)?e:void 0}}const escapes={"&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","\t":"&#9;","\n":"&#10;","\r":"&#13;"};function escapeChar(e){return escapes[e]}const doctypeTextRegExp=/^[ \t\r\n]*(?:(?:PUBLIC[ \t\r\n]+(?:"([^"]*)"|'([^']*)')|SYSTEM)[ \t\r\n]+(?:"([^"]*)"|'([^']*)'))?[ \t\r\n]*(?:\[([\s\S]*)\])?[ \t\r\n]*$/;function xmlWriter(e={}){const r=e.indent,t=[],o=e.output||(e=>t.push(e)),n=[];let a=void 0,s=!1,i=!1;function c(e,t){if(!nameRegExp.test(e))throw new Error(`Invalid ${t} name "${e}"`)}function u(e,t){if(invalidCharRegExp.test(e)||loneSurrogateRegExp.test(e))throw new Error("Invalid character in "+t)}function d(e){a&&(o(">"),a=void 0);var t=n[n.length-1];t&&(t.hasChildren=!0,t.mixed=t.mixed||e),void 0===r||e||!i||t&&t.mixed||o("\n"+new Array(n.length+1).join(r)),i=!0}return{startElement:function(e){if(c(e,"tag"),0===n.length){if(s)throw new Error(`Multiple root elements, found <${e}>`);s=!0}return d(!1),o("<"+e),n.push({tagName:e,hasChildren:!1,mixed:!1}),a=[],this},attribute:function(e,t){if(!a)throw new Error(`Attribute "${e}" must directly follow a start tag`);if(c(e,"attribute"),0<=a.indexOf(e))throw new Error(`Duplicate attribute "${e}"`);return u(t,"attribute value"),a.push(e),o(` ${e}="${t.replace(/[&<"\t\n\r]/g,escapeChar)}"`),this},text:function(e){if(0!==n.length||whitespaceRegExp.test(e))return u(e,"text"),d(!0),o(e.replace(/[&<>\r]/g,escapeChar)),this;throw new Error("Text outside of root element")},cdata:function(e){if(0===n.length)throw new Error("CDATA section outside of root element");return u(e,"CDATA section"),d(!0),o("<![CDATA["+e.split("]]>").join("]]]]><![CDATA[>")+"]]>"),this},comment:function(e){if(0<=(e+"-").indexOf("--"))throw new Error("'--' not allowed in comments");return u(e,"comment"),d(!1),o("\x3c!--"+e+"--\x3e"),this},pi:function(e,t){if(c(e,"processing instruction target"),"xml"===e.toLowerCase()&&i)throw new Error("The XML declaration must be at the start of the document");if(t&&0<=t.indexOf("?>"))throw new Error("'?>' not allowed in processing instructions");return u(t||"","processing instruction"),d(!1),o("<?"+e+(t?" "+t:"")+"?>"),this},endElement:function(e){var t=n[n.length-1];if(!t)throw new Error(`Unexpected end tag </${e||""}>`);if(void 0!==e&&e!==t.tagName)throw new Error(`Expected end tag </${t.tagName}>, found </${e}>`);return a?(o("/>"),a=void 0,n.pop()):(n.pop(),void 0!==r&&t.hasChildren&&!t.mixed&&o("\n"+new Array(n.length+1).join(r)),o("</"+t.tagName+">")),this},doctype:function(e,t={}){if(c(e,"doctype"),s)throw new Error("Misplaced doctype declaration");var{publicId:t,systemId:r,internalSubset:n}=t;if(void 0!==t&&void 0===r)throw new Error("A public ID requires a system ID");function a(e){if(u(e,"doctype"),e.indexOf('"')<0)return`"${e}"`;if(e.indexOf("'")<0)return`'${e}'`;throw new Error(`Can not quote ID containing both " and ': `+e)}let i="<!DOCTYPE "+e;return void 0!==t?i+=" PUBLIC "+a(t):void 0!==r&&(i+=" SYSTEM"),void 0!==r&&(i+=" "+a(r)),void 0!==n&&(i+=" ["+n+"]"),d(!1),o(i+">"),this},copyEvent:function(t){function e(e){if(void 0===e||"error"===e)throw new Error(t.error());return e}var r=t.eventType();switch(r){case"singleTag":case"startTag":this.startElement(e(t.tagName()));var n=e(t.attributes());for(const u in n)this.attribute(u,n[u]);"singleTag"===r&&this.endElement();break;case"endTag":this.endElement(t.tagName());break;case"text":this.text(e(t.text()));break;case"cdata":this.cdata(e(t.text()));break;case"comment":this.comment(e(t.text()));break;case"processingInstruction":this.pi(e(t.piTarget()),e(t.text()).replace(/^[ \t\r\n]+/,""));break;case"xmlDeclaration":var a=t.encoding(),i=t.standalone();this.pi("xml",`version="${t.version()}"`+(a?` encoding="${a}"`:"")+(void 0===i?"":` standalone="${i?"yes":"no"}"`));break;case"doctype":a=doctypeTextRegExp.exec(e(t.text()));if(!a)throw new Error("Malformed doctype declaration");var[,i,a,o,s,c]=a;this.doctype(e(t.tagName()),{publicId:void 0!==i?i:a,systemId:void 0!==o?o:s,internalSubset:c})}return this},toString:function(){return t.join("")}}}function xmlPatch(a){const i=[];function r(e,t,r){if(!(0<=e&&e<=t&&t<=a.length))throw new Error(`Invalid range ${e}-`+t);for(const n of i)if(e<n.end&&t>n.start)throw new Error(`Range ${e}-${t} overlaps edit at ${n.start}-`+n.end);return i.push({start:e,end:t,markup:r}),o}const o={replace:function(e,t){if(e)return r(e.start,e.end,t);throw new Error("No range to replace")},replaceText:function(e,t){return this.replace(e,t.replace(/[&<>"\t\n\r]/g,escapeChar).replace(/'/g,"&apos;"))},insert:function(e,t){return r(e,e,t)},remove:function(e){return this.replace(e,"")},toString:function(){var e=[];let t=0;for(const r of i.slice().sort((e,t)=>e.start-t.start||e.end-t.end))e.push(a.substring(t,r.start),r.markup),t=r.end;return e.push(a.substring(t)),e.join("")}};return o}function saxParser(e=!1,f={}){const p=e?e=>e:f.lowercase?e=>e.toLowerCase():e=>e.toUpperCase(),t=Object.create(null);t.xml=xmlNamespace,t.xmlns=xmlnsNamespace;let g=tSax(void 0,{strict:e,namespaces:f.xmlns}),h=[t],m=[],i=0;function x(e,...t){e=s[e];e&&e.apply(s,t)}function v(e){s.error=new Error(e),x("onerror",s.error)}function o(){if(x("onclosetag",m.pop()),f.xmlns&&1<h.length){var e=h.pop();if(e!==h[h.length-1])for(const t of Object.keys(e))x("onclosenamespace",{prefix:t,uri:e[t]})}}function r(){for(;!s.error;){var e=g.next();if("needMoreInput"===e)return;var t=g.position().end;switch(s.line=t.line-1,s.column=t.column-1,s.position=t.offset,e){case"eof":return 1;case"error":var r=t.offset<=i;if(v(g.error()),r)return 1;break;case"startTag":case"singleTag":s.startTagPosition=g.position().start.offset+1,!function(t){var r=g.attributes();if(void 0!==r&&"error"!==r){var n=p(g.tagName());if(!f.xmlns){m.push(n);const s={name:n,attributes:{},isSelfClosing:t};x("onopentagstart",s);for(const c in r){var e={name:p(c),value:r[c]};s.attributes[e.name]=e.value,x("onattribute",e)}return x("onopentag",s),1}var a=g.namespacedAttributes();if(void 0!==a&&"error"!==a){var i=h[h.length-1];let e=i;for(const u in r)"xmlns"!==u&&"xmlns:"!==u.substring(0,6)||((e=e===i?Object.create(i):e)[u.substring(6)]=r[u]);m.push(n),h.push(e);const s={name:n,prefix:p(g.prefix()),local:p(g.localName()),uri:g.namespaceURI(),ns:e,attributes:{},isSelfClosing:t};if(x("onopentagstart",s),e!==i)for(const d of Object.keys(e))x("onopennamespace",{prefix:d,uri:e[d]});for(const l in a){var o=a[l],o={name:p(l),value:o.value,prefix:"xmlns"===l?"xmlns":p(o.prefix),local:"xmlns"===l?"":p(o.localName),uri:o.namespaceURI};x("onattribute",s.attributes[o.name]=o)}return x("onopentag",s),1}}v(g.error()||"Malformed attributes")}("singleTag"===e)||"singleTag"!==e||o();break;case"endTag":for(var n=m.lastIndexOf(p(g.tagName()));0<=n&&m.length>n;)o();break;case"text":r=g.text();void 0===r?v(g.error()):(0<m.length||!whitespaceRegExp.test(r))&&(a=r,f.trim&&(a=a.trim()),a=f.normalize?a.replace(/\s+/g," "):a)&&x("ontext",a);break;case"cdata":x("onopencdata"),x("oncdata",g.text()),x("onclosecdata");break;case"comment":x("oncomment",g.text());break;case"processingInstruction":case"xmlDeclaration":x("onprocessinginstruction",{name:"xmlDeclaration"===e?"xml":g.piTarget(),body:g.text().replace(/^[ \t\r\n]+/,"")});break;case"doctype":x("ondoctype"," "+g.tagName()+g.text())}i=t.offset}var a}const s={error:null,line:0,column:0,position:0,startTagPosition:0,write:function(e){if(s.error)throw s.error;return null===e?s.close():(g.write(e),r(),s)},close:function(){if(s.error)throw s.error;return g.end(),r()&&!s.error&&(x("onend"),g=tSax(void 0,{strict:e,namespaces:f.xmlns}),h=[t],m=[],i=0,s.line=s.column=s.position=s.startTagPosition=0,x("onready")),s},resume:function(){return s.error=null,s}};return s}try{module.exports.tSax=tSax,module.exports.buildTree=buildTree,module.exports.compilePath=compilePath,module.exports.pathQuery=pathQuery,module.exports.buildIndex=buildIndex,module.exports.loadIndex=loadIndex,module.exports.xmlReader=xmlReader,module.exports.mapElements=mapElements,module.exports.xmlWriter=xmlWriter,module.exports.xmlPatch=xmlPatch,module.exports.saxParser=saxParser,module.exports.streamEvents=streamEvents}catch(e){}